@@ -26,6 +26,7 @@
  * @property {string[]} [file_ids] - IDs des fichiers attachés
  * @property {string} model - Le modèle à utiliser
  * @property {number} [max_tokens] - Nombre maximum de tokens pour la réponse
+ * @property {AbortSignal} [signal] - Signal d'annulation : l'appel au provider doit être interrompu s'il est déclenché
  */
 
 /**
@@ -55,6 +56,25 @@ export class BaseAdapter {
     throw new Error('La méthode sendChatRequest() doit être implémentée par la classe dérivée');
   }
 
+  /**
+   * Envoie une requête de chat en streaming : `onDelta` est appelé à chaque
+   * fragment de texte reçu, la réponse complète (avec l'usage) est retournée à la fin.
+   *
+   * Implémentation par défaut pour les providers sans streaming : la réponse
+   * complète est transmise en un seul fragment.
+   *
+   * @param {ChatRequest} request - La requête de chat standardisée
+   * @param {(delta: string) => void} onDelta - Callback appelé pour chaque fragment de texte
+   * @returns {Promise<StandardizedResponse>} La réponse standardisée complète
+   */
+  async streamChatRequest(request, onDelta) {
+    const response = await this.sendChatRequest(request);
+    if (response.content) {
+      onDelta(response.content);
+    }
+    return response;
+  }
+
   /**
    * Upload des fichiers vers le fournisseur d'IA.
    * Méthode abstraite qui doit être implémentée par chaque adapter.
@@ -91,6 +111,19 @@ export class BaseAdapter {
     throw new Error('La méthode extractTextFromFile() doit être implémentée par la classe dérivée');
   }
 
+  /**
+   * Extrait par OCR le texte de certaines pages d'un fichier uploadé.
+   * Méthode abstraite qui doit être implémentée par chaque adapter.
+   * 
+   * @param {string} fileId - L'ID du fichier
+   * @param {number[]} [pages] - Pages à traiter (à partir de 1) ; toutes si absent
+   * @returns {Promise<Array<{num: number, text: string}>>} Texte de chaque page traitée
+   * @throws {Error} Si la méthode n'est pas implémentée
+   */
+  async extractPagesFromFile(fileId, pages) {
+    throw new Error('La méthode extractPagesFromFile() doit être implémentée par la classe dérivée');
+  }
+
   /**
    * Obtient une URL signée (temporaire) pour accéder à un fichier uploadé.
    * Méthode abstraite qui doit être implémentée par chaque adapter.
@@ -138,6 +171,25 @@ export class BaseAdapter {
     throw new Error('La méthode deleteAllFiles() doit être implémentée par la classe dérivée');
   }
 
+  /**
+   * Indique si une erreur du provider est transitoire (limite de taux, indisponibilité,
+   * problème réseau) : le ChatService peut alors rejouer la requête chez un autre provider.
+   * Les adapters qui réécrivent les erreurs positionnent `retriable` sur l'erreur produite.
+   * 
+   * @param {any} error
+   * @returns {boolean}
+   */
+  isRetriableError(error) {
+    if (typeof error?.retriable === 'boolean') return error.retriable;
+
+    const status = Number(error?.status ?? error?.statusCode);
+    if (status === 429 || (status >= 500 && status <= 599)) return true;
+
+    const code = error?.code ?? error?.cause?.code;
+    return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(code)
+      || ['APIConnectionError', 'APIConnectionTimeoutError', 'ConnectionError', 'RequestTimeoutError'].includes(error?.name);
+  }
+
   /**
    * Retourne le nom du provider (ex: "ChatGPT", "Mistral", etc.)
    * 
@@ -95,6 +95,17 @@ export class ChatGPTAdapter extends BaseAdapter {
     throw new Error('OpenAI n\'expose pas d\'endpoint d\'extraction de texte pour les fichiers');
   }
 
+  /**
+   * OpenAI ne propose pas d'OCR par page.
+   * 
+   * @param {string} fileId
+   * @param {number[]} [pages]
+   * @returns {Promise<Array<{num: number, text: string}>>}
+   */
+  async extractPagesFromFile(fileId, pages) {
+    throw new Error('OpenAI n\'expose pas d\'endpoint OCR pour les fichiers');
+  }
+
   async getSignedUrl(fileId) {
     throw new Error('OpenAI n\'expose pas d\'URLs signées pour les fichiers uploadés');
   }
@@ -164,12 +175,66 @@ export class ChatGPTAdapter extends BaseAdapter {
     const hasNonPdfFiles = file_ids.length > 0 ? await this._hasNonPdf(file_ids) : false;
 
     if (hasNonPdfFiles) {
-      return await this._handleResponsesFileSearch(messages, file_ids, model);
+      return await this._handleResponsesFileSearch(messages, file_ids, model, request.signal);
     } else {
-      return await this._handleChatCompletions(messages, file_ids, model);
+      return await this._handleChatCompletions(messages, file_ids, model, request.signal);
     }
   }
 
+  /**
+   * Envoie une requête de chat à OpenAI en streaming.
+   * Le streaming n'est disponible que via Chat Completions : avec des fichiers non-PDF
+   * (Responses API + file_search), la réponse complète est transmise en un seul fragment.
+   * 
+   * @param {import('./BaseAdapter.js').ChatRequest} request
+   * @param {(delta: string) => void} onDelta
+   * @returns {Promise<import('./BaseAdapter.js').StandardizedResponse>}
+   */
+  async streamChatRequest(request, onDelta) {
+    const { messages, file_ids = [], model } = request;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Le tableau messages est requis et ne peut pas être vide');
+    }
+
+    const hasNonPdfFiles = file_ids.length > 0 ? await this._hasNonPdf(file_ids) : false;
+    if (hasNonPdfFiles) {
+      return await super.streamChatRequest(request, onDelta);
+    }
+
+    const stream = await this.client.chat.completions.create({
+      model,
+      messages: this._buildChatCompletionsInput(messages, file_ids),
+      max_completion_tokens: this.maxOutputTokens,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal: request.signal });
+
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (typeof delta === 'string' && delta.length > 0) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    return {
+      content: content.trim() || 'Réponse vide',
+      usage: usage ? {
+        total_tokens: usage.total_tokens,
+        prompt_tokens: usage.prompt_tokens,
+        completion_tokens: usage.completion_tokens,
+      } : null,
+      tokensUsed: usage?.total_tokens ?? usage?.completion_tokens ?? 0,
+    };
+  }
+
   /**
    * Vérifie si au moins un fichier n'est pas un PDF.
    * 
@@ -226,9 +291,10 @@ export class ChatGPTAdapter extends BaseAdapter {
    * @param {import('./BaseAdapter.js').StandardizedMessage[]} messages
    * @param {string[]} file_ids
    * @param {string} model
+   * @param {AbortSignal} [signal]
    * @returns {Promise<import('./BaseAdapter.js').StandardizedResponse>}
    */
-  async _handleResponsesFileSearch(messages, file_ids, model) {
+  async _handleResponsesFileSearch(messages, file_ids, model, signal) {
     let vectorStore = null;
     
     try {
@@ -256,7 +322,7 @@ export class ChatGPTAdapter extends BaseAdapter {
           vector_store_ids: vectorStore ? [vectorStore.id] : [] 
         }],
         max_output_tokens: this.maxOutputTokens,
-      });
+      }, { signal });
 
       // Extraction du contenu textuel
       const contentText =
@@ -302,11 +368,43 @@ export class ChatGPTAdapter extends BaseAdapter {
    * @param {import('./BaseAdapter.js').StandardizedMessage[]} messages
    * @param {string[]} file_ids
    * @param {string} model
+   * @param {AbortSignal} [signal]
    * @returns {Promise<import('./BaseAdapter.js').StandardizedResponse>}
    */
-  async _handleChatCompletions(messages, file_ids, model) {
+  async _handleChatCompletions(messages, file_ids, model, signal) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages: this._buildChatCompletionsInput(messages, file_ids),
+      max_completion_tokens: this.maxOutputTokens,
+    }, { signal });
+
+    const reply = response.choices?.[0]?.message?.content ?? '';
+    const usage = response.usage ?? null;
+    const tokensUsed = usage?.total_tokens ?? usage?.completion_tokens ?? 0;
+
+    return {
+      content: String(reply).trim() || 'Réponse vide',
+      usage: usage ? {
+        total_tokens: usage.total_tokens,
+        prompt_tokens: usage.prompt_tokens,
+        completion_tokens: usage.completion_tokens,
+      } : null,
+      tokensUsed,
+    };
+  }
+
+  /**
+   * Convertit les messages standardisés au format OpenAI Chat
+   * (les PDF attachés sont ajoutés dans un message séparé).
+   * 
+   * @private
+   * @param {import('./BaseAdapter.js').StandardizedMessage[]} messages
+   * @param {string[]} file_ids
+   * @returns {Array<Object>}
+   */
+  _buildChatCompletionsInput(messages, file_ids) {
     // Conversion des messages en format OpenAI Chat
-    const inputForChat = [
+    return [
       ...messages.map((m) => ({
         role: m.role,
         content: [{ type: 'text', text: m.content }],
@@ -327,26 +425,6 @@ export class ChatGPTAdapter extends BaseAdapter {
           ]
         : []),
     ];
-
-    const response = await this.client.chat.completions.create({
-      model,
-      messages: inputForChat,
-      max_completion_tokens: this.maxOutputTokens,
-    });
-
-    const reply = response.choices?.[0]?.message?.content ?? '';
-    const usage = response.usage ?? null;
-    const tokensUsed = usage?.total_tokens ?? usage?.completion_tokens ?? 0;
-
-    return {
-      content: String(reply).trim() || 'Réponse vide',
-      usage: usage ? {
-        total_tokens: usage.total_tokens,
-        prompt_tokens: usage.prompt_tokens,
-        completion_tokens: usage.completion_tokens,
-      } : null,
-      tokensUsed,
-    };
   }
 
   /**
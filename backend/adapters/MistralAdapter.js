@@ -157,6 +157,32 @@ export class MistralAdapter extends BaseAdapter {
     }
   }
 
+  /**
+   * Extrait par OCR le texte de certaines pages d'un fichier uploadé.
+   * Mistral numérote les pages à partir de 0 : la conversion est faite ici.
+   * 
+   * @param {string} fileId - ID du fichier chez Mistral
+   * @param {number[]} [pages] - Pages à traiter (à partir de 1) ; toutes si absent
+   * @returns {Promise<Array<{num: number, text: string}>>}
+   */
+  async extractPagesFromFile(fileId, pages) {
+    try {
+      const response = await this.client.ocr.process({
+        model: 'mistral-ocr-latest',
+        document: { fileId },
+        ...(Array.isArray(pages) && pages.length > 0 ? { pages: pages.map((n) => n - 1) } : {}),
+      });
+
+      return (response?.pages ?? []).map((p) => ({
+        num: p.index + 1,
+        text: (p.markdown ?? '').trim(),
+      }));
+    } catch (error) {
+      console.error(`[MistralAdapter] Erreur OCR ${fileId}:`, error.message);
+      throw new Error(`Erreur OCR: ${error.message}`);
+    }
+  }
+
   /**
    * Récupère et télécharge le contenu d'un fichier uploadé.
    * Convertit le contenu en string texte exploitable.
@@ -206,70 +232,21 @@ export class MistralAdapter extends BaseAdapter {
 
   /**
    * Envoie une requête de chat à Mistral.
-   * 
-   * Si des file_ids sont présents :
-   * 1. Extraire le texte via /v1/ocr
-   * 2. Inclure le texte dans le contexte du message utilisateur
+   * Le texte des documents attachés est déjà inclus dans les messages par le ChatService.
    * 
    * @param {import('./BaseAdapter.js').ChatRequest} request
    * @returns {Promise<import('./BaseAdapter.js').StandardizedResponse>}
    */
   async sendChatRequest(request) {
-    const { messages, file_ids = [], model } = request;
-
-    if (!Array.isArray(messages) || messages.length === 0) {
-      throw new Error('Le tableau messages est requis et ne peut pas être vide');
-    }
-
-    // Transformation des messages au format Mistral
-    let mistralMessages = messages.map(m => ({
-      role: m.role,
-      content: m.content
-    }));
-
-    // Si des fichiers sont attachés, extraire le texte via OCR et inclure dans le message
-    if (file_ids && file_ids.length > 0) {
-      let documentContext = '\n\n--- DOCUMENTS ATTACHÉS ---\n';
-      let filesProcessed = 0;
-
-      for (const fileId of file_ids) {
-        try {
-          const extractedText = await this.extractTextFromFile(fileId);
-          
-          const truncated = extractedText.length > 5000 
-            ? extractedText.slice(0, 5000) + '\n[... contenu tronqué ...]'
-            : extractedText;
-          
-          documentContext += `\n[Fichier: ${fileId}]\n${truncated}\n`;
-          filesProcessed++;
-
-          try {
-            await this.deleteFile(fileId);
-          } catch (deleteError) {
-            // Ignorer les erreurs de suppression
-          }
-        } catch (error) {
-          console.error('[MistralAdapter] Erreur traitement fichier:', error.message);
-          documentContext += `\n[Fichier: ${fileId}] - Erreur d'extraction\n`;
-        }
-      }
-
-      // Ajouter le contenu des fichiers au dernier message utilisateur
-      if (mistralMessages.length > 0) {
-        const lastIdx = mistralMessages.length - 1;
-        if (mistralMessages[lastIdx].role === 'user') {
-          mistralMessages[lastIdx].content += documentContext;
-        }
-      }
-    }
+    const mistralMessages = await this._buildMistralMessages(request);
 
     try {
       // Appel à l'API Mistral
       const response = await this.client.chat.complete({
-        model: model || 'mistral-large-latest',
+        model: request.model || 'mistral-large-latest',
         messages: mistralMessages,
         maxTokens: this.maxTokens,
-      });
+      }, { signal: request.signal });
 
       // Extraction de la réponse
       const choice = response?.choices?.[0];
@@ -283,29 +260,123 @@ export class MistralAdapter extends BaseAdapter {
       // Transformation en format standardisé
       return {
         content: content,
-        usage: usage ? {
-          total_tokens: usage.totalTokens ?? 0,
-          prompt_tokens: usage.promptTokens ?? 0,
-          completion_tokens: usage.completionTokens ?? 0,
-        } : null,
+        usage: this._toStandardizedUsage(usage),
         tokensUsed: usage?.totalTokens ?? 0
       };
     } catch (error) {
-      console.error('[MistralAdapter] Erreur lors de l\'appel API:', error);
-      
-      // Gestion des erreurs spécifiques
-      if (error?.status === 401) {
-        throw new Error('Clé API Mistral invalide ou manquante');
-      }
-      if (error?.status === 429) {
-        throw new Error('Limite de taux API Mistral atteinte. Veuillez réessayer plus tard.');
-      }
-      if (error?.status === 400) {
-        throw new Error('Requête invalide envoyée à Mistral: ' + (error?.message ?? 'erreur inconnue'));
+      throw this._toMistralError(error);
+    }
+  }
+
+  /**
+   * Envoie une requête de chat à Mistral en streaming (`chat.stream`).
+   * L'usage est transmis par Mistral dans le dernier événement du flux.
+   * 
+   * @param {import('./BaseAdapter.js').ChatRequest} request
+   * @param {(delta: string) => void} onDelta
+   * @returns {Promise<import('./BaseAdapter.js').StandardizedResponse>}
+   */
+  async streamChatRequest(request, onDelta) {
+    const mistralMessages = await this._buildMistralMessages(request);
+
+    try {
+      const stream = await this.client.chat.stream({
+        model: request.model || 'mistral-large-latest',
+        messages: mistralMessages,
+        maxTokens: this.maxTokens,
+      }, { signal: request.signal });
+
+      let content = '';
+      let usage = null;
+
+      for await (const event of stream) {
+        const chunk = event?.data;
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (typeof delta === 'string' && delta.length > 0) {
+          content += delta;
+          onDelta(delta);
+        }
+        if (chunk?.usage) {
+          usage = chunk.usage;
+        }
       }
-      
-      throw new Error('Erreur Mistral: ' + (error?.message ?? 'erreur inconnue'));
+
+      return {
+        content,
+        usage: this._toStandardizedUsage(usage),
+        tokensUsed: usage?.totalTokens ?? 0
+      };
+    } catch (error) {
+      throw this._toMistralError(error);
+    }
+  }
+
+  /**
+   * Transforme les messages standardisés au format Mistral.
+   * 
+   * @private
+   * @param {import('./BaseAdapter.js').ChatRequest} request
+   * @returns {Promise<Array<{role: string, content: string}>>}
+   */
+  async _buildMistralMessages(request) {
+    const { messages } = request;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Le tableau messages est requis et ne peut pas être vide');
     }
+
+    return messages.map(m => ({
+      role: m.role,
+      content: m.content
+    }));
+  }
+
+  /**
+   * Convertit l'usage Mistral (camelCase) en usage standardisé.
+   * 
+   * @private
+   * @param {{totalTokens?: number, promptTokens?: number, completionTokens?: number} | null} usage
+   * @returns {import('./BaseAdapter.js').StandardizedUsage | null}
+   */
+  _toStandardizedUsage(usage) {
+    return usage ? {
+      total_tokens: usage.totalTokens ?? 0,
+      prompt_tokens: usage.promptTokens ?? 0,
+      completion_tokens: usage.completionTokens ?? 0,
+    } : null;
+  }
+
+  /**
+   * Traduit une erreur de l'API Mistral en message compréhensible.
+   * 
+   * @private
+   * @param {any} error
+   * @returns {Error}
+   */
+  _toMistralError(error) {
+    // Annulation demandée par l'appelant : l'erreur est propagée telle quelle
+    if (error?.name === 'AbortError' || error?.name === 'RequestAbortedError') {
+      return error;
+    }
+
+    console.error('[MistralAdapter] Erreur lors de l\'appel API:', error);
+
+    // Le statut d'origine est perdu : on conserve la possibilité de basculer sur un autre provider
+    const retriable = this.isRetriableError(error);
+    const status = error?.status ?? error?.statusCode;
+    
+    // Gestion des erreurs spécifiques
+    if (status === 401) {
+      return Object.assign(new Error('Clé API Mistral invalide ou manquante'), { retriable });
+    }
+    if (status === 429) {
+      return Object.assign(new Error('Limite de taux API Mistral atteinte. Veuillez réessayer plus tard.'), { retriable });
+    }
+    if (status === 400) {
+      return Object.assign(new Error('Requête invalide envoyée à Mistral: ' + (error?.message ?? 'erreur inconnue')), { retriable });
+    }
+    
+    return Object.assign(new Error('Erreur Mistral: ' + (error?.message ?? 'erreur inconnue')), { retriable });
   }
 
   /**
@@ -0,0 +1,167 @@
+// backend/audit.js
+import { createHash } from 'node:crypto';
+import { recordAudit, purgeAudit } from './db.ts';
+
+/**
+ * Journal d'audit de l'activité (secret professionnel) : qui a posé quelle question, quand,
+ * avec quel modèle et quels documents. Configuré par :
+ * - AUDIT_LOG : `hashes` (défaut, empreintes SHA-256 de la question et de la réponse, sans leur texte),
+ *   `full` (texte de la question et de la réponse en plus des empreintes) ou `off` (aucune écriture)
+ * - AUDIT_RETENTION_DAYS : durée de conservation en jours (365 par défaut), purge automatique
+ *   au démarrage puis chaque jour
+ *
+ * Les entrées ne sont pas liées aux conversations : elles survivent à leur suppression jusqu'à la purge.
+ * Une écriture impossible est signalée dans les logs sans faire échouer la requête de l'utilisateur.
+ */
+
+export const AUDIT_MODES = ['full', 'hashes', 'off'];
+
+const DEFAULT_RETENTION_DAYS = 365;
+// Longueur conservée du message d'erreur d'un échange échoué (colonne error)
+const MAX_ERROR_LENGTH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} AuditPolicy
+ * @property {'full' | 'hashes' | 'off'} mode
+ * @property {number} retentionDays
+ */
+
+/**
+ * @typedef {import('./db.ts').AuditFile} AuditFile
+ */
+
+/**
+ * Politique d'audit en vigueur.
+ *
+ * @param {string} [mode] - Valeur de AUDIT_LOG
+ * @param {string} [retention] - Valeur de AUDIT_RETENTION_DAYS
+ * @returns {AuditPolicy}
+ */
+export function getAuditPolicy(mode = process.env.AUDIT_LOG, retention = process.env.AUDIT_RETENTION_DAYS) {
+  let value = String(mode || 'hashes').trim().toLowerCase();
+  if (!AUDIT_MODES.includes(value)) {
+    console.warn(`[Audit] AUDIT_LOG invalide (${mode}), empreintes seules utilisées`);
+    value = 'hashes';
+  }
+
+  const days = Number(retention);
+  if (retention && !(Number.isInteger(days) && days > 0)) {
+    console.warn(`[Audit] AUDIT_RETENTION_DAYS invalide (${retention}), ${DEFAULT_RETENTION_DAYS} jours utilisés`);
+  }
+
+  return {
+    mode: /** @type {AuditPolicy['mode']} */ (value),
+    retentionDays: Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS,
+  };
+}
+
+/**
+ * Empreinte SHA-256 (hexadécimal) d'un texte ou du contenu d'un fichier.
+ *
+ * @param {string | Buffer} data
+ * @returns {string}
+ */
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Enregistre un échange (question et réponse, y compris interrompue ou en échec).
+ *
+ * @param {string} username
+ * @param {Object} exchange
+ * @param {string} exchange.model - Modèle qui a répondu
+ * @param {string} exchange.provider
+ * @param {number | null} exchange.conversationId
+ * @param {AuditFile[]} exchange.files - Documents joints à la question
+ * @param {string} exchange.prompt - Question de l'utilisateur (données personnelles non masquées)
+ * @param {string} exchange.answer
+ * @param {boolean} exchange.aborted - Génération interrompue par l'utilisateur
+ * @param {string | null} [exchange.error] - Erreur du provider (échange échoué, réponse vide)
+ * @returns {Promise<void>}
+ */
+export async function auditChat(username, { model, provider, conversationId, files, prompt, answer, aborted, error = null }) {
+  await write(username, (full) => ({
+    action: 'chat',
+    model,
+    provider,
+    conversation_id: conversationId,
+    files,
+    prompt: full ? prompt : null,
+    prompt_sha256: sha256(prompt),
+    answer: full ? answer : null,
+    answer_sha256: sha256(answer),
+    aborted,
+    error: error == null ? null : String(error).slice(0, MAX_ERROR_LENGTH),
+  }));
+}
+
+/**
+ * Enregistre l'envoi de documents (noms, tailles et empreintes, jamais leur contenu).
+ *
+ * @param {string} username
+ * @param {AuditFile[]} files
+ * @returns {Promise<void>}
+ */
+export async function auditUpload(username, files) {
+  await write(username, () => ({
+    action: 'upload',
+    model: null,
+    provider: null,
+    conversation_id: null,
+    files,
+    prompt: null,
+    prompt_sha256: null,
+    answer: null,
+    answer_sha256: null,
+    aborted: false,
+    error: null,
+  }));
+}
+
+/**
+ * @param {string} username
+ * @param {(full: boolean) => Omit<import('./db.ts').AuditEntry, 'policy'>} build
+ * @returns {Promise<void>}
+ */
+async function write(username, build) {
+  const { mode } = getAuditPolicy();
+  if (mode === 'off') return;
+
+  try {
+    await recordAudit(username, { ...build(mode === 'full'), policy: mode });
+  } catch (err) {
+    console.error(`[Audit] Écriture impossible : ${err?.message ?? err}`);
+  }
+}
+
+/**
+ * Supprime les entrées plus anciennes que la durée de conservation.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Nombre d'entrées supprimées
+ */
+export async function purgeExpiredAudit(now = new Date()) {
+  const { retentionDays } = getAuditPolicy();
+  return await purgeAudit(new Date(now.getTime() - retentionDays * DAY_MS));
+}
+
+/**
+ * Purge au démarrage puis chaque jour (le minuteur ne retient pas le processus).
+ *
+ * @returns {void}
+ */
+export function scheduleAuditPurge() {
+  const run = async () => {
+    try {
+      const deleted = await purgeExpiredAudit();
+      if (deleted > 0) console.log(`🧹 [Audit] ${deleted} entrée(s) expirée(s) supprimée(s)`);
+    } catch (err) {
+      console.error(`[Audit] Purge impossible : ${err?.message ?? err}`);
+    }
+  };
+
+  run();
+  setInterval(run, DAY_MS).unref();
+}
@@ -0,0 +1,54 @@
+// backend/budget.js
+
+/**
+ * Période sur laquelle le budget de l'utilisateur (maxCost) est contrôlé.
+ * Configurée par BUDGET_PERIOD :
+ * - `month` (défaut) : mois calendaire en cours
+ * - `rolling:<jours>` : fenêtre glissante (ex: rolling:30)
+ * - `lifetime` : depuis toujours (ancien comportement, remise à zéro manuelle)
+ * Les coûts sont lus dans le registre d'usage (dbo.usage_ledger).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} BudgetPeriod
+ * @property {'month' | 'rolling' | 'lifetime'} kind
+ * @property {Date | null} start - Début de la période (null : depuis toujours)
+ * @property {string} label - Libellé affichable (ex: "octobre 2026", "30 derniers jours")
+ */
+
+/**
+ * Période de budget en cours.
+ *
+ * @param {string} [setting] - Valeur de BUDGET_PERIOD
+ * @param {Date} [now]
+ * @returns {BudgetPeriod}
+ */
+export function getBudgetPeriod(setting = process.env.BUDGET_PERIOD, now = new Date()) {
+  const value = String(setting || 'month').trim().toLowerCase();
+
+  if (value === 'lifetime') {
+    return { kind: 'lifetime', start: null, label: 'depuis la création du compte' };
+  }
+
+  const rolling = /^rolling:(\d+)$/.exec(value);
+  if (rolling && Number(rolling[1]) > 0) {
+    const days = Number(rolling[1]);
+    return {
+      kind: 'rolling',
+      start: new Date(now.getTime() - days * DAY_MS),
+      label: `${days} derniers jours`,
+    };
+  }
+
+  if (value !== 'month') {
+    console.warn(`[Budget] BUDGET_PERIOD invalide (${setting}), mois calendaire utilisé`);
+  }
+
+  return {
+    kind: 'month',
+    start: new Date(now.getFullYear(), now.getMonth(), 1),
+    label: new Intl.DateTimeFormat('fr-FR', { month: 'long', year: 'numeric' }).format(now),
+  };
+}
@@ -0,0 +1,41 @@
+// backend/configFile.js
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Configuration modifiable sans nouvelle version : fichier JSON désigné par une variable d'environnement,
+ * relu dès qu'il est modifié. Un fichier absent ou invalide est signalé une fois (jusqu'à sa prochaine
+ * modification) et la dernière configuration valide est conservée (la configuration par défaut au départ).
+ *
+ * @template T
+ * @param {Object} options
+ * @param {string} options.envVar - Variable d'environnement contenant le chemin du fichier
+ * @param {string} options.label - Préfixe des messages de log (ex: 'Filtre')
+ * @param {T} options.defaults - Configuration utilisée sans fichier
+ * @param {(raw: any) => T} options.parse - Validation du contenu du fichier (lève une Error si invalide)
+ * @returns {() => T} Lecture de la configuration en vigueur
+ */
+export function watchedJsonConfig({ envVar, label, defaults, parse }) {
+  let cache = { file: '', mtimeMs: 0, value: defaults };
+
+  return () => {
+    const configured = process.env[envVar]?.trim();
+    if (!configured) return defaults;
+
+    const file = path.resolve(configured);
+    const stat = fs.statSync(file, { throwIfNoEntry: false });
+    const mtimeMs = stat?.mtimeMs ?? -1;
+    if (cache.file === file && cache.mtimeMs === mtimeMs) return cache.value;
+
+    try {
+      if (!stat) throw new Error('fichier introuvable');
+      const value = parse(JSON.parse(fs.readFileSync(file, 'utf8')));
+      cache = { file, mtimeMs, value };
+      console.log(`[${label}] Configuration chargée depuis ${file}`);
+    } catch (err) {
+      console.error(`[${label}] Configuration ignorée (${file}) : ${err?.message ?? err}`);
+      cache = { ...cache, file, mtimeMs };
+    }
+    return cache.value;
+  };
+}
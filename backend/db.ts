@@ -1,159 +1,273 @@
 // backend/db.ts
-import sql from 'mssql';
-
-let poolPromise: Promise<sql.ConnectionPool> | null = null;
-let isConnected = false;
-
-// Configuration SQL Server (évaluée de manière lazy pour attendre dotenv)
-function getSqlConfig(): sql.config {
-  return {
-    user: process.env.MSSQL_USER ?? 'intra',
-    password: process.env.MSSQL_PASSWORD,
-    server: process.env.MSSQL_SERVER ?? '192.168.40.81',
-    database: process.env.MSSQL_DATABASE ?? 'Gestion_Intra',
-    options: {
-      instanceName: process.env.MSSQL_INSTANCE ?? 'SQLEXPRESS',
-      encrypt: false,
-      trustServerCertificate: true,
-    },
-    pool: {
-      max: 10,
-      min: 0,
-      idleTimeoutMillis: 30_000,
-    },
-  };
-}
-
-// Connexion à SQL Server via un pool partagé
-export async function connectDB(): Promise<sql.ConnectionPool> {
-  const sqlConfig = getSqlConfig();
-  
-  if (!sqlConfig.password) {
-    throw new Error('MSSQL_PASSWORD is required');
-  }
+import { MssqlStore } from './storage/MssqlStore.ts';
+import { SqliteStore } from './storage/SqliteStore.ts';
+import type {
+  AdminUser,
+  AdminUserChanges,
+  AuditEntry,
+  AuditFilter,
+  AuditRecord,
+  Conversation,
+  ConversationDocument,
+  ConversationDocumentContent,
+  DocumentPage,
+  FeatureFlags,
+  FeedbackExportRow,
+  FeedbackFilter,
+  FeedbackRating,
+  MessageFeedback,
+  MessageSearchHit,
+  ModelPermission,
+  NewMessage,
+  PromptTemplate,
+  PromptTemplateInput,
+  Store,
+  StoredMessage,
+  UsageEntry,
+  UsageSummary,
+} from './storage/Store.ts';
 
-  if (!poolPromise) {
-    poolPromise = sql.connect(sqlConfig)
-      .then(pool => {
-        if (!isConnected) {
-          console.log(`✅ Base de données connectée: ${sqlConfig.database}`);
-          isConnected = true;
-        }
-        return pool;
-      })
-      .catch(err => {
-        console.error(`❌ Erreur de connexion DB:`, err.message);
-        poolPromise = null;
-        throw err;
-      });
-  }
+export { MODEL_PERMISSIONS, USER_RIGHTS, foldText } from './storage/Store.ts';
+export type {
+  AdminUser,
+  AdminUserChanges,
+  AuditAction,
+  AuditEntry,
+  AuditFile,
+  AuditFilter,
+  AuditRecord,
+  Conversation,
+  ConversationDocument,
+  ConversationDocumentContent,
+  DocumentPage,
+  FeatureFlags,
+  FeedbackExportRow,
+  FeedbackFilter,
+  FeedbackRating,
+  MessageFeedback,
+  MessageSearchHit,
+  ModelPermission,
+  NewMessage,
+  PromptTemplate,
+  PromptTemplateInput,
+  StoredMessage,
+  TemplateScope,
+  UsageEntry,
+  UsageSummary,
+  UserRight,
+} from './storage/Store.ts';
+
+// Moteurs de stockage disponibles (DB_DRIVER)
+const STORES: Record<string, () => Store> = {
+  mssql: () => new MssqlStore(),
+  sqlite: () => new SqliteStore(),
+};
 
-  return poolPromise;
+let store: Store | null = null;
+
+// Moteur choisi par DB_DRIVER : mssql (base intranet, défaut) ou sqlite (base locale)
+// Évalué de manière lazy pour attendre dotenv.
+function getStore(): Store {
+  if (!store) {
+    const driver = (process.env.DB_DRIVER || 'mssql').trim().toLowerCase();
+    const create = STORES[driver];
+    if (!create) {
+      throw new Error(`DB_DRIVER invalide : ${driver} (valeurs possibles : ${Object.keys(STORES).join(', ')})`);
+    }
+    store = create();
+  }
+  return store;
 }
 
-// Typage des droits/flags
-export type FeatureFlags = {
-  canUseApp: boolean;
-  canImportFiles: boolean;
-};
+// Connexion et création du schéma (appelée au démarrage du serveur)
+export async function connectDB(): Promise<void> {
+  await getStore().connect();
+}
 
 // Lecture des permissions
 export async function getPermissions(user_name: string): Promise<FeatureFlags> {
-  const db = await connectDB();
-  const result = await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .query(
-      'SELECT canUseApp, canImportFiles FROM dbo.users WHERE user_name = @user_name'
-    );
-  const row = result.recordset?.[0];
-
-  if (!row) {
-    return { canUseApp: false, canImportFiles: false };
-  }
+  return getStore().getPermissions(user_name);
+}
+
+// Liste des utilisateurs avec leurs droits, leurs compteurs et leur consommation depuis `since`
+export async function listUsersWithUsage(since: Date | null): Promise<AdminUser[]> {
+  return getStore().listUsersWithUsage(since);
+}
 
-  return {
-    canUseApp: Boolean(Number(row.canUseApp ?? 0)),
-    canImportFiles: Boolean(Number(row.canImportFiles ?? 0)),
-  };
+// Modifie les droits et/ou le budget d'un utilisateur (false si l'utilisateur n'existe pas)
+export async function updateUser(user_name: string, changes: AdminUserChanges): Promise<boolean> {
+  return getStore().updateUser(user_name, changes);
+}
+
+// Droits de l'utilisateur sur chaque modèle (tout refusé si l'utilisateur est inconnu)
+export async function getModelPermissions(user_name: string): Promise<Record<ModelPermission, boolean>> {
+  return getStore().getModelPermissions(user_name);
 }
 
 // Lecture des statistiques
 export async function getTotalTokens(user_name: string): Promise<number> {
-  const db = await connectDB();
-  const result = await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .query('SELECT totalTokens FROM dbo.users WHERE user_name = @user_name');
-  const row = result.recordset?.[0];
-  return Number(row?.totalTokens ?? 0);
+  return getStore().getTotalTokens(user_name);
 }
 
 export async function getTotalCost(user_name: string): Promise<number> {
-  const db = await connectDB();
-  const result = await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .query('SELECT totalCost FROM dbo.users WHERE user_name = @user_name');
-  const row = result.recordset?.[0];
-  return Number(row?.totalCost ?? 0);
+  return getStore().getTotalCost(user_name);
 }
 
 export async function getCostLimit(user_name: string): Promise<number> {
-  const db = await connectDB();
-  const result = await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .query('SELECT maxCost FROM dbo.users WHERE user_name = @user_name');
-  const row = result.recordset?.[0];
-  return Number(row?.maxCost ?? 2.0);
-}
-
-// Mise à jour des statistiques
-export async function addTokens(user_name: string, tokens_to_add: number): Promise<void> {
-  const db = await connectDB();
-  await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .input('tokens_to_add', sql.Int, tokens_to_add)
-    .query('UPDATE dbo.users SET totalTokens = totalTokens + @tokens_to_add WHERE user_name = @user_name');
-}
-
-export async function addCost(user_name: string, cost_to_add: number): Promise<void> {
-  const db = await connectDB();
-  await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .input('cost_to_add', sql.Decimal(18, 4), cost_to_add)
-    .query('UPDATE dbo.users SET totalCost = totalCost + @cost_to_add WHERE user_name = @user_name');
-}
-
-export async function addRequest(user_name: string): Promise<void> {
-  const db = await connectDB();
-  await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .query('UPDATE dbo.users SET totalRequests = ISNULL(totalRequests, 0) + 1 WHERE user_name = @user_name');
-}
-
-export async function addRequestWithFiles(user_name: string): Promise<void> {
-  const db = await connectDB();
-  await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .query('UPDATE dbo.users SET totalRequestsWithFiles = ISNULL(totalRequestsWithFiles, 0) + 1 WHERE user_name = @user_name');
+  return getStore().getCostLimit(user_name);
+}
+
+// Enregistrement d'un appel dans le registre d'usage (les compteurs cumulés en sont calculés)
+export async function recordUsage(user_name: string, entry: UsageEntry): Promise<void> {
+  return getStore().recordUsage(user_name, entry);
+}
+
+// Coût consommé depuis une date (période de budget) ; sans date, coût cumulé de l'utilisateur
+export async function getCostSince(user_name: string, since: Date | null): Promise<number> {
+  return since ? getStore().getCostSince(user_name, since) : getStore().getTotalCost(user_name);
+}
+
+// Consommation d'un utilisateur sur une période, détaillée par modèle
+export async function getUsageSummary(user_name: string, since: Date | null): Promise<UsageSummary> {
+  return getStore().getUsageSummary(user_name, since);
 }
 
 // Crée l'utilisateur s'il n'existe pas, avec des valeurs par défaut à 0.
 export async function ensureUserExists(user_name: string): Promise<void> {
-  const db = await connectDB();
-  await db
-    .request()
-    .input('user_name', sql.NVarChar, user_name)
-    .query(
-      `IF NOT EXISTS (SELECT 1 FROM dbo.users WHERE user_name = @user_name)
-       BEGIN
-         INSERT INTO dbo.users (user_name) VALUES (@user_name);
-       END`
-    );
+  return getStore().ensureUserExists(user_name);
+}
+
+// Conversations de l'utilisateur, la plus récemment modifiée en premier
+export async function listConversations(user_name: string): Promise<Conversation[]> {
+  return getStore().listConversations(user_name);
+}
+
+export async function createConversation(user_name: string, title: string): Promise<Conversation> {
+  return getStore().createConversation(user_name, title);
+}
+
+// Retourne null si la conversation n'existe pas ou n'appartient pas à l'utilisateur
+export async function getConversation(
+  user_name: string,
+  conversation_id: number
+): Promise<{ conversation: Conversation; messages: StoredMessage[] } | null> {
+  return getStore().getConversation(user_name, conversation_id);
+}
+
+export async function renameConversation(
+  user_name: string,
+  conversation_id: number,
+  title: string
+): Promise<boolean> {
+  return getStore().renameConversation(user_name, conversation_id, title);
+}
+
+// Les messages sont supprimés en cascade
+export async function deleteConversation(user_name: string, conversation_id: number): Promise<boolean> {
+  return getStore().deleteConversation(user_name, conversation_id);
+}
+
+// Ajoute un message à une conversation de l'utilisateur.
+// Retourne l'id du message, ou null si la conversation n'appartient pas à l'utilisateur
+// (ou si le message parent n'appartient pas à la conversation).
+export async function addMessage(
+  user_name: string,
+  conversation_id: number,
+  message: NewMessage
+): Promise<number | null> {
+  return getStore().addMessage(user_name, conversation_id, message);
+}
+
+// Recherche dans les messages des conversations de l'utilisateur.
+// terms : mots repliés par foldText, tous présents dans chaque message trouvé.
+export async function searchMessages(user_name: string, terms: string[], limit: number): Promise<MessageSearchHit[]> {
+  return getStore().searchMessages(user_name, terms, limit);
+}
+
+// Enregistre (ou remplace) l'avis de l'utilisateur sur une réponse de l'assistant.
+// Retourne null si la réponse n'existe pas ou n'appartient pas à l'utilisateur.
+export async function saveFeedback(
+  user_name: string,
+  message_id: number,
+  feedback: { rating: FeedbackRating; comment: string | null }
+): Promise<MessageFeedback | null> {
+  return getStore().saveFeedback(user_name, message_id, feedback);
+}
+
+export async function deleteFeedback(user_name: string, message_id: number): Promise<boolean> {
+  return getStore().deleteFeedback(user_name, message_id);
+}
+
+// Avis de tous les utilisateurs avec le contexte des réponses notées (revue qualité)
+export async function listFeedback(filter: FeedbackFilter): Promise<FeedbackExportRow[]> {
+  return getStore().listFeedback(filter);
+}
+
+// Journal d'audit (voir backend/audit.js)
+export async function recordAudit(user_name: string, entry: AuditEntry): Promise<void> {
+  return getStore().recordAudit(user_name, entry);
+}
+
+export async function listAudit(filter: AuditFilter): Promise<AuditRecord[]> {
+  return getStore().listAudit(filter);
+}
+
+// Supprime les entrées antérieures à `before` ; retourne le nombre d'entrées supprimées
+export async function purgeAudit(before: Date): Promise<number> {
+  return getStore().purgeAudit(before);
+}
+
+// Retourne null si la conversation n'existe pas ou n'appartient pas à l'utilisateur
+export async function listConversationDocuments(
+  user_name: string,
+  conversation_id: number
+): Promise<ConversationDocument[] | null> {
+  return getStore().listConversationDocuments(user_name, conversation_id);
+}
+
+// Idem, avec le texte extrait de chaque page
+export async function getConversationDocumentsContent(
+  user_name: string,
+  conversation_id: number
+): Promise<ConversationDocumentContent[] | null> {
+  return getStore().getConversationDocumentsContent(user_name, conversation_id);
+}
+
+// Retourne l'id du document, ou null si la conversation n'appartient pas à l'utilisateur.
+export async function addConversationDocument(
+  user_name: string,
+  conversation_id: number,
+  document: { name: string; size: number; extraction: unknown; pages: DocumentPage[] }
+): Promise<number | null> {
+  return getStore().addConversationDocument(user_name, conversation_id, document);
+}
+
+export async function deleteConversationDocument(
+  user_name: string,
+  conversation_id: number,
+  document_id: number
+): Promise<boolean> {
+  return getStore().deleteConversationDocument(user_name, conversation_id, document_id);
+}
+
+// Modèles personnels de l'utilisateur et modèles partagés du cabinet
+export async function listTemplates(user_name: string): Promise<PromptTemplate[]> {
+  return getStore().listTemplates(user_name);
+}
+
+// Retourne null si le modèle n'existe pas (les droits sont vérifiés par TemplateService)
+export async function getTemplate(template_id: number): Promise<PromptTemplate | null> {
+  return getStore().getTemplate(template_id);
+}
+
+export async function createTemplate(user_name: string, template: PromptTemplateInput): Promise<PromptTemplate> {
+  return getStore().createTemplate(user_name, template);
+}
+
+export async function updateTemplate(template_id: number, template: PromptTemplateInput): Promise<boolean> {
+  return getStore().updateTemplate(template_id, template);
+}
+
+export async function deleteTemplate(template_id: number): Promise<boolean> {
+  return getStore().deleteTemplate(template_id);
 }
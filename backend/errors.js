@@ -0,0 +1,13 @@
+// backend/errors.js
+
+/**
+ * Crée une erreur portant un statut HTTP.
+ * Les routes Express lisent `err.status` pour choisir le code de réponse.
+ *
+ * @param {number} status - Code HTTP (ex: 400, 403, 404)
+ * @param {string} message - Message affichable côté frontend
+ * @returns {Error & {status: number}}
+ */
+export function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
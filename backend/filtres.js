@@ -0,0 +1,206 @@
+// backend/filtres.js
+import { watchedJsonConfig } from './configFile.js';
+
+/**
+ * Options du filtre de rédaction (longueur, format, domaine) et consigne injectée dans le prompt
+ * pour chacune. Les options par défaut ci-dessous peuvent être remplacées sans nouvelle version
+ * par un fichier JSON désigné par FILTRE_CONFIG_PATH (relu dès qu'il est modifié) :
+ *
+ *   { "format": { "label": "Format", "default": "synthèse", "options": [
+ *       { "value": "tableau", "label": "Tableau", "instruction": "Présenter la réponse sous forme de tableau." }
+ *   ] } }
+ *
+ * Un groupe absent du fichier conserve les options par défaut.
+ */
+
+/**
+ * @typedef {Object} FiltreOption
+ * @property {string} value - Valeur transmise par le frontend (et enregistrée dans les modèles de requêtes)
+ * @property {string} label - Libellé affiché
+ * @property {string} instruction - Consigne ajoutée au prompt lorsque l'option est choisie
+ */
+
+/**
+ * @typedef {Object} FiltreGroup
+ * @property {string} label - Libellé du sélecteur
+ * @property {string} default - Valeur utilisée si la requête n'en précise pas (ou une valeur inconnue)
+ * @property {FiltreOption[]} options
+ */
+
+/** Groupes de sélecteurs du filtre (le contexte est un champ libre) */
+export const FILTRE_GROUPS = ['longueur', 'format', 'domaine'];
+
+const MAX_CONTEXTE_LENGTH = 500;
+
+/** @type {Record<string, FiltreGroup>} */
+const DEFAULT_OPTIONS = {
+  longueur: {
+    label: 'Longueur',
+    default: 'court',
+    options: [
+      {
+        value: 'court',
+        label: 'Court',
+        instruction: 'Réponse courte : aller à l\'essentiel en quelques points clés.',
+      },
+      {
+        value: 'long',
+        label: 'Long',
+        instruction: 'Réponse détaillée : développer l\'analyse, les conditions d\'application et les exceptions.',
+      },
+    ],
+  },
+  format: {
+    label: 'Format',
+    default: 'synthèse',
+    options: [
+      {
+        value: 'mail',
+        label: 'Mail',
+        instruction: 'Rédiger un e-mail prêt à envoyer (objet, formule d\'appel, corps, formule de politesse).',
+      },
+      {
+        value: 'synthèse',
+        label: 'Synthèse',
+        instruction: 'Rédiger une synthèse structurée (titres de section, listes à puces).',
+      },
+    ],
+  },
+  domaine: {
+    label: 'Domaine',
+    default: 'comptable',
+    options: [
+      { value: 'comptable', label: 'Comptable', instruction: 'Domaine comptable (PCG, normes comptables, clôture).' },
+      { value: 'social', label: 'Social', instruction: 'Domaine social (Code du travail, conventions collectives, URSSAF).' },
+      { value: 'fiscale', label: 'Fiscale', instruction: 'Domaine fiscal (CGI, BOFiP).' },
+      { value: 'juridique', label: 'Juridique', instruction: 'Domaine juridique (droit des sociétés, Code civil, Code de commerce).' },
+    ],
+  },
+};
+
+/**
+ * Valide un groupe lu dans le fichier de configuration.
+ *
+ * @param {string} key
+ * @param {any} group
+ * @returns {FiltreGroup}
+ * @throws {Error} si le groupe est invalide
+ */
+function parseGroup(key, group) {
+  const options = Array.isArray(group?.options) ? group.options : [];
+  if (options.length === 0) {
+    throw new Error(`${key} : aucune option`);
+  }
+
+  const seen = new Set();
+  const parsed = options.map((o) => {
+    const value = String(o?.value ?? '').trim();
+    if (!value || seen.has(value)) throw new Error(`${key} : valeur vide ou en double (${value})`);
+    seen.add(value);
+    return {
+      value,
+      label: String(o?.label ?? value).trim() || value,
+      instruction: String(o?.instruction ?? '').trim(),
+    };
+  });
+
+  const fallback = String(group?.default ?? '');
+  return {
+    label: String(group?.label ?? DEFAULT_OPTIONS[key].label),
+    default: seen.has(fallback) ? fallback : parsed[0].value,
+    options: parsed,
+  };
+}
+
+/**
+ * Options du filtre en vigueur : fichier FILTRE_CONFIG_PATH s'il est valide, options par défaut sinon.
+ *
+ * @type {() => Record<string, FiltreGroup>}
+ */
+export const getFiltreOptions = watchedJsonConfig({
+  envVar: 'FILTRE_CONFIG_PATH',
+  label: 'Filtre',
+  defaults: DEFAULT_OPTIONS,
+  parse: (raw) =>
+    Object.fromEntries(
+      FILTRE_GROUPS.map((key) => [key, raw?.[key] === undefined ? DEFAULT_OPTIONS[key] : parseGroup(key, raw[key])])
+    ),
+});
+
+/**
+ * Description publique des options (sans les consignes) pour construire les sélecteurs.
+ *
+ * @returns {{groups: Array<{key: string, label: string, options: Array<{value: string, label: string}>}>, defaults: Record<string, string>}}
+ */
+export function describeFiltreOptions() {
+  const config = getFiltreOptions();
+  return {
+    groups: FILTRE_GROUPS.map((key) => ({
+      key,
+      label: config[key].label,
+      options: config[key].options.map(({ value, label }) => ({ value, label })),
+    })),
+    defaults: { ...Object.fromEntries(FILTRE_GROUPS.map((key) => [key, config[key].default])), contexte: '' },
+  };
+}
+
+/**
+ * Option retenue pour chaque groupe : une valeur inconnue (option retirée de la configuration)
+ * est remplacée par la valeur par défaut.
+ *
+ * @param {any} filtre
+ * @returns {Array<{key: string, group: FiltreGroup, option: FiltreOption}>}
+ */
+function selectedOptions(filtre) {
+  const config = getFiltreOptions();
+  return FILTRE_GROUPS.flatMap((key) => {
+    const group = config[key];
+    const option =
+      group.options.find((o) => o.value === filtre[key]) ?? group.options.find((o) => o.value === group.default);
+    return option ? [{ key, group, option }] : [];
+  });
+}
+
+/**
+ * @param {any} filtre
+ * @returns {string}
+ */
+function contexteOf(filtre) {
+  return String(filtre.contexte ?? '').trim().slice(0, MAX_CONTEXTE_LENGTH);
+}
+
+/**
+ * Bloc de consignes de rédaction construit à partir du filtre choisi dans l'interface.
+ *
+ * @param {any} filtre - { longueur, format, domaine, contexte }
+ * @returns {string | null} null si aucun filtre n'est transmis
+ */
+export function buildFiltreInstruction(filtre) {
+  if (!filtre || typeof filtre !== 'object') return null;
+
+  const lignes = ['[Instruction de rédaction]', 'Réponse attendue :'];
+  for (const { group, option } of selectedOptions(filtre)) {
+    lignes.push(`- ${group.label} : ${option.instruction || option.label}`);
+  }
+
+  const contexte = contexteOf(filtre);
+  if (contexte) {
+    lignes.push(`- Contexte : ${contexte}`);
+  }
+
+  return lignes.join('\n');
+}
+
+/**
+ * Réglages effectivement appliqués (ceux de buildFiltreInstruction), enregistrés avec la réponse.
+ *
+ * @param {any} filtre - { longueur, format, domaine, contexte }
+ * @returns {Record<string, string> | null} null si aucun filtre n'est transmis
+ */
+export function resolveFiltre(filtre) {
+  if (!filtre || typeof filtre !== 'object') return null;
+
+  const resolved = Object.fromEntries(selectedOptions(filtre).map(({ key, option }) => [key, option.value]));
+  const contexte = contexteOf(filtre);
+  return contexte ? { ...resolved, contexte } : resolved;
+}
@@ -3,8 +3,17 @@ import express from 'express';
 import cors from 'cors';
 import { config } from 'dotenv';
 import multer from 'multer';
-import { MAX_FILES } from '../frontend/src/config.ts';
+import { MAX_FILES, MAX_FILE_SIZE } from '../frontend/src/config.ts';
 import { ChatService } from './services/ChatService.js';
+import { ConversationService } from './services/ConversationService.js';
+import { AdminService } from './services/AdminService.js';
+import { TemplateService } from './services/TemplateService.js';
+import { FeedbackService } from './services/FeedbackService.js';
+import { corsOptions, requireBackendToken } from './security/auth.js';
+import { getCachedPermissions } from './security/permissions.ts';
+import { describeFiltreOptions } from './filtres.js';
+import { auditUpload, scheduleAuditPurge } from './audit.js';
+import { getWindowsUserName } from './security/identity.ts';
 
 if (process.env.DOTENV_CONFIG_PATH) {
   config({ path: process.env.DOTENV_CONFIG_PATH });
@@ -17,37 +26,110 @@ const port = Number(process.env.PORT ?? 3000);
 
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 20 * 1024 * 1024, files: MAX_FILES },
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
 });
 
-app.use(cors());
+app.use(cors(corsOptions()));
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 
 app.get('/healthz', (_req, res) => res.json({ ok: true }));
 
-// Configuration du ChatService avec le provider Mistral
+// Toutes les routes /api exigent le secret de lancement transmis au renderer par preload.js
+app.use('/api', requireBackendToken());
+
+// Configuration du ChatService : Mistral par défaut, OpenAI proposé si OPENAI_API_KEY est définie
 const chatService = new ChatService({
   provider: 'mistral',
   providerConfig: {
     apiKey: process.env.MISTRAL_API_KEY,
     maxTokens: Number(process.env.MAX_OUTPUT_TOKENS ?? 4096),
   },
+  additionalProviders: {
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      maxOutputTokens: Number(process.env.MAX_OUTPUT_TOKENS ?? 4096),
+    },
+  },
   costLimit: 2.0,
+  ocrPolicy: process.env.OCR_POLICY ?? 'local-only',
+  pseudonymize: process.env.PSEUDONYMIZATION !== 'off',
+  failover: process.env.PROVIDER_FAILOVER !== 'off',
+  maxOutputTokens: Number(process.env.MAX_OUTPUT_TOKENS ?? 4096),
 });
 
+const conversationService = new ConversationService();
+const adminService = new AdminService();
+const templateService = new TemplateService();
+const feedbackService = new FeedbackService();
+
+/**
+ * Renvoie une erreur JSON { error, message } avec le statut porté par l'erreur.
+ */
+function sendError(res, err, error, fallbackMessage) {
+  const status = Number(err?.status ?? err?.statusCode ?? 500);
+  const message = String(err?.message ?? fallbackMessage);
+  console.error(`[${error}]`, message);
+  return res.status(status >= 400 && status <= 599 ? status : 500).json({ error, message });
+}
+
+// Messages affichés lorsqu'un droit manque
+const PERMISSION_MESSAGES = {
+  canUseApp: 'Votre compte ne dispose pas des droits pour utiliser cette application.',
+  canImportFiles: 'Votre compte n\'est pas autorisé à importer des documents.',
+  isAdmin: 'Accès réservé aux administrateurs',
+};
+
+/**
+ * Middleware : refuse la requête (403) si l'utilisateur courant n'a pas le droit demandé.
+ * Réponse : { error: 'PermissionDenied', message, permission }.
+ *
+ * @param {'canUseApp' | 'canImportFiles' | 'isAdmin'} permission
+ */
+function requirePermission(permission) {
+  return async (_req, res, next) => {
+    let flags;
+    try {
+      flags = await getCachedPermissions();
+    } catch (err) {
+      return sendError(
+        res,
+        { status: 503, message: `Impossible de vérifier les droits de l'utilisateur : ${err?.message ?? err}` },
+        'PermissionError'
+      );
+    }
+
+    if (!flags[permission]) {
+      console.warn(`[PermissionDenied] ${permission}`);
+      return res.status(403).json({
+        error: 'PermissionDenied',
+        message: PERMISSION_MESSAGES[permission],
+        permission,
+      });
+    }
+    next();
+  };
+}
+
+// Routes /api réservées aux utilisateurs autorisés (la console d'administration aux administrateurs)
+app.use('/api', requirePermission('canUseApp'));
+app.use('/api/admin', requirePermission('isAdmin'));
+
 /* -------------------------------------------------------------------------- */
 /*                                   UPLOAD                                    */
 /* -------------------------------------------------------------------------- */
 /**
- * Route pour uploader des fichiers (documents) vers l'API Mistral.
+ * Route pour attacher des fichiers (documents) : le texte est extrait localement,
+ * l'OCR de Mistral n'est utilisé que si OCR_POLICY l'autorise.
  * 
  * Retourne un tableau avec:
- * - file_id: ID du fichier chez Mistral
+ * - file_id: ID du document extrait (à transmettre dans file_ids)
  * - name: Nom du fichier
  * - size: Taille en bytes
+ * - sha256: Empreinte SHA-256 du fichier (journal d'audit)
+ * - extraction: méthode d'extraction retenue (local, ocr, mixed, partial) et pages concernées
  */
-app.post('/api/files', upload.array('files', MAX_FILES), async (req, res) => {
+app.post('/api/files', requirePermission('canImportFiles'), upload.array('files', MAX_FILES), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -57,6 +139,7 @@ app.post('/api/files', upload.array('files', MAX_FILES), async (req, res) => {
     }
 
     const uploadResults = await chatService.uploadFiles(req.files);
+    await auditUpload(getWindowsUserName(), uploadResults.map(({ name, size, sha256 }) => ({ name, size, sha256 })));
 
     return res.json({
       success: true,
@@ -110,6 +193,250 @@ app.get('/api/files/:fileId/content', async (req, res) => {
 });
 
 /* -------------------------------------------------------------------------- */
+/*                                   MODÈLES                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Modèles proposés dans le sélecteur : modèles activés (clé API du provider configurée,
+ * ENABLED_MODELS), avec tarifs, capacités et droits de l'utilisateur courant.
+ */
+app.get('/api/models', async (_req, res) => {
+  try {
+    return res.json(await chatService.listModels());
+  } catch (err) {
+    return sendError(res, err, 'ModelError', 'Erreur lors du chargement des modèles');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                   FILTRE                                    */
+/* -------------------------------------------------------------------------- */
+/**
+ * Options du filtre de rédaction (longueur, format, domaine) et valeurs par défaut.
+ * Les consignes injectées dans le prompt restent côté serveur (voir filtres.js, FILTRE_CONFIG_PATH).
+ */
+app.get('/api/filtres', (_req, res) => {
+  try {
+    return res.json(describeFiltreOptions());
+  } catch (err) {
+    return sendError(res, err, 'FiltreError', 'Erreur lors du chargement des options du filtre');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                    USAGE                                    */
+/* -------------------------------------------------------------------------- */
+/**
+ * Consommation de l'utilisateur courant sur la période de budget en cours (BUDGET_PERIOD),
+ * détaillée par modèle, avec le budget restant.
+ */
+app.get('/api/usage', async (_req, res) => {
+  try {
+    return res.json(await chatService.getUsage());
+  } catch (err) {
+    return sendError(res, err, 'UsageError', 'Erreur lors du chargement de la consommation');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                    ADMIN                                    */
+/* -------------------------------------------------------------------------- */
+/**
+ * Console d'administration (utilisateurs dont `isAdmin` est positionné) :
+ * liste des utilisateurs avec leur consommation, droits et budgets.
+ */
+app.get('/api/admin/users', async (_req, res) => {
+  try {
+    return res.json(await adminService.listUsers());
+  } catch (err) {
+    return sendError(res, err, 'AdminError', 'Erreur lors du chargement des utilisateurs');
+  }
+});
+
+app.patch('/api/admin/users/:userName', async (req, res) => {
+  try {
+    await adminService.updateUser(req.params.userName, req.body);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'AdminError', 'Erreur lors de la mise à jour de l\'utilisateur');
+  }
+});
+
+// Export CSV des avis sur les réponses (revue qualité) : ?rating=down&since=AAAA-MM-JJ
+app.get('/api/admin/feedback/export', async (req, res) => {
+  try {
+    const { filename, csv } = await adminService.exportFeedback(req.query);
+    return res.type('text/csv; charset=utf-8').attachment(filename).send(csv);
+  } catch (err) {
+    return sendError(res, err, 'AdminError', 'Erreur lors de l\'export des avis');
+  }
+});
+
+// Journal d'audit : ?user=&action=chat|upload&since=AAAA-MM-JJ&until=AAAA-MM-JJ&limit=&offset=
+app.get('/api/admin/audit', async (req, res) => {
+  try {
+    return res.json(await adminService.listAudit(req.query));
+  } catch (err) {
+    return sendError(res, err, 'AdminError', 'Erreur lors du chargement du journal d\'audit');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                  TEMPLATES                                  */
+/* -------------------------------------------------------------------------- */
+/**
+ * Modèles de requêtes : personnels ou partagés au cabinet (gérés par les administrateurs).
+ * Chaque modèle est renvoyé avec ses variables {{...}} et un indicateur `editable`.
+ */
+app.get('/api/templates', async (_req, res) => {
+  try {
+    return res.json({ templates: await templateService.list() });
+  } catch (err) {
+    return sendError(res, err, 'TemplateError', 'Erreur lors du chargement des modèles');
+  }
+});
+
+app.post('/api/templates', async (req, res) => {
+  try {
+    const template = await templateService.create(req.body);
+    return res.status(201).json({ template });
+  } catch (err) {
+    return sendError(res, err, 'TemplateError', 'Erreur lors de la création du modèle');
+  }
+});
+
+app.patch('/api/templates/:id', async (req, res) => {
+  try {
+    return res.json({ template: await templateService.update(req.params.id, req.body) });
+  } catch (err) {
+    return sendError(res, err, 'TemplateError', 'Erreur lors de la mise à jour du modèle');
+  }
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    await templateService.remove(req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'TemplateError', 'Erreur lors de la suppression du modèle');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                CONVERSATIONS                                */
+/* -------------------------------------------------------------------------- */
+/**
+ * Conversations persistées de l'utilisateur courant.
+ * Les messages sont ajoutés par le ChatService lorsque `conversation_id`
+ * est fourni dans la requête de chat.
+ */
+app.get('/api/conversations', async (_req, res) => {
+  try {
+    return res.json({ conversations: await conversationService.list() });
+  } catch (err) {
+    return sendError(res, err, 'ConversationError', 'Erreur lors du chargement des conversations');
+  }
+});
+
+app.post('/api/conversations', async (req, res) => {
+  try {
+    const conversation = await conversationService.create(req.body?.title);
+    return res.status(201).json({ conversation });
+  } catch (err) {
+    return sendError(res, err, 'ConversationError', 'Erreur lors de la création de la conversation');
+  }
+});
+
+// Recherche dans les messages : déclarée avant /:id
+app.get('/api/conversations/search', async (req, res) => {
+  try {
+    return res.json({ results: await conversationService.search(req.query.q) });
+  } catch (err) {
+    return sendError(res, err, 'SearchError', 'Erreur lors de la recherche');
+  }
+});
+
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    return res.json(await conversationService.load(req.params.id));
+  } catch (err) {
+    return sendError(res, err, 'ConversationError', 'Erreur lors du chargement de la conversation');
+  }
+});
+
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    await conversationService.rename(req.params.id, req.body?.title);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'ConversationError', 'Erreur lors du renommage de la conversation');
+  }
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    await conversationService.remove(req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'ConversationError', 'Erreur lors de la suppression de la conversation');
+  }
+});
+
+// Documents conservés dans la conversation (texte extrait uniquement)
+app.get('/api/conversations/:id/documents', async (req, res) => {
+  try {
+    return res.json({ documents: await conversationService.listDocuments(req.params.id) });
+  } catch (err) {
+    return sendError(res, err, 'ConversationError', 'Erreur lors du chargement des documents');
+  }
+});
+
+app.delete('/api/conversations/:id/documents/:documentId', async (req, res) => {
+  try {
+    await conversationService.removeDocument(req.params.id, req.params.documentId);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'ConversationError', 'Erreur lors du retrait du document');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/*                                  FEEDBACK                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Avis de l'utilisateur (👍 / 👎 et commentaire facultatif) sur une réponse de ses conversations.
+ * Body : { rating: 'up' | 'down', comment? } ; un nouvel avis remplace le précédent.
+ */
+app.put('/api/messages/:id/feedback', async (req, res) => {
+  try {
+    return res.json({ feedback: await feedbackService.save(req.params.id, req.body) });
+  } catch (err) {
+    return sendError(res, err, 'FeedbackError', 'Erreur lors de l\'enregistrement de l\'avis');
+  }
+});
+
+app.delete('/api/messages/:id/feedback', async (req, res) => {
+  try {
+    await feedbackService.remove(req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err, 'FeedbackError', 'Erreur lors du retrait de l\'avis');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Retourne un AbortSignal déclenché si le client ferme la connexion avant
+ * la fin de la réponse (bouton "Stop" côté frontend, fenêtre fermée…).
+ * Le signal est transmis jusqu'à l'adapter pour annuler l'appel au provider.
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
 
 /**
  * Gère une requête de chat via le ChatService.
@@ -120,14 +447,16 @@ app.get('/api/files/:fileId/content', async (req, res) => {
  * - Incluersion du contenu des documents dans le contexte du chat
  */
 async function handleChatRequest(req, res, model) {
+  const signal = abortOnDisconnect(res);
   try {
     // Le ChatService gère tout : vérification limite, normalisation, appel adapter, calcul coût
     // On passe les documentContents si présents dans la requête
-    const response = await chatService.processChatRequest(req.body, model);
+    const response = await chatService.processChatRequest(req.body, model, signal);
+    if (signal.aborted) return res.end();
     return res.json(response);
   } catch (err) {
     const status = Number(err?.status ?? err?.statusCode ?? 500);
-    const message = String(err?.message ?? `Erreur serveur (${model})`);
+    const message = String(err?.message ?? `Erreur serveur (${model ?? 'modèle par défaut'})`);
     console.error('[Chat Error]', message);
     return res
       .status(status >= 400 && status <= 599 ? status : 500)
@@ -139,12 +468,77 @@ async function handleChatRequest(req, res, model) {
   }
 }
 
+/**
+ * Gère une requête de chat en streaming (NDJSON : un objet JSON par ligne).
+ * 
+ * Événements envoyés:
+ * - { type: 'delta', content }  : fragment de texte de la réponse
+ * - { type: 'done', ...réponse } : réponse complète (content, usage, cost, limitReached)
+ * - { type: 'error', error, message } : erreur survenue après le début du flux
+ * 
+ * Si le client se déconnecte (bouton "Stop"), la génération est annulée chez le provider
+ * et seule la consommation réelle est enregistrée.
+ */
+async function handleChatStreamRequest(req, res, model) {
+  const signal = abortOnDisconnect(res);
+  const writeEvent = (event) => {
+    if (signal.aborted) return;
+    if (!res.headersSent) {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.flushHeaders();
+    }
+    res.write(JSON.stringify(event) + '\n');
+  };
+
+  try {
+    const response = await chatService.processChatStream(req.body, model, (delta) => {
+      writeEvent({ type: 'delta', content: delta });
+    }, signal);
+    writeEvent({ type: 'done', ...response });
+    return res.end();
+  } catch (err) {
+    const status = Number(err?.status ?? err?.statusCode ?? 500);
+    const message = String(err?.message ?? `Erreur serveur (${model ?? 'modèle par défaut'})`);
+    console.error('[Chat Stream Error]', message);
+
+    // Le flux a déjà commencé : on ne peut plus changer le statut HTTP
+    if (res.headersSent) {
+      writeEvent({ type: 'error', error: 'ChatError', message });
+      return res.end();
+    }
+
+    return res
+      .status(status >= 400 && status <= 599 ? status : 500)
+      .json({ 
+        error: 'ChatError', 
+        message, 
+        detail: err?.response?.data 
+      });
+  }
+}
+
 /* -------------------------------------------------------------------------- */
 /*                                   ROUTES                                    */
 /* -------------------------------------------------------------------------- */
 
-// Route unique pour Mistral - plus de distinction de modèles
-app.post('/api/chat', (req, res) => handleChatRequest(req, res, 'mistral-large-latest'));
+// Le modèle est choisi par l'utilisateur dans le sélecteur (body.model), sinon DEFAULT_MODEL
+app.post('/api/chat', (req, res) => handleChatRequest(req, res, req.body?.model));
+app.post('/api/chat/stream', (req, res) => handleChatStreamRequest(req, res, req.body?.model));
+
+/**
+ * Estimation du coût avant envoi (même payload que /api/chat, plus `pending_files`) :
+ * tokens du prompt, majorant du coût et budget restant de l'utilisateur.
+ * Rien n'est enregistré.
+ */
+app.post('/api/chat/estimate', async (req, res) => {
+  try {
+    return res.json(await chatService.estimateCost(req.body, req.body?.model));
+  } catch (err) {
+    return sendError(res, err, 'EstimateError', 'Erreur lors de l\'estimation du coût');
+  }
+});
 
 app.listen(port, async () => {
   console.log(`Backend listening at http://localhost:${port}`);
@@ -152,6 +546,7 @@ app.listen(port, async () => {
   try {
     const { connectDB } = await import('./db.ts');
     await connectDB();
+    scheduleAuditPurge();
   } catch (error) {
     console.error('⚠️  Erreur de connexion à la base de données:', error.message);
   }
@@ -1,3 +1,6 @@
+-- Schéma SQLite de référence : avec DB_DRIVER=sqlite, les tables et colonnes manquantes sont créées
+-- au démarrage (backend/storage/SqliteStore.ts), sans les utilisateurs d'exemple ci-dessous.
+
 -- 01_create_users_table.sql
 
 PRAGMA foreign_keys = ON;
@@ -22,4 +25,157 @@ VALUES
   ('admin', 1, 1, 0, 0, 0, 0.0, 2.0);
 INSERT INTO users (user_name, canUseApp, canImportFiles, totalRequests, totalRequestsWithFiles, totalTokens, totalCost, maxCost)
 VALUES
-  ('tbo', 1, 1, 0, 0, 0, 0.0, 2.0);
\ No newline at end of file
+  ('tbo', 1, 1, 0, 0, 0, 0.0, 2.0);
+
+-- 02_create_conversations_tables.sql
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_name  TEXT NOT NULL,
+  title      TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_name, updated_at);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender          TEXT NOT NULL CHECK (sender IN ('user', 'assistant')),
+  content         TEXT NOT NULL,
+  tokens          INTEGER,
+  cost            REAL,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id);
+
+-- 03_create_conversation_documents_table.sql
+
+CREATE TABLE IF NOT EXISTS conversation_documents (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  name            TEXT NOT NULL,
+  size            INTEGER NOT NULL,
+  extraction      TEXT NOT NULL,   -- JSON : méthode d'extraction et pages concernées
+  pages           TEXT NOT NULL,   -- JSON : [{ num, text }] (texte extrait, pas le fichier)
+  created_at      TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_documents ON conversation_documents(conversation_id, id);
+
+-- 04_add_model_permissions.sql
+-- Droits de choix des modèles (voir backend/models.js) : Mistral autorisé par défaut, OpenAI sur activation
+
+ALTER TABLE users ADD COLUMN canUseMistralLarge  INTEGER NOT NULL DEFAULT 1 CHECK (canUseMistralLarge IN (0,1));
+ALTER TABLE users ADD COLUMN canUseMistralMedium INTEGER NOT NULL DEFAULT 1 CHECK (canUseMistralMedium IN (0,1));
+ALTER TABLE users ADD COLUMN canUseMistralSmall  INTEGER NOT NULL DEFAULT 1 CHECK (canUseMistralSmall IN (0,1));
+ALTER TABLE users ADD COLUMN canUseGpt5          INTEGER NOT NULL DEFAULT 0 CHECK (canUseGpt5 IN (0,1));
+ALTER TABLE users ADD COLUMN canUseGpt4oMini     INTEGER NOT NULL DEFAULT 0 CHECK (canUseGpt4oMini IN (0,1));
+
+-- 05_create_usage_ledger_table.sql
+-- Registre d'usage : une ligne par appel au provider (budget contrôlé sur BUDGET_PERIOD)
+
+CREATE TABLE IF NOT EXISTS usage_ledger (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_name         TEXT    NOT NULL,
+  created_at        TEXT    NOT NULL DEFAULT (datetime('now')),
+  model             TEXT    NOT NULL,
+  provider          TEXT    NOT NULL,
+  prompt_tokens     INTEGER NOT NULL DEFAULT 0 CHECK (prompt_tokens >= 0),
+  completion_tokens INTEGER NOT NULL DEFAULT 0 CHECK (completion_tokens >= 0),
+  total_tokens      INTEGER NOT NULL DEFAULT 0 CHECK (total_tokens >= 0),
+  cost              REAL    NOT NULL DEFAULT 0.0 CHECK (cost >= 0.0),
+  had_files         INTEGER NOT NULL DEFAULT 0 CHECK (had_files IN (0,1)),
+  aborted           INTEGER NOT NULL DEFAULT 0 CHECK (aborted IN (0,1)),
+  -- > 1 uniquement pour les lignes 'historique' reprenant les compteurs antérieurs au registre
+  requests          INTEGER NOT NULL DEFAULT 1 CHECK (requests >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_user ON usage_ledger(user_name, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_date ON usage_ledger(created_at);
+
+-- 06_add_admin_flag.sql
+-- Accès à la console d'administration (droits, budgets, consommation)
+
+ALTER TABLE users ADD COLUMN isAdmin INTEGER NOT NULL DEFAULT 0 CHECK (isAdmin IN (0,1));
+UPDATE users SET isAdmin = 1 WHERE user_name = 'admin';
+
+-- 07_create_prompt_templates_table.sql
+-- Modèles de requêtes : personnels (visibles par leur auteur) ou partagés au cabinet (gérés par les administrateurs)
+-- filtre : réglages du filtre appliqués à l'insertion (JSON : longueur, format, domaine, contexte)
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_name  TEXT NOT NULL,
+  scope      TEXT NOT NULL CHECK (scope IN ('personal','cabinet')),
+  title      TEXT NOT NULL,
+  content    TEXT NOT NULL,
+  filtre     TEXT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_scope ON prompt_templates(scope, user_name);
+
+-- 08_add_message_prompt_version.sql
+-- Version des consignes système ayant produit chaque réponse (voir backend/systemPrompt.js)
+
+ALTER TABLE messages ADD COLUMN prompt_version TEXT NULL;
+
+-- 09_add_message_parent.sql
+-- Arbre des messages : une question modifiée ou une réponse régénérée crée une branche
+-- (même parent que la version précédente). Messages existants : chacun fait suite au précédent.
+
+ALTER TABLE messages ADD COLUMN parent_id INTEGER NULL;
+UPDATE messages SET parent_id = (
+  SELECT MAX(p.id) FROM messages p WHERE p.conversation_id = messages.conversation_id AND p.id < messages.id
+);
+CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id);
+
+-- 10_create_message_feedback_table.sql
+-- Avis des utilisateurs sur les réponses (revue qualité) : un par réponse, supprimé avec elle.
+-- Les réponses conservent le modèle et les réglages du filtre (JSON) qui les ont produites.
+
+ALTER TABLE messages ADD COLUMN model TEXT NULL;
+ALTER TABLE messages ADD COLUMN filtre TEXT NULL;
+
+CREATE TABLE IF NOT EXISTS message_feedback (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id INTEGER NOT NULL UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+  user_name  TEXT NOT NULL,
+  rating     TEXT NOT NULL CHECK (rating IN ('up','down')),
+  comment    TEXT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_feedback_date ON message_feedback(updated_at);
+
+-- 11_create_audit_log_table.sql
+-- Journal d'audit (backend/audit.js) : échanges et envois de documents, purgé après AUDIT_RETENTION_DAYS.
+-- Sans clé étrangère : les entrées survivent à la suppression des conversations.
+-- files : documents joints (JSON : nom, taille, empreinte SHA-256)
+-- error : erreur du provider pour un échange échoué (réponse vide)
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_name       TEXT NOT NULL,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  action          TEXT NOT NULL CHECK (action IN ('chat','upload')),
+  policy          TEXT NOT NULL CHECK (policy IN ('full','hashes')),
+  model           TEXT NULL,
+  provider        TEXT NULL,
+  conversation_id INTEGER NULL,
+  files           TEXT NOT NULL,
+  prompt          TEXT NULL,
+  prompt_sha256   TEXT NULL,
+  answer          TEXT NULL,
+  answer_sha256   TEXT NULL,
+  aborted         INTEGER NOT NULL DEFAULT 0 CHECK (aborted IN (0,1)),
+  error           TEXT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_date ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_name, created_at);
@@ -0,0 +1,126 @@
+// backend/models.js
+import { getModelPricing } from './pricing.js';
+
+/**
+ * Registre des modèles proposés dans l'application.
+ * - `provider` : adapter utilisé (voir ChatService)
+ * - `permission` : colonne de dbo.users autorisant l'utilisateur à choisir ce modèle
+ * - `fallbacks` : modèles équivalents chez un autre provider, essayés dans l'ordre
+ *   si le provider du modèle est indisponible (voir ChatService)
+ * - Un modèle n'est proposé que si la clé API de son provider est configurée
+ */
+
+/**
+ * @typedef {Object} ModelCapabilities
+ * @property {boolean} streaming - Réponse en streaming
+ * @property {number} contextWindow - Taille du contexte (tokens)
+ * @property {string[]} strengths - Points forts affichés dans le sélecteur
+ */
+
+/**
+ * @typedef {Object} ModelDefinition
+ * @property {string} id - Identifiant envoyé au provider
+ * @property {string} label - Libellé affiché
+ * @property {'mistral' | 'openai'} provider
+ * @property {import('./db.ts').ModelPermission} permission
+ * @property {string[]} fallbacks - Modèles de repli (autre provider)
+ * @property {ModelCapabilities} capabilities
+ */
+
+/** @type {ModelDefinition[]} */
+export const MODELS = [
+  {
+    id: 'mistral-large-latest',
+    label: 'Mistral Large',
+    provider: 'mistral',
+    permission: 'canUseMistralLarge',
+    fallbacks: ['gpt-5'],
+    capabilities: { streaming: true, contextWindow: 128_000, strengths: ['Raisonnement', 'Rédaction'] },
+  },
+  {
+    id: 'mistral-medium-latest',
+    label: 'Mistral Medium',
+    provider: 'mistral',
+    permission: 'canUseMistralMedium',
+    fallbacks: ['gpt-5', 'gpt-4o-mini'],
+    capabilities: { streaming: true, contextWindow: 128_000, strengths: ['Polyvalent'] },
+  },
+  {
+    id: 'mistral-small-latest',
+    label: 'Mistral Small',
+    provider: 'mistral',
+    permission: 'canUseMistralSmall',
+    fallbacks: ['gpt-4o-mini'],
+    capabilities: { streaming: true, contextWindow: 32_000, strengths: ['Rapide', 'Économique'] },
+  },
+  {
+    id: 'gpt-5',
+    label: 'GPT-5',
+    provider: 'openai',
+    permission: 'canUseGpt5',
+    fallbacks: ['mistral-large-latest'],
+    capabilities: { streaming: true, contextWindow: 400_000, strengths: ['Raisonnement'] },
+  },
+  {
+    id: 'gpt-4o-mini',
+    label: 'GPT-4o mini',
+    provider: 'openai',
+    permission: 'canUseGpt4oMini',
+    fallbacks: ['mistral-small-latest'],
+    capabilities: { streaming: true, contextWindow: 128_000, strengths: ['Rapide', 'Économique'] },
+  },
+];
+
+// Clé API requise pour chaque provider
+const PROVIDER_KEYS = {
+  mistral: 'MISTRAL_API_KEY',
+  openai: 'OPENAI_API_KEY',
+};
+
+/**
+ * Modèle utilisé lorsque la requête n'en précise pas.
+ * @returns {string}
+ */
+export function getDefaultModelId() {
+  return process.env.DEFAULT_MODEL || 'mistral-large-latest';
+}
+
+/**
+ * @param {string} id
+ * @returns {ModelDefinition | null}
+ */
+export function findModel(id) {
+  return MODELS.find((m) => m.id === id) ?? null;
+}
+
+/**
+ * Un modèle est activé si la clé de son provider est configurée
+ * et s'il n'est pas exclu par ENABLED_MODELS (liste séparée par des virgules).
+ *
+ * @param {ModelDefinition} model
+ * @returns {boolean}
+ */
+export function isModelEnabled(model) {
+  if (!process.env[PROVIDER_KEYS[model.provider]]) return false;
+  const enabled = process.env.ENABLED_MODELS?.split(',').map((s) => s.trim()).filter(Boolean);
+  return !enabled?.length || enabled.includes(model.id);
+}
+
+/**
+ * Description publique d'un modèle (tarifs en USD / 1M tokens).
+ *
+ * @param {ModelDefinition} model
+ * @returns {{id: string, label: string, provider: string, pricing: {input: number, output: number, cached_input?: number} | null, capabilities: ModelCapabilities}}
+ */
+export function describeModel(model) {
+  const prices = getModelPricing(model.id);
+  return {
+    id: model.id,
+    label: model.label,
+    provider: model.provider,
+    pricing: prices
+      ? { input: prices.in, output: prices.out, ...(prices.cache !== undefined ? { cached_input: prices.cache } : {}) }
+      : null,
+    capabilities: model.capabilities,
+  };
+}
@@ -50,6 +50,16 @@ function resolveModelKey(model) {
   return null;
 }
 
+/**
+ * Barème appliqué à un modèle (USD / 1M tokens), ou null si le modèle est inconnu.
+ * @param {string} model
+ * @returns {{in: number, out: number, cache?: number} | null}
+ */
+export function getModelPricing(model) {
+  const key = resolveModelKey(model);
+  return key ? DEFAULT_PRICING[key] : null;
+}
+
 // Extraction robuste de l’usage (Chat Completions ou Responses)
 function extractUsage(usage) {
   if (!usage) {
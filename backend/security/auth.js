@@ -0,0 +1,85 @@
+// backend/security/auth.js
+import crypto from 'node:crypto';
+
+// Origine des requêtes de la fenêtre de l'application packagée (page locale) : main.js la fixe
+// pour les seules requêtes de cette fenêtre, Chromium pouvant sinon envoyer « null »
+export const PACKAGED_APP_ORIGIN = 'file://';
+
+// Serveur Vite, en développement uniquement
+const DEV_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173'];
+
+/**
+ * Secret partagé avec le renderer : généré par le processus principal Electron à chaque lancement
+ * (voir main.js) ou fixé par BACKEND_SECRET pour un backend lancé séparément en développement.
+ *
+ * @returns {string}
+ */
+export function getBackendSecret() {
+  return process.env.BACKEND_SECRET ?? '';
+}
+
+/**
+ * Origines autorisées par CORS (CORS_ORIGINS : liste séparée par des virgules).
+ * Par défaut : la fenêtre de l'application packagée (APP_PACKAGED, fixé par main.js),
+ * sinon le serveur Vite.
+ *
+ * @returns {string[]}
+ */
+export function getAllowedOrigins() {
+  const configured = (process.env.CORS_ORIGINS ?? '')
+    .split(',')
+    .map((o) => o.trim())
+    .filter(Boolean);
+  if (configured.length > 0) return configured;
+  return process.env.APP_PACKAGED === '1' ? [PACKAGED_APP_ORIGIN] : DEV_ORIGINS;
+}
+
+/**
+ * Options CORS : seules les origines de l'application peuvent lire les réponses.
+ * Les requêtes sans en-tête Origin (processus principal Electron) ne sont pas concernées.
+ *
+ * @returns {import('cors').CorsOptions}
+ */
+export function corsOptions() {
+  const allowed = new Set(getAllowedOrigins());
+  return {
+    origin: (origin, callback) => callback(null, !origin || allowed.has(origin)),
+    allowedHeaders: ['Content-Type', 'Authorization'],
+  };
+}
+
+/**
+ * Comparaison à temps constant du jeton reçu et du secret attendu.
+ *
+ * @param {string} received
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function tokenMatches(received, expected) {
+  const a = crypto.createHash('sha256').update(received).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware Express : rejette (401) les requêtes qui ne portent pas le secret de lancement
+ * dans l'en-tête `Authorization: Bearer <secret>`. Sans secret configuré, tout est refusé.
+ *
+ * @returns {(req: any, res: any, next: () => void) => void}
+ */
+export function requireBackendToken() {
+  const secret = getBackendSecret();
+  if (!secret) {
+    console.warn('[Auth] BACKEND_SECRET absent : toutes les requêtes /api seront refusées');
+  }
+
+  return (req, res, next) => {
+    const header = String(req.headers.authorization ?? '');
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+
+    if (!secret || !token || !tokenMatches(token, secret)) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Requête non authentifiée' });
+    }
+    next();
+  };
+}
@@ -7,14 +7,40 @@ import { ensureUserExists } from '../db.ts';
 export type FeatureFlags = {
   canUseApp: boolean;
   canImportFiles: boolean;
+  isAdmin: boolean;
 };
 
+// Durée de conservation des droits lus pour le contrôle des requêtes API
+const PERMISSIONS_CACHE_TTL_MS = 30_000;
+
+let permissionsCache: { username: string; flags: FeatureFlags; expiresAt: number } | null = null;
+
+// Droits de l'utilisateur courant pour le contrôle des requêtes API, conservés quelques secondes.
+// Contrairement à getPermissionsForCurrentUser, une erreur de base est propagée (et non mise en cache).
+export async function getCachedPermissions(): Promise<FeatureFlags> {
+  const username = getWindowsUserName();
+  if (permissionsCache && permissionsCache.username === username && permissionsCache.expiresAt > Date.now()) {
+    return permissionsCache.flags;
+  }
+
+  await ensureUserExists(username);
+  const flags = await getPermissions(username);
+  permissionsCache = { username, flags, expiresAt: Date.now() + PERMISSIONS_CACHE_TTL_MS };
+  return flags;
+}
+
+// À appeler après une modification des droits (console d'administration)
+export function invalidatePermissionsCache(): void {
+  permissionsCache = null;
+}
+
 export async function getPermissionsForCurrentUser(): Promise<FeatureFlags> {
   const username = getWindowsUserName();
 
   const denyAll: FeatureFlags = {
     canUseApp: false,
     canImportFiles : false,
+    isAdmin: false,
   };
 
   if (!username) return denyAll;
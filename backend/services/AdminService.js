@@ -0,0 +1,267 @@
+// backend/services/AdminService.js
+import { ensureUserExists, getPermissions, listUsersWithUsage, updateUser, listFeedback, listAudit, USER_RIGHTS } from '../db.ts';
+import { MODELS } from '../models.js';
+import { getBudgetPeriod } from '../budget.js';
+import { getAuditPolicy } from '../audit.js';
+import { getWindowsUserName } from '../security/identity.ts';
+import { invalidatePermissionsCache } from '../security/permissions.ts';
+import { httpError } from '../errors.js';
+import { FEEDBACK_RATINGS } from './FeedbackService.js';
+
+// Libellés des droits affichés dans la console (les droits sur les modèles viennent du registre)
+const RIGHT_LABELS = {
+  canUseApp: 'Accès à l\'application',
+  canImportFiles: 'Import de fichiers',
+  isAdmin: 'Administrateur',
+  ...Object.fromEntries(MODELS.map((m) => [m.permission, m.label])),
+};
+
+// Colonnes de l'export des avis (séparateur « ; » et BOM UTF-8 : ouverture directe dans Excel)
+const FEEDBACK_COLUMNS = [
+  ['Date', (f) => f.updated_at],
+  ['Utilisateur', (f) => f.user_name],
+  ['Avis', (f) => (f.rating === 'up' ? 'positif' : 'négatif')],
+  ['Commentaire', (f) => f.comment],
+  ['Conversation', (f) => f.conversation_id],
+  ['Titre de la conversation', (f) => f.conversation_title],
+  ['Réponse n°', (f) => f.message_id],
+  ['Modèle', (f) => f.model],
+  ['Version des consignes', (f) => f.prompt_version],
+  ['Longueur', (f) => f.filtre?.longueur],
+  ['Format', (f) => f.filtre?.format],
+  ['Domaine', (f) => f.filtre?.domaine],
+  ['Contexte', (f) => f.filtre?.contexte],
+  ['Question', (f) => f.question],
+  ['Réponse', (f) => f.answer],
+];
+
+const AUDIT_ACTIONS = ['chat', 'upload'];
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_MAX_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {import('../db.ts').AdminUser} AdminUser
+ * @typedef {import('../db.ts').AdminUserChanges} AdminUserChanges
+ * @typedef {import('../db.ts').FeedbackExportRow} FeedbackExportRow
+ * @typedef {import('../db.ts').FeedbackFilter} FeedbackFilter
+ * @typedef {import('../db.ts').AuditRecord} AuditRecord
+ * @typedef {import('../db.ts').AuditFilter} AuditFilter
+ */
+
+/**
+ * Date au format AAAA-MM-JJ (minuit UTC), null si absente.
+ *
+ * @param {unknown} value
+ * @param {string} label - Nom du critère pour le message d'erreur
+ * @returns {Date | null}
+ * @throws {Error} 400 si invalide
+ */
+function parseDay(value, label) {
+  if (!value) return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw httpError(400, `${label} invalide (format attendu : AAAA-MM-JJ)`);
+  }
+  return date;
+}
+
+/**
+ * Cellule CSV : entre guillemets si nécessaire. Les valeurs commençant par =, +, - ou @ sont préfixées
+ * d'une apostrophe pour qu'Excel ne les interprète pas comme des formules.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Console d'administration : droits, budgets et consommation des utilisateurs.
+ * Toutes les opérations sont réservées aux utilisateurs dont le flag `isAdmin` est positionné.
+ */
+export class AdminService {
+  /**
+   * Liste les utilisateurs avec leurs droits et leur consommation
+   * (cumulée et sur la période de budget en cours).
+   *
+   * @returns {Promise<{period: string, rights: Array<{key: string, label: string}>, users: AdminUser[]}>}
+   * @throws {Error} 403 si l'utilisateur courant n'est pas administrateur
+   */
+  async listUsers() {
+    await this._assertAdmin();
+    const period = getBudgetPeriod();
+
+    return {
+      period: period.label,
+      rights: USER_RIGHTS.map((key) => ({ key, label: RIGHT_LABELS[key] ?? key })),
+      users: await listUsersWithUsage(period.start),
+    };
+  }
+
+  /**
+   * Modifie les droits et/ou le budget (maxCost) d'un utilisateur.
+   *
+   * @param {string} userName
+   * @param {{rights?: Object<string, boolean>, maxCost?: number}} body
+   * @returns {Promise<void>}
+   * @throws {Error} 400 si la modification est invalide, 403 si non administrateur, 404 si l'utilisateur n'existe pas
+   */
+  async updateUser(userName, body) {
+    const admin = await this._assertAdmin();
+    const changes = this._parseChanges(body);
+
+    // Un administrateur ne peut pas se retirer lui-même l'accès à la console
+    if (userName === admin && changes.rights?.isAdmin === false) {
+      throw httpError(400, 'Vous ne pouvez pas retirer vos propres droits d\'administration');
+    }
+
+    if (!(await updateUser(userName, changes))) {
+      throw httpError(404, 'Utilisateur introuvable');
+    }
+
+    // Les droits modifiés s'appliquent dès la requête suivante
+    invalidatePermissionsCache();
+  }
+
+  /**
+   * Export CSV des avis sur les réponses pour la revue qualité, du plus récent au plus ancien.
+   *
+   * @param {any} query - {rating?: 'up' | 'down', since?: 'AAAA-MM-JJ'}
+   * @returns {Promise<{filename: string, csv: string}>}
+   * @throws {Error} 400 si les critères sont invalides, 403 si non administrateur
+   */
+  async exportFeedback(query) {
+    await this._assertAdmin();
+    const rows = await listFeedback(this._parseFeedbackFilter(query));
+
+    const lines = [
+      FEEDBACK_COLUMNS.map(([label]) => csvCell(label)).join(';'),
+      ...rows.map((row) => FEEDBACK_COLUMNS.map(([, value]) => csvCell(value(row))).join(';')),
+    ];
+    return {
+      filename: `avis-reponses-${new Date().toISOString().slice(0, 10)}.csv`,
+      csv: `\uFEFF${lines.join('\r\n')}\r\n`,
+    };
+  }
+
+  /**
+   * Consultation du journal d'audit, du plus récent au plus ancien, avec la politique en vigueur
+   * (les entrées écrites avant un changement de politique gardent la leur).
+   *
+   * @param {any} query - {user?, action?: 'chat' | 'upload', since?: 'AAAA-MM-JJ', until?: 'AAAA-MM-JJ', limit?, offset?}
+   * @returns {Promise<{policy: import('../audit.js').AuditPolicy, entries: AuditRecord[]}>}
+   * @throws {Error} 400 si les critères sont invalides, 403 si non administrateur
+   */
+  async listAudit(query) {
+    await this._assertAdmin();
+    const entries = await listAudit(this._parseAuditFilter(query));
+    return { policy: getAuditPolicy(), entries };
+  }
+
+  /**
+   * Vérifie que l'utilisateur Windows courant est administrateur.
+   *
+   * @private
+   * @returns {Promise<string>} Nom de l'administrateur
+   * @throws {Error} 403 sinon
+   */
+  async _assertAdmin() {
+    const username = getWindowsUserName();
+    await ensureUserExists(username);
+    const flags = await getPermissions(username);
+    if (!flags.isAdmin) {
+      throw httpError(403, 'Accès réservé aux administrateurs');
+    }
+    return username;
+  }
+
+  /**
+   * Valide le corps d'une modification (droits connus, booléens, budget positif).
+   *
+   * @private
+   * @param {any} body
+   * @returns {AdminUserChanges}
+   * @throws {Error} 400 si invalide
+   */
+  _parseChanges(body) {
+    /** @type {AdminUserChanges} */
+    const changes = {};
+
+    if (body?.rights !== undefined) {
+      if (typeof body.rights !== 'object' || body.rights === null) {
+        throw httpError(400, 'Droits invalides');
+      }
+      changes.rights = {};
+      for (const [key, value] of Object.entries(body.rights)) {
+        if (!USER_RIGHTS.includes(key)) throw httpError(400, `Droit inconnu : ${key}`);
+        if (typeof value !== 'boolean') throw httpError(400, `Valeur invalide pour ${key}`);
+        changes.rights[key] = value;
+      }
+    }
+
+    if (body?.maxCost !== undefined) {
+      const maxCost = Number(body.maxCost);
+      if (!Number.isFinite(maxCost) || maxCost < 0) {
+        throw httpError(400, 'Le budget doit être un montant positif');
+      }
+      changes.maxCost = maxCost;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Critères de l'export des avis : type d'avis et date de début (incluse).
+   *
+   * @private
+   * @param {any} query
+   * @returns {FeedbackFilter}
+   * @throws {Error} 400 si invalides
+   */
+  _parseFeedbackFilter(query) {
+    const rating = query?.rating || null;
+    if (rating !== null && !FEEDBACK_RATINGS.includes(rating)) {
+      throw httpError(400, 'Type d\'avis invalide (valeurs possibles : up, down)');
+    }
+
+    return { since: parseDay(query?.since, 'Date de début'), rating };
+  }
+
+  /**
+   * Critères de consultation du journal d'audit : utilisateur, action, période (bornes incluses)
+   * et pagination.
+   *
+   * @private
+   * @param {any} query
+   * @returns {AuditFilter}
+   * @throws {Error} 400 si invalides
+   */
+  _parseAuditFilter(query) {
+    const action = query?.action || null;
+    if (action !== null && !AUDIT_ACTIONS.includes(action)) {
+      throw httpError(400, 'Action invalide (valeurs possibles : chat, upload)');
+    }
+
+    const since = parseDay(query?.since, 'Date de début');
+    const lastDay = parseDay(query?.until, 'Date de fin');
+    const until = lastDay ? new Date(lastDay.getTime() + DAY_MS) : null;
+    if (since && until && since >= until) {
+      throw httpError(400, 'La date de fin doit suivre la date de début');
+    }
+
+    const limit = query?.limit === undefined ? AUDIT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+      throw httpError(400, `Nombre d'entrées invalide (1 à ${AUDIT_MAX_PAGE_SIZE})`);
+    }
+    const offset = query?.offset === undefined ? 0 : Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw httpError(400, 'Décalage invalide');
+    }
+
+    return { user_name: query?.user ? String(query.user) : null, action, since, until, limit, offset };
+  }
+}
@@ -1,15 +1,69 @@
 // backend/services/ChatService.js
 import { ChatGPTAdapter } from '../adapters/ChatGPTAdapter.js';
 import { MistralAdapter } from '../adapters/MistralAdapter.js';
+import { DocumentService, MAX_CONTEXT_CHARS } from './DocumentService.js';
+import { Pseudonymizer } from './Pseudonymizer.js';
 import { computeCostFromUsage } from '../pricing.js';
-import { ensureUserExists, addTokens, addCost, getTotalCost, getCostLimit, addRequest, addRequestWithFiles } from '../db.ts';
+import { MODELS, findModel, isModelEnabled, describeModel, getDefaultModelId } from '../models.js';
+import { estimateMessagesTokens, estimateTokens, estimateTokensFromLength, estimatedUsage } from '../tokens.js';
+import { getBudgetPeriod } from '../budget.js';
+import { buildFiltreInstruction, resolveFiltre } from '../filtres.js';
+import { resolveSystemPrompt } from '../systemPrompt.js';
+import { ensureUserExists, recordUsage, getCostSince, getUsageSummary, getCostLimit, getConversation, addMessage, addConversationDocument, getConversationDocumentsContent, getModelPermissions } from '../db.ts';
 import { getWindowsUserName } from '../security/identity.ts';
+import { httpError } from '../errors.js';
+import { auditChat } from '../audit.js';
+
+// Consigne ajoutée lorsque des données personnelles ont été remplacées par des marqueurs
+const PSEUDONYMIZATION_NOTICE =
+  'Certaines données personnelles ont été remplacées par des marqueurs entre crochets ' +
+  '(ex. [IBAN_1], [EMAIL_2], [ADRESSE_1]). Reprends ces marqueurs tels quels lorsque tu dois ' +
+  'mentionner ces données, sans chercher à deviner leur valeur.';
 
 /**
  * @typedef {Object} ProcessedChatRequest
  * @property {import('../adapters/BaseAdapter.js').StandardizedMessage[]} messages - Messages standardisés
  * @property {string[]} [file_ids] - IDs des fichiers attachés
  * @property {string} model - Le modèle à utiliser
+ * @property {string} prompt_version - Version des consignes système injectées (voir systemPrompt.js)
+ * @property {AbortSignal} [signal] - Signal d'annulation de l'appel au provider
+ */
+
+/**
+ * @typedef {Object} PreparedChat
+ * @property {string} username - Utilisateur Windows courant
+ * @property {boolean} limitReached - Limite de coût atteinte (aucun appel au provider)
+ * @property {ProcessedChatRequest} [request] - Requête normalisée pour l'adapter
+ * @property {number | null} [conversationId] - Conversation dans laquelle enregistrer l'échange
+ * @property {number | null} [userMessageId] - ID du message utilisateur enregistré (ou régénéré)
+ * @property {boolean} [hasFiles] - Des documents sont joints à la question (registre d'usage)
+ * @property {import('../models.js').ModelDefinition[]} [chain] - Modèle choisi puis modèles de repli, dans l'ordre d'essai
+ * @property {import('../models.js').ModelDefinition} [model] - Modèle en cours d'appel (celui qui a répondu à la fin)
+ * @property {ProviderFailover | null} [failover] - Bascule effectuée vers un modèle de repli
+ * @property {Record<string, string> | null} [filtre] - Réglages du filtre appliqués (enregistrés avec la réponse)
+ * @property {string} [prompt] - Question de l'utilisateur, non masquée (journal d'audit)
+ * @property {import('../db.ts').AuditFile[]} [files] - Documents joints à la question (journal d'audit)
+ * @property {import('./DocumentService.js').RetrievedChunk[]} [retrieval] - Extraits de documents injectés dans le prompt
+ * @property {Pseudonymizer} [pseudonymizer] - Correspondance marqueurs / données personnelles de la requête
+ */
+
+/**
+ * @typedef {Object} ProviderFailover
+ * @property {string} from - Modèle choisi, indisponible
+ * @property {string} reason - Erreur renvoyée par son provider
+ */
+
+/**
+ * @typedef {Object} CostEstimate
+ * @property {string} model - Modèle pour lequel le coût est estimé
+ * @property {number} prompt_tokens - Tokens estimés du prompt (consignes, historique, extraits de documents)
+ * @property {number} completion_tokens - Majorant des tokens de la réponse (limite de sortie configurée)
+ * @property {number} cost - Coût estimé (USD), au plus
+ * @property {number} spent - Coût déjà consommé par l'utilisateur sur la période de budget
+ * @property {number} limit - Budget de l'utilisateur (maxCost) sur la période
+ * @property {string} period - Libellé de la période de budget (ex: "octobre 2026")
+ * @property {number} remaining - Budget restant
+ * @property {boolean} allowed - L'envoi reste dans le budget
  */
 
 /**
@@ -18,6 +72,20 @@ import { getWindowsUserName } from '../security/identity.ts';
  * @property {Object | null} usage - Informations sur l'utilisation
  * @property {number} [cost] - Coût de la requête
  * @property {boolean} limitReached - Indique si la limite de coût est atteinte
+ * @property {boolean} [aborted] - Indique si la génération a été interrompue par l'utilisateur
+ * @property {string} [provider] - Provider qui a répondu
+ * @property {string} [model] - Modèle qui a répondu (facturé)
+ * @property {string} [prompt_version] - Version des consignes système ayant produit la réponse
+ * @property {ProviderFailover | null} [failover] - Bascule vers un modèle de repli, le cas échéant
+ * @property {number | null} [conversation_id] - Conversation dans laquelle l'échange a été enregistré
+ * @property {number | null} [user_message_id] - ID du message utilisateur enregistré
+ * @property {number | null} [assistant_message_id] - ID de la réponse enregistrée
+ * @property {import('./DocumentService.js').RetrievedChunk[]} [retrieval] - Extraits de documents utilisés pour répondre
+ * @property {import('./Pseudonymizer.js').PseudonymizationReport} [pseudonymization] - Données personnelles masquées avant l'envoi au provider
+ */
+
+/**
+ * @typedef {ReturnType<typeof describeModel> & {allowed: boolean}} AvailableModel
  */
 
 /**
@@ -30,12 +98,31 @@ export class ChatService {
    * @param {Object} config
    * @param {string} config.provider - Le provider à utiliser ('chatgpt', 'mistral', etc.)
    * @param {Object} config.providerConfig - Configuration spécifique au provider
+   * @param {Object<string, Object>} [config.additionalProviders] - Autres providers proposés dans le sélecteur de modèle
+   *   (ex: { openai: { apiKey } }), ignorés si leur clé API n'est pas configurée
    * @param {number} [config.costLimit=2.0] - Limite de coût par utilisateur
+   * @param {string} [config.ocrPolicy='local-only'] - Politique d'OCR distant des documents
+   * @param {boolean} [config.pseudonymize=true] - Masquer les données personnelles avant l'envoi au provider
+   * @param {boolean} [config.failover=true] - Rejouer la requête sur un modèle de repli si le provider est indisponible
+   * @param {number} [config.maxOutputTokens=4096] - Limite de tokens en sortie (majorant pour l'estimation du coût)
    */
   constructor(config) {
     this.provider = config.provider?.toLowerCase() ?? 'chatgpt';
     this.costLimit = config.costLimit ?? 2.0;
+    this.pseudonymize = config.pseudonymize ?? true;
+    this.failover = config.failover ?? true;
+    this.maxOutputTokens = config.maxOutputTokens ?? 4096;
     this.adapter = this._createAdapter(this.provider, config.providerConfig);
+
+    /** @type {Map<string, import('../adapters/BaseAdapter.js').BaseAdapter>} adapter par provider (clé du registre des modèles) */
+    this.adapters = new Map([[this._providerKey(this.provider), this.adapter]]);
+    for (const [provider, providerConfig] of Object.entries(config.additionalProviders ?? {})) {
+      if (providerConfig?.apiKey && !this.adapters.has(this._providerKey(provider))) {
+        this.adapters.set(this._providerKey(provider), this._createAdapter(provider, providerConfig));
+      }
+    }
+
+    this.documents = new DocumentService({ adapter: this.adapter, ocrPolicy: config.ocrPolicy });
   }
 
   /**
@@ -60,91 +147,633 @@ export class ChatService {
     }
   }
 
+  /**
+   * Clé du provider dans le registre des modèles (voir backend/models.js).
+   * 
+   * @private
+   * @param {string} provider
+   * @returns {string}
+   */
+  _providerKey(provider) {
+    const key = provider.toLowerCase();
+    return key === 'chatgpt' ? 'openai' : key;
+  }
+
+  /**
+   * Modèles proposés à l'utilisateur courant : modèles activés dont le provider
+   * est configuré, avec l'indication des droits de l'utilisateur.
+   * 
+   * @returns {Promise<{models: AvailableModel[], default: string | null}>}
+   */
+  async listModels() {
+    const username = getWindowsUserName();
+    await ensureUserExists?.(username);
+    const permissions = await getModelPermissions(username);
+
+    const models = MODELS
+      .filter((m) => isModelEnabled(m) && this.adapters.has(m.provider))
+      .map((m) => ({ ...describeModel(m), allowed: permissions[m.permission] }));
+
+    // Modèle par défaut s'il est autorisé, sinon le premier modèle autorisé
+    const allowed = models.filter((m) => m.allowed);
+    const preferred = allowed.find((m) => m.id === getDefaultModelId()) ?? allowed[0];
+
+    return { models, default: preferred?.id ?? null };
+  }
+
+  /**
+   * Vérifie que le modèle demandé existe, est activé et autorisé pour l'utilisateur.
+   * Sans modèle précisé, le modèle par défaut est utilisé.
+   * 
+   * @private
+   * @param {string} username
+   * @param {string} [requested] - Identifiant du modèle choisi dans le sélecteur
+   * @returns {Promise<import('../models.js').ModelDefinition>}
+   */
+  async _resolveModel(username, requested) {
+    const id = requested || getDefaultModelId();
+    const model = findModel(id);
+    if (!model || !isModelEnabled(model) || !this.adapters.has(model.provider)) {
+      throw httpError(400, `Modèle indisponible : ${id}`);
+    }
+
+    const permissions = await getModelPermissions(username);
+    if (!permissions[model.permission]) {
+      throw httpError(403, `Modèle non autorisé : ${model.label}`);
+    }
+    return model;
+  }
+
   /**
    * Traite une requête de chat complète :
    * - Vérifie la limite de coût
    * - Normalise les messages
-   * - Appelle l'adapter approprié
+   * - Appelle l'adapter approprié (puis les modèles de repli si le provider est indisponible)
    * - Calcule et enregistre les coûts
    * 
    * @param {Object} rawRequest - Requête brute du frontend
    * @param {string} [rawRequest.prompt] - Prompt simple (legacy)
    * @param {Array} [rawRequest.messages] - Historique de messages
    * @param {string[]} [rawRequest.file_ids] - IDs des fichiers attachés
-   * @param {string} model - Le modèle à utiliser
+   * @param {number} [rawRequest.conversation_id] - Conversation où enregistrer la question et la réponse
+   * @param {number | null} [rawRequest.parent_id] - Message auquel la question fait suite (null : premier message,
+   *   absent : dernier message de la conversation) ; une question modifiée reprend le parent de la version précédente
+   * @param {boolean} [rawRequest.regenerate] - Nouvelle réponse à la question `parent_id`, déjà enregistrée
+   * @param {Object} [rawRequest.filtre] - Filtre de rédaction { longueur, format, domaine, contexte } (voir filtres.js)
+   * @param {string} [model] - Le modèle choisi (modèle par défaut si absent)
+   * @param {AbortSignal} [signal] - Permet d'annuler l'appel au provider (ex: client déconnecté)
    * @returns {Promise<ServiceChatResponse>}
    */
-  async processChatRequest(rawRequest, model) {
-    const username = getWindowsUserName();
-    await ensureUserExists?.(username);
-
-    // Incremente le compteur de requetes utilisateur
-    await addRequest(username);
+  async processChatRequest(rawRequest, model, signal) {
+    const prepared = await this._prepareRequest(rawRequest, model, signal);
+    if (prepared.limitReached) {
+      return this._limitReachedResponse();
+    }
 
-    // Incremente le compteur de requetes avec fichiers si applicable
-    const hasFiles = Array.isArray(rawRequest?.file_ids) && rawRequest.file_ids.length > 0;
-    if (hasFiles) {
-      await addRequestWithFiles(username);
+    // Appel à l'adapter
+    let response;
+    try {
+      response = await this._callWithFailover(prepared, (adapter, request) => adapter.sendChatRequest(request));
+    } catch (error) {
+      if (signal?.aborted) {
+        return await this._abortedResponse(prepared, '');
+      }
+      await this._auditFailure(prepared, error);
+      throw error;
     }
 
-    // Vérification de la limite de coût
-    const totalCost = await getTotalCost(username);
-    const userCostLimit = await getCostLimit(username);
-    const effectiveLimit = Number.isFinite(userCostLimit) ? userCostLimit : this.costLimit;
-    const limitReached = totalCost >= effectiveLimit;
-    
-    if (limitReached) {
-      return { 
-        content: '', 
-        usage: null, 
-        cost: 0, 
-        limitReached: true 
-      };
+    return await this._finalizeResponse(prepared, response);
+  }
+
+  /**
+   * Traite une requête de chat en streaming : mêmes étapes que `processChatRequest`,
+   * mais chaque fragment de la réponse est transmis à `onDelta` dès sa réception.
+   * L'usage et le coût sont enregistrés à la fin du flux.
+   * La bascule vers un modèle de repli n'est possible que tant qu'aucun fragment n'a été transmis.
+   * 
+   * @param {Object} rawRequest - Requête brute du frontend (voir processChatRequest)
+   * @param {string} [model] - Le modèle choisi (modèle par défaut si absent)
+   * @param {(delta: string) => void} onDelta - Callback appelé pour chaque fragment de texte
+   * @param {AbortSignal} [signal] - Permet d'interrompre la génération en cours
+   * @returns {Promise<ServiceChatResponse>} La réponse complète (contenu, usage, coût)
+   */
+  async processChatStream(rawRequest, model, onDelta, signal) {
+    const prepared = await this._prepareRequest(rawRequest, model, signal);
+    if (prepared.limitReached) {
+      return this._limitReachedResponse();
     }
 
-    // Normalisation de la requête
-    const processedRequest = this._normalizeRequest(rawRequest, model);
+    // Texte déjà reçu : sert à estimer la consommation si la génération est interrompue
+    let streamed = '';
+
+    // Les données personnelles sont restituées au fil du flux
+    let unmasker;
 
-    // Appel à l'adapter
     let response;
     try {
-      response = await this.adapter.sendChatRequest(processedRequest);
+      response = await this._callWithFailover(
+        prepared,
+        (adapter, request) => {
+          // Nouveau tampon à chaque essai : rien n'a encore été transmis au client
+          unmasker = prepared.pseudonymizer.createStreamUnmasker((delta) => {
+            streamed += delta;
+            onDelta(delta);
+          });
+          return adapter.streamChatRequest(request, unmasker.push);
+        },
+        () => streamed === ''
+      );
+      unmasker.flush();
     } catch (error) {
+      if (signal?.aborted) {
+        unmasker?.flush();
+        return await this._abortedResponse(prepared, streamed);
+      }
+      await this._auditFailure(prepared, error);
       throw error;
     }
 
-    // Calcul du coût
-    const cost = computeCostFromUsage(response.usage, model);
+    return await this._finalizeResponse(prepared, response);
+  }
+
+  /**
+   * Estime le coût d'une requête avant son envoi, à partir du payload qui serait envoyé
+   * (consignes, historique, question en cours de saisie, extraits des documents) :
+   * - Les documents de la conversation et ceux déjà extraits (`file_ids`) sont pris en compte
+   *   comme à l'envoi (mêmes extraits injectés)
+   * - Les pièces jointes pas encore extraites (`pending_files`) comptent pour le volume maximal d'extraits
+   * - La réponse est comptée pour la limite de sortie configurée : l'estimation est un majorant
+   * Rien n'est enregistré (ni question, ni compteur, ni document).
+   * 
+   * @param {Object} rawRequest - Payload du chat (voir processChatRequest)
+   * @param {number} [rawRequest.pending_files] - Nombre de pièces jointes qui seront extraites à l'envoi
+   * @param {string} [requestedModel] - Le modèle choisi (modèle par défaut si absent)
+   * @returns {Promise<CostEstimate>}
+   */
+  async estimateCost(rawRequest, requestedModel) {
+    const username = getWindowsUserName();
+    await ensureUserExists?.(username);
+    const model = await this._resolveModel(username, requestedModel);
+
+    const pseudonymizer = new Pseudonymizer();
+    const normalized = this._normalizeRequest(rawRequest, model.id, pseudonymizer);
+    const conversationId = rawRequest?.conversation_id != null ? Number(rawRequest.conversation_id) : null;
+
+    const { promptTokens, completionTokens, cost } = await this._estimateUsage(
+      username, model, normalized, conversationId, pseudonymizer, Number(rawRequest?.pending_files) || 0
+    );
+    const { spent, limit, period } = await this._budget(username);
+
+    return {
+      model: model.id,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      cost,
+      spent,
+      limit,
+      period: period.label,
+      remaining: Math.max(0, Number((limit - spent).toFixed(6))),
+      allowed: spent + cost <= limit,
+    };
+  }
 
-    // Enregistrement des tokens et du coût
-    if (response.tokensUsed && Number.isFinite(response.tokensUsed)) {
-      await addTokens(username, response.tokensUsed);
+  /**
+   * Majorant de la consommation d'une requête normalisée : prompt avec les extraits des documents
+   * joints et de la conversation, réponse comptée pour la limite de sortie configurée.
+   * 
+   * @private
+   * @param {string} username
+   * @param {import('../models.js').ModelDefinition} model
+   * @param {ProcessedChatRequest} normalized
+   * @param {number | null} conversationId
+   * @param {Pseudonymizer} pseudonymizer
+   * @param {number} [pendingFiles=0] - Pièces jointes pas encore extraites
+   * @returns {Promise<{promptTokens: number, completionTokens: number, cost: number}>}
+   */
+  async _estimateUsage(username, model, normalized, conversationId, pseudonymizer, pendingFiles = 0) {
+    let documents = this.documents.resolve(normalized.file_ids);
+    if (conversationId != null) {
+      const stored = await getConversationDocumentsContent(username, conversationId);
+      documents = [...documents, ...(stored ?? []).map((d) => this.documents.fromStored(d))];
     }
-    
-    if (typeof cost === 'number' && Number.isFinite(cost)) {
-      await addCost(username, cost);
+
+    const { messages } = this.documents.attachToMessages(normalized.messages, documents);
+    let promptTokens = estimateMessagesTokens(this._pseudonymizeMessages(messages, pseudonymizer));
+
+    // Documents pas encore extraits : volume maximal d'extraits injectés
+    if (pendingFiles > 0) {
+      promptTokens = Math.max(
+        promptTokens,
+        estimateMessagesTokens(normalized.messages) + estimateTokensFromLength(MAX_CONTEXT_CHARS)
+      );
     }
 
+    const completionTokens = this.maxOutputTokens;
+    const cost = computeCostFromUsage(estimatedUsage(promptTokens, completionTokens), model.id);
+    return { promptTokens, completionTokens, cost };
+  }
+
+  /**
+   * Consommation de l'utilisateur courant sur la période de budget en cours,
+   * détaillée par modèle (lue dans le registre d'usage).
+   * 
+   * @returns {Promise<{period: string, since: string | null, spent: number, limit: number, remaining: number} & import('../db.ts').UsageSummary>}
+   */
+  async getUsage() {
+    const username = getWindowsUserName();
+    await ensureUserExists?.(username);
+
+    const { spent, limit, period } = await this._budget(username);
+    const summary = await getUsageSummary(username, period.start);
+
+    return {
+      period: period.label,
+      since: period.start?.toISOString() ?? null,
+      spent,
+      limit,
+      remaining: Math.max(0, Number((limit - spent).toFixed(6))),
+      ...summary,
+    };
+  }
+
+  /**
+   * Coût consommé sur la période de budget en cours (BUDGET_PERIOD) et budget
+   * de l'utilisateur (maxCost, sinon la limite par défaut).
+   * 
+   * @private
+   * @param {string} username
+   * @returns {Promise<{spent: number, limit: number, period: import('../budget.js').BudgetPeriod}>}
+   */
+  async _budget(username) {
+    const period = getBudgetPeriod();
+    const spent = await getCostSince(username, period.start);
+    const userCostLimit = await getCostLimit(username);
+    return {
+      spent,
+      limit: Number.isFinite(userCostLimit) ? userCostLimit : this.costLimit,
+      period,
+    };
+  }
+
+  /**
+   * Appelle le provider du modèle choisi puis, si son erreur est transitoire
+   * (limite de taux, 5xx, réseau), les modèles de repli dans l'ordre de la chaîne.
+   * `prepared.model` désigne le modèle en cours d'appel : c'est lui qui est facturé.
+   * 
+   * @private
+   * @template T
+   * @param {PreparedChat} prepared
+   * @param {(adapter: import('../adapters/BaseAdapter.js').BaseAdapter, request: ProcessedChatRequest) => Promise<T>} call
+   * @param {() => boolean} [canRetry] - Bascule encore possible (ex: rien n'a été streamé)
+   * @returns {Promise<T>}
+   */
+  async _callWithFailover(prepared, call, canRetry = () => true) {
+    const { chain, request } = prepared;
+
+    for (let i = 0; ; i++) {
+      const model = chain[i];
+      const adapter = this.adapters.get(model.provider);
+      prepared.model = model;
+
+      try {
+        return await call(adapter, { ...request, model: model.id });
+      } catch (error) {
+        const next = chain[i + 1];
+        if (!next || request.signal?.aborted || !adapter.isRetriableError(error) || !canRetry()) {
+          throw error;
+        }
+
+        console.warn(`[ChatService] ${model.id} indisponible (${error?.message}), bascule sur ${next.id}`);
+        prepared.failover ??= { from: model.id, reason: String(error?.message ?? error) };
+      }
+    }
+  }
+
+  /**
+   * Modèle choisi suivi de ses modèles de repli activés (provider configuré).
+   * Les droits de l'utilisateur portent sur le choix du modèle : la bascule
+   * est une continuité de service et ne les vérifie pas.
+   * 
+   * @private
+   * @param {import('../models.js').ModelDefinition} model
+   * @returns {import('../models.js').ModelDefinition[]}
+   */
+  _failoverChain(model) {
+    if (!this.failover) return [model];
+
+    const fallbacks = model.fallbacks
+      .map(findModel)
+      .filter((m) => m && isModelEnabled(m) && this.adapters.has(m.provider));
+    return [model, ...fallbacks];
+  }
+
+  /**
+   * Étapes communes avant l'appel au provider : vérification du modèle choisi,
+   * compteurs de requêtes, vérification de la limite de coût, normalisation,
+   * vérification du coût estimé et enregistrement de la question dans la conversation.
+   * 
+   * @private
+   * @param {Object} rawRequest
+   * @param {string} [requestedModel]
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<PreparedChat>}
+   */
+  async _prepareRequest(rawRequest, requestedModel, signal) {
+    const username = getWindowsUserName();
+    await ensureUserExists?.(username);
+
+    // Modèle refusé : rien n'est enregistré
+    const model = await this._resolveModel(username, requestedModel);
+
+    // Les requêtes sont comptabilisées dans le registre d'usage une fois le provider appelé
+    const hasFiles = Array.isArray(rawRequest?.file_ids) && rawRequest.file_ids.length > 0;
+
+    // Vérification de la limite de coût sur la période de budget
+    const { spent, limit } = await this._budget(username);
+    if (spent >= limit) {
+      return { username, limitReached: true };
+    }
+
+    // Normalisation de la requête (données personnelles remplacées par des marqueurs)
+    const pseudonymizer = new Pseudonymizer();
+    const normalized = this._normalizeRequest(rawRequest, model.id, pseudonymizer);
+    const question = [...normalized.messages].reverse().find((m) => m.role === 'user');
+    const prompt = pseudonymizer.unmask(question?.content ?? '');
+    const attached = this.documents.resolve(normalized.file_ids);
+    const conversationId = rawRequest?.conversation_id != null ? Number(rawRequest.conversation_id) : null;
+    const { parentId, regenerate } = this._parseBranch(rawRequest, conversationId);
+
+    // Même estimation que /api/chat/estimate : refusée si elle dépasse le budget restant (rien n'est enregistré)
+    const { cost } = await this._estimateUsage(username, model, normalized, conversationId, pseudonymizer);
+    if (spent + cost > limit) {
+      const remaining = Math.max(0, limit - spent);
+      throw httpError(
+        403,
+        `Coût estimé (${cost.toFixed(4)} $) supérieur au budget restant (${remaining.toFixed(4)} $)`
+      );
+    }
+
+    // Enregistrement de la question dans la conversation (sans le texte des documents),
+    // à la suite du message parent : une question modifiée ouvre une nouvelle branche
+    let userMessageId = null;
+    let documents = attached;
+    if (conversationId != null) {
+      userMessageId = regenerate
+        ? await this._storedQuestion(username, conversationId, parentId)
+        : await addMessage(username, conversationId, {
+            sender: 'user',
+            content: prompt,
+            parent_id: parentId,
+          });
+      if (userMessageId == null) {
+        throw httpError(404, 'Conversation ou message introuvable');
+      }
+      documents = await this._conversationDocuments(username, conversationId, attached);
+    }
+
+    // Les extraits pertinents des documents sont injectés dans la question :
+    // aucun fichier n'est transmis au provider
+    const { messages, retrieval } = this.documents.attachToMessages(normalized.messages, documents);
+    const request = {
+      ...normalized,
+      messages: this._pseudonymizeMessages(messages, pseudonymizer),
+      file_ids: [],
+      signal,
+    };
+
+    return {
+      username,
+      limitReached: false,
+      request,
+      conversationId,
+      userMessageId,
+      hasFiles,
+      chain: this._failoverChain(model),
+      model,
+      failover: null,
+      filtre: resolveFiltre(rawRequest?.filtre),
+      prompt,
+      files: attached.map(({ name, size, sha256 }) => ({ name, size, sha256 })),
+      retrieval,
+      pseudonymizer,
+    };
+  }
+
+  /**
+   * Position de la question dans l'arbre de la conversation.
+   *
+   * @private
+   * @param {Object} rawRequest
+   * @param {number | null} conversationId
+   * @returns {{parentId: number | null | undefined, regenerate: boolean}}
+   * @throws {Error} 400 si le parent est invalide ou si une régénération ne désigne pas de question enregistrée
+   */
+  _parseBranch(rawRequest, conversationId) {
+    const raw = rawRequest?.parent_id;
+    const parentId = raw === undefined || raw === null ? raw : Number(raw);
+    if (parentId != null && !(Number.isInteger(parentId) && parentId > 0)) {
+      throw httpError(400, 'Message parent invalide');
+    }
+
+    const regenerate = rawRequest?.regenerate === true;
+    if (regenerate && (conversationId == null || parentId == null)) {
+      throw httpError(400, 'Régénération impossible : question enregistrée attendue');
+    }
+    return { parentId, regenerate };
+  }
+
+  /**
+   * Question déjà enregistrée à laquelle une nouvelle réponse est demandée.
+   *
+   * @private
+   * @param {string} username
+   * @param {number} conversationId
+   * @param {number} messageId
+   * @returns {Promise<number | null>} ID de la question, null si elle n'existe pas dans la conversation
+   */
+  async _storedQuestion(username, conversationId, messageId) {
+    const stored = await getConversation(username, conversationId);
+    const question = stored?.messages.find((m) => m.id === messageId && m.sender === 'user');
+    return question?.id ?? null;
+  }
+
+  /**
+   * Enregistre les documents nouvellement joints dans la conversation, puis retourne
+   * tous les documents de la conversation : une question de suivi voit ainsi
+   * les documents joints lors des tours précédents.
+   * 
+   * @private
+   * @param {string} username
+   * @param {number} conversationId
+   * @param {import('./DocumentService.js').StoredDocument[]} attached - Documents joints à cette question
+   * @returns {Promise<import('./DocumentService.js').StoredDocument[]>}
+   */
+  async _conversationDocuments(username, conversationId, attached) {
+    for (const doc of attached) {
+      await addConversationDocument(username, conversationId, this.documents.toStorable(doc));
+      this.documents.remove(doc.id);
+    }
+
+    const stored = await getConversationDocumentsContent(username, conversationId);
+    return (stored ?? []).map((d) => this.documents.fromStored(d));
+  }
+
+  /**
+   * Calcule le coût de la réponse, l'enregistre dans le registre d'usage (avec la réponse
+   * dans la conversation) et construit la réponse au format attendu par le frontend.
+   * 
+   * @private
+   * @param {PreparedChat} prepared
+   * @param {import('../adapters/BaseAdapter.js').StandardizedResponse} response
+   * @param {boolean} [aborted=false] - Génération interrompue par l'utilisateur
+   * @returns {Promise<ServiceChatResponse>}
+   */
+  async _finalizeResponse(prepared, response, aborted = false) {
+    const { username, model, failover, conversationId, userMessageId, hasFiles, retrieval, pseudonymizer } = prepared;
+
+    // Restitution des données personnelles masquées avant l'envoi
+    const content = pseudonymizer.unmask(response.content);
+
+    // Calcul du coût (au tarif du modèle qui a effectivement répondu)
+    const cost = computeCostFromUsage(response.usage, model.id);
+
+    // Enregistrement de l'appel dans le registre d'usage (met à jour les compteurs de l'utilisateur)
+    await recordUsage(username, {
+      model: model.id,
+      provider: model.provider,
+      prompt_tokens: response.usage?.prompt_tokens ?? 0,
+      completion_tokens: response.usage?.completion_tokens ?? 0,
+      total_tokens: Number.isFinite(response.tokensUsed) ? response.tokensUsed : 0,
+      cost,
+      had_files: Boolean(hasFiles),
+      aborted,
+    });
+
+    // Enregistrement de la réponse dans la conversation. Une génération interrompue avant le premier
+    // fragment laisse une réponse vide : l'arbre alterne toujours question / réponse et la question
+    // suivante se place à sa suite (les messages vides ne sont pas renvoyés au provider)
+    let assistantMessageId = null;
+    if (conversationId != null && (content || aborted)) {
+      assistantMessageId = await addMessage(username, conversationId, {
+        sender: 'assistant',
+        content,
+        tokens: response.tokensUsed || null,
+        cost,
+        prompt_version: prepared.request.prompt_version,
+        model: model.id,
+        filtre: prepared.filtre,
+        parent_id: userMessageId ?? null,
+      });
+    }
+
+    // Journal d'audit (texte ou empreintes selon AUDIT_LOG)
+    await auditChat(username, {
+      model: model.id,
+      provider: model.provider,
+      conversationId: conversationId ?? null,
+      files: prepared.files ?? [],
+      prompt: prepared.prompt ?? '',
+      answer: content,
+      aborted,
+    });
+
     // Retour de la réponse dans le format attendu par le frontend
     return {
-      content: response.content,
+      content,
       usage: response.usage,
       cost,
       limitReached: false,
+      provider: model.provider,
+      model: model.id,
+      prompt_version: prepared.request.prompt_version,
+      failover,
+      conversation_id: conversationId ?? null,
+      user_message_id: userMessageId ?? null,
+      assistant_message_id: assistantMessageId,
+      retrieval: retrieval ?? [],
+      pseudonymization: pseudonymizer.report(),
+    };
+  }
+
+  /**
+   * Enregistre la consommation d'une génération interrompue par l'utilisateur.
+   * Le provider ne renvoie pas d'usage dans ce cas : les tokens du prompt et
+   * ceux déjà générés sont estimés, puis facturés comme une réponse normale.
+   * 
+   * @private
+   * @param {PreparedChat} prepared
+   * @param {string} partialContent - Texte reçu avant l'interruption
+   * @returns {Promise<ServiceChatResponse>}
+   */
+  async _abortedResponse(prepared, partialContent) {
+    const promptTokens = estimateMessagesTokens(prepared.request.messages);
+    const completionTokens = estimateTokens(partialContent);
+    const usage = estimatedUsage(promptTokens, completionTokens);
+
+    const response = await this._finalizeResponse(
+      prepared,
+      { content: partialContent, usage, tokensUsed: usage.total_tokens },
+      true
+    );
+
+    return { ...response, aborted: true };
+  }
+
+  /**
+   * Journal d'audit d'un échange échoué : réponse vide et erreur du dernier modèle appelé
+   * (après une éventuelle bascule, `prepared.model` est le dernier modèle de la chaîne essayé).
+   * 
+   * @private
+   * @param {PreparedChat} prepared
+   * @param {unknown} error
+   * @returns {Promise<void>}
+   */
+  async _auditFailure(prepared, error) {
+    const { username, model, conversationId } = prepared;
+    await auditChat(username, {
+      model: model.id,
+      provider: model.provider,
+      conversationId: conversationId ?? null,
+      files: prepared.files ?? [],
+      prompt: prepared.prompt ?? '',
+      answer: '',
+      aborted: false,
+      error: String(error?.message ?? error),
+    });
+  }
+
+  /**
+   * Réponse renvoyée lorsque l'utilisateur a atteint sa limite de coût.
+   * 
+   * @private
+   * @returns {ServiceChatResponse}
+   */
+  _limitReachedResponse() {
+    return { 
+      content: '', 
+      usage: null, 
+      cost: 0, 
+      limitReached: true 
     };
   }
 
   /**
    * Normalise la requête brute en format standardisé.
    * Supporte à la fois le format legacy (prompt) et le nouveau format (messages).
+   * Les consignes système sont celles du serveur (variante du domaine du filtre) : les messages
+   * `system` du client sont ignorés. Les consignes de rédaction du filtre (`filtre`) suivent.
+   * 
+   * Si un pseudonymiseur est fourni, les données personnelles (IBAN, SIREN/SIRET, NIR,
+   * emails, téléphones, adresses) sont remplacées par des marqueurs stables.
    * 
    * @private
    * @param {Object} rawRequest
    * @param {string} model
+   * @param {Pseudonymizer} [pseudonymizer]
    * @returns {ProcessedChatRequest}
    */
-  _normalizeRequest(rawRequest, model) {
-    const { prompt, messages, file_ids } = rawRequest ?? {};
+  _normalizeRequest(rawRequest, model, pseudonymizer) {
+    const { prompt, messages, file_ids, filtre } = rawRequest ?? {};
 
     // Conversion en format standardisé
     let standardizedMessages = [];
@@ -185,21 +814,59 @@ export class ChatService {
       throw new Error('Ni prompt ni messages n\'ont été fournis');
     }
 
+    // Seuls la question et l'historique viennent du client
+    const exchange = standardizedMessages.filter((m) => m.role === 'user' || m.role === 'assistant');
+    if (exchange.length === 0) {
+      throw new Error('Ni prompt ni messages n\'ont été fournis');
+    }
+
+    const systemPrompt = resolveSystemPrompt(typeof filtre?.domaine === 'string' ? filtre.domaine : undefined);
+    const instruction = buildFiltreInstruction(filtre);
+    const system = [systemPrompt.content, instruction]
+      .filter(Boolean)
+      .map((content) => ({ role: 'system', content }));
+
     return {
-      messages: standardizedMessages,
+      messages: this._pseudonymizeMessages([...system, ...exchange], pseudonymizer),
       file_ids: Array.isArray(file_ids) ? file_ids.map(String) : [],
       model,
+      prompt_version: systemPrompt.version,
     };
   }
 
   /**
-   * Upload des fichiers via l'adapter.
+   * Masque les données personnelles des messages (sans effet si la pseudonymisation
+   * est désactivée). Idempotent : utilisé aussi après l'ajout des extraits de documents.
+   * Si des données ont été masquées, une consigne demande au modèle de conserver les marqueurs.
+   * 
+   * @private
+   * @param {import('../adapters/BaseAdapter.js').StandardizedMessage[]} messages
+   * @param {Pseudonymizer} [pseudonymizer]
+   * @returns {import('../adapters/BaseAdapter.js').StandardizedMessage[]}
+   */
+  _pseudonymizeMessages(messages, pseudonymizer) {
+    if (!pseudonymizer || !this.pseudonymize) {
+      return messages;
+    }
+
+    const masked = messages
+      .filter((m) => m.content !== PSEUDONYMIZATION_NOTICE)
+      .map((m) => ({ ...m, content: pseudonymizer.mask(m.content) }));
+
+    if (pseudonymizer.report().total === 0) {
+      return masked;
+    }
+    return [{ role: 'system', content: PSEUDONYMIZATION_NOTICE }, ...masked];
+  }
+
+  /**
+   * Extraction du texte des fichiers attachés (localement, OCR distant selon la politique).
    * 
    * @param {Array<{buffer: Buffer, originalname: string, size: number}>} files
-   * @returns {Promise<Array<{name: string, size: number, file_id: string}>>}
+   * @returns {Promise<Array<{name: string, size: number, file_id: string, extraction: import('./DocumentService.js').ExtractionReport}>>}
    */
   async uploadFiles(files) {
-    return await this.adapter.uploadFiles(files);
+    return await this.documents.ingest(files);
   }
 
   /**
@@ -0,0 +1,253 @@
+// backend/services/ConversationService.js
+import {
+  ensureUserExists,
+  listConversations,
+  createConversation,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  listConversationDocuments,
+  deleteConversationDocument,
+  searchMessages,
+  foldText,
+} from '../db.ts';
+import { getWindowsUserName } from '../security/identity.ts';
+import { httpError } from '../errors.js';
+
+const MAX_TITLE_LENGTH = 200;
+const DEFAULT_TITLE = 'Nouvelle conversation';
+
+// Recherche : longueur de la requête, nombre de termes et de résultats, contexte autour de la 1re occurrence
+const MAX_QUERY_LENGTH = 200;
+const MAX_SEARCH_TERMS = 8;
+const MIN_TERM_LENGTH = 2;
+const SEARCH_LIMIT = 50;
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * @typedef {import('../db.ts').Conversation} Conversation
+ * @typedef {import('../db.ts').StoredMessage} StoredMessage
+ * @typedef {import('../db.ts').ConversationDocument} ConversationDocument
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {number} conversation_id
+ * @property {string} conversation_title
+ * @property {number} message_id - Message à afficher à l'ouverture de la conversation
+ * @property {'user' | 'assistant'} sender
+ * @property {string} created_at
+ * @property {string} snippet - Extrait du message autour de la première occurrence
+ * @property {Array<[number, number]>} highlights - Occurrences des termes dans l'extrait ([début, fin[)
+ */
+
+/**
+ * Termes recherchés : mots de la requête repliés (minuscules, sans accents), sans doublons.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function searchTerms(query) {
+  const words = foldText(query).split(/[^\p{L}\p{N}]+/u).filter((w) => w.length >= MIN_TERM_LENGTH);
+  return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * Extrait d'un message autour de la première occurrence des termes, avec la position de chaque
+ * occurrence dans l'extrait. La comparaison ignore la casse et les accents (« bareme » trouve « Barème »).
+ *
+ * @param {string} content
+ * @param {string[]} terms - Termes repliés (voir searchTerms)
+ * @returns {{snippet: string, highlights: Array<[number, number]>}}
+ */
+export function buildSnippet(content, terms) {
+  // Texte replié caractère par caractère, avec la position d'origine de chaque caractère replié
+  let folded = '';
+  const origin = [];
+  for (let i = 0; i < content.length; i++) {
+    const f = foldText(content[i]);
+    folded += f;
+    for (let k = 0; k < f.length; k++) origin.push(i);
+  }
+
+  // Occurrences dans le texte d'origine, triées et fusionnées si elles se chevauchent
+  const ranges = [];
+  for (const term of terms) {
+    for (let at = folded.indexOf(term); at >= 0; at = folded.indexOf(term, at + term.length)) {
+      ranges.push([origin[at], origin[at + term.length - 1] + 1]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+
+  const first = merged[0]?.[0] ?? 0;
+  let start = Math.max(0, first - SNIPPET_CONTEXT);
+  let end = Math.min(content.length, first + 2 * SNIPPET_CONTEXT);
+  // Coupe aux espaces pour ne pas tronquer les mots
+  if (start > 0) start = content.indexOf(' ', start) + 1 || start;
+  if (end < content.length) end = content.lastIndexOf(' ', end) > first ? content.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  const snippet = prefix + content.slice(start, end).replace(/\s/g, ' ') + suffix;
+  const highlights = merged
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+
+  return { snippet, highlights };
+}
+
+/**
+ * Service de gestion des conversations persistées en base (et des documents qui y sont conservés).
+ * Toutes les opérations sont restreintes aux conversations de l'utilisateur Windows courant.
+ */
+export class ConversationService {
+  /**
+   * Liste les conversations de l'utilisateur (la plus récente en premier).
+   *
+   * @returns {Promise<Conversation[]>}
+   */
+  async list() {
+    return await listConversations(getWindowsUserName());
+  }
+
+  /**
+   * Crée une conversation vide.
+   *
+   * @param {string} [title]
+   * @returns {Promise<Conversation>}
+   */
+  async create(title) {
+    const username = getWindowsUserName();
+    await ensureUserExists(username);
+    return await createConversation(username, this._normalizeTitle(title) || DEFAULT_TITLE);
+  }
+
+  /**
+   * Charge une conversation et tous ses messages (toutes les branches, reliées par `parent_id`).
+   *
+   * @param {number|string} id
+   * @returns {Promise<{conversation: Conversation, messages: StoredMessage[]}>}
+   * @throws {Error} 404 si la conversation n'existe pas
+   */
+  async load(id) {
+    const found = await getConversation(getWindowsUserName(), this._parseId(id));
+    if (!found) {
+      throw httpError(404, 'Conversation introuvable');
+    }
+    return found;
+  }
+
+  /**
+   * Recherche dans tous les messages de l'utilisateur (toutes conversations et branches confondues).
+   * Chaque mot de la requête doit figurer dans le message, sans tenir compte de la casse ni des accents.
+   *
+   * @param {unknown} query
+   * @returns {Promise<SearchResult[]>} Du plus récent au plus ancien (aucun résultat sans terme exploitable)
+   * @throws {Error} 400 si la requête est trop longue
+   */
+  async search(query) {
+    const text = String(query ?? '').trim();
+    if (text.length > MAX_QUERY_LENGTH) {
+      throw httpError(400, `Recherche trop longue (${MAX_QUERY_LENGTH} caractères maximum)`);
+    }
+
+    const terms = searchTerms(text);
+    if (terms.length === 0) return [];
+
+    const hits = await searchMessages(getWindowsUserName(), terms, SEARCH_LIMIT);
+    return hits.map(({ content, ...hit }) => ({ ...hit, ...buildSnippet(content, terms) }));
+  }
+
+  /**
+   * Renomme une conversation.
+   *
+   * @param {number|string} id
+   * @param {string} title
+   * @returns {Promise<void>}
+   */
+  async rename(id, title) {
+    const normalized = this._normalizeTitle(title);
+    if (!normalized) {
+      throw httpError(400, 'Le titre ne peut pas être vide');
+    }
+    const updated = await renameConversation(getWindowsUserName(), this._parseId(id), normalized);
+    if (!updated) {
+      throw httpError(404, 'Conversation introuvable');
+    }
+  }
+
+  /**
+   * Supprime une conversation et ses messages.
+   *
+   * @param {number|string} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const deleted = await deleteConversation(getWindowsUserName(), this._parseId(id));
+    if (!deleted) {
+      throw httpError(404, 'Conversation introuvable');
+    }
+  }
+
+  /**
+   * Liste les documents conservés dans une conversation (sans leur texte).
+   *
+   * @param {number|string} id
+   * @returns {Promise<ConversationDocument[]>}
+   * @throws {Error} 404 si la conversation n'existe pas
+   */
+  async listDocuments(id) {
+    const documents = await listConversationDocuments(getWindowsUserName(), this._parseId(id));
+    if (!documents) {
+      throw httpError(404, 'Conversation introuvable');
+    }
+    return documents;
+  }
+
+  /**
+   * Retire un document de la conversation : il ne sera plus utilisé pour les questions suivantes.
+   *
+   * @param {number|string} id
+   * @param {number|string} documentId
+   * @returns {Promise<void>}
+   */
+  async removeDocument(id, documentId) {
+    const removed = await deleteConversationDocument(
+      getWindowsUserName(),
+      this._parseId(id),
+      this._parseId(documentId, 'document')
+    );
+    if (!removed) {
+      throw httpError(404, 'Document introuvable');
+    }
+  }
+
+  /**
+   * @private
+   * @param {unknown} title
+   * @returns {string}
+   */
+  _normalizeTitle(title) {
+    return String(title ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+  }
+
+  /**
+   * @private
+   * @param {number|string} id
+   * @param {'conversation' | 'document'} [kind='conversation']
+   * @returns {number}
+   */
+  _parseId(id, kind = 'conversation') {
+    const parsed = Number(id);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw httpError(400, kind === 'document' ? 'Identifiant de document invalide' : 'Identifiant de conversation invalide');
+    }
+    return parsed;
+  }
+}
@@ -1,8 +1,29 @@
 // backend/services/DocumentExtractor.js
+import { PDFParse } from 'pdf-parse';
+import { PDFDocument } from 'pdf-lib';
+import mammoth from 'mammoth';
+import { httpError } from '../errors.js';
+
+// En dessous de ce nombre de caractères (hors espaces), une page PDF est considérée comme scannée
+const MIN_PAGE_CHARS = 16;
+
+/**
+ * @typedef {Object} ExtractedPage
+ * @property {number} num - Numéro de la page (à partir de 1)
+ * @property {string} text - Texte de la page
+ */
+
+/**
+ * @typedef {Object} LocalExtraction
+ * @property {ExtractedPage[]} pages - Pages extraites (une seule pour un DOCX)
+ * @property {number[]} scannedPages - Pages sans texte exploitable (OCR nécessaire)
+ * @property {boolean} isImage - Image : aucun texte extractible localement
+ */
 
 /**
- * Upload brut de documents vers l'API Mistral
- * (sans extraction locale du texte - Mistral gère l'OCR)
+ * Validation et extraction locale du texte des documents.
+ * Le texte des PDF et DOCX est extrait sur le poste, sans envoi au fournisseur d'IA ;
+ * seules les pages scannées et les images nécessitent un OCR distant.
  */
 export class DocumentExtractor {
   /**
@@ -50,5 +71,99 @@ export class DocumentExtractor {
       );
     }
   }
-}
 
+  /**
+   * Indique si le fichier est une image (OCR uniquement).
+   *
+   * @param {string} originalname
+   * @returns {boolean}
+   */
+  static isImage(originalname) {
+    return /\.(png|jpe?g|webp)$/i.test(originalname);
+  }
+
+  /**
+   * Extrait localement le texte d'un document.
+   * - PDF : texte page par page (pdf-parse), les pages sans texte sont signalées comme scannées
+   * - DOCX : texte brut (mammoth)
+   * - Images : aucune extraction locale possible
+   *
+   * @param {Buffer} buffer
+   * @param {string} originalname
+   * @returns {Promise<LocalExtraction>}
+   * @throws {Error} 422 si le document ne peut pas être lu
+   */
+  static async extractLocally(buffer, originalname) {
+    this.validateFile(buffer, originalname);
+
+    if (this.isImage(originalname)) {
+      return { pages: [], scannedPages: [], isImage: true };
+    }
+
+    if (originalname.toLowerCase().endsWith('.docx')) {
+      return { pages: [{ num: 1, text: await this._extractDocx(buffer, originalname) }], scannedPages: [], isImage: false };
+    }
+
+    const pages = await this._extractPdfPages(buffer, originalname);
+    const scannedPages = pages
+      .filter((p) => p.text.replace(/\s+/g, '').length < MIN_PAGE_CHARS)
+      .map((p) => p.num);
+
+    return { pages, scannedPages, isImage: false };
+  }
+
+  /**
+   * Construit sur le poste un PDF ne contenant que certaines pages du document
+   * (pages scannées envoyées à l'OCR distant, sans les pages lisibles).
+   *
+   * @param {Buffer} buffer - PDF d'origine
+   * @param {string} originalname
+   * @param {number[]} pages - Pages à conserver (à partir de 1), dans l'ordre du nouveau PDF
+   * @returns {Promise<Buffer>}
+   * @throws {Error} 422 si le PDF ne peut pas être découpé
+   */
+  static async extractPdfSubset(buffer, originalname, pages) {
+    try {
+      const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+      const subset = await PDFDocument.create();
+      const copied = await subset.copyPages(source, pages.map((n) => n - 1));
+      copied.forEach((page) => subset.addPage(page));
+      return Buffer.from(await subset.save());
+    } catch (error) {
+      throw httpError(422, `Impossible d'isoler les pages scannées de ${originalname}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Buffer} buffer
+   * @param {string} originalname
+   * @returns {Promise<ExtractedPage[]>}
+   */
+  static async _extractPdfPages(buffer, originalname) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+      const result = await parser.getText();
+      return (result.pages ?? []).map((p) => ({ num: p.num, text: (p.text ?? '').trim() }));
+    } catch (error) {
+      throw httpError(422, `Impossible de lire le PDF ${originalname}: ${error.message}`);
+    } finally {
+      await parser.destroy().catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   * @param {Buffer} buffer
+   * @param {string} originalname
+   * @returns {Promise<string>}
+   */
+  static async _extractDocx(buffer, originalname) {
+    try {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return (value ?? '').trim();
+    } catch (error) {
+      throw httpError(422, `Impossible de lire le document ${originalname}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,173 @@
+// backend/services/DocumentIndex.js
+
+// Taille cible d'un extrait et recouvrement entre deux extraits consécutifs (en caractères)
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+
+// Paramètres BM25 usuels
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Mots vides français ignorés lors de l'indexation
+const STOPWORDS = new Set([
+  'a', 'au', 'aux', 'avec', 'ce', 'ces', 'cet', 'cette', 'dans', 'de', 'des', 'du', 'elle', 'en',
+  'est', 'et', 'il', 'ils', 'la', 'le', 'les', 'leur', 'leurs', 'mais', 'ne', 'ni', 'nous', 'on',
+  'ou', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 'quoi', 'sa', 'se', 'ses', 'son', 'sont', 'sur',
+  'ta', 'te', 'tes', 'ton', 'un', 'une', 'vous', 'votre', 'vos', 'y', 'l', 'd', 'j', 'm', 'n', 's',
+  'c', 't', 'etre', 'avoir', 'comme', 'plus', 'moins', 'tout', 'tous', 'toute', 'toutes',
+]);
+
+/**
+ * @typedef {Object} DocumentChunk
+ * @property {number} index - Position de l'extrait dans le document (à partir de 0)
+ * @property {number} start - Offset de début dans le texte du document
+ * @property {number} end - Offset de fin (exclu) dans le texte du document
+ * @property {number} page_start - Première page couverte
+ * @property {number} page_end - Dernière page couverte
+ * @property {string} text - Contenu de l'extrait
+ * @property {Map<string, number>} terms - Fréquence de chaque terme
+ * @property {number} length - Nombre de termes indexés
+ */
+
+/**
+ * Découpage des documents en extraits et recherche BM25 locale
+ * (aucun service externe : l'index vit en mémoire avec le texte extrait).
+ */
+export class DocumentIndex {
+  /**
+   * Normalise et découpe un texte en termes indexables :
+   * minuscules, sans accents, sans mots vides, pluriels simples ramenés au singulier.
+   *
+   * @param {string} text
+   * @returns {string[]}
+   */
+  static tokenize(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter((t) => t.length > 0 && !STOPWORDS.has(t))
+      .map((t) => (t.length > 3 && /[sx]$/.test(t) && !/\d/.test(t) ? t.slice(0, -1) : t));
+  }
+
+  /**
+   * Découpe le texte d'un document (page par page) en extraits qui se recouvrent,
+   * en privilégiant les coupures en fin de paragraphe ou de phrase.
+   *
+   * @param {Array<{num: number, text: string}>} pages
+   * @returns {{text: string, chunks: DocumentChunk[]}} Texte complet du document et ses extraits
+   */
+  static chunk(pages) {
+    // Texte complet et offset de début de chaque page
+    const pageStarts = [];
+    let text = '';
+    for (const page of pages) {
+      if (text) text += '\n\n';
+      pageStarts.push({ num: page.num, start: text.length });
+      text += page.text;
+    }
+
+    const pageAt = (offset) => {
+      let num = pageStarts[0]?.num ?? 1;
+      for (const p of pageStarts) {
+        if (p.start > offset) break;
+        num = p.num;
+      }
+      return num;
+    };
+
+    /** @type {DocumentChunk[]} */
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(start + CHUNK_SIZE, text.length);
+      if (end < text.length) {
+        end = this._findBoundary(text, start, end);
+      }
+
+      const chunkText = text.slice(start, end).trim();
+      if (chunkText) {
+        const tokens = this.tokenize(chunkText);
+        const terms = new Map();
+        for (const t of tokens) terms.set(t, (terms.get(t) ?? 0) + 1);
+
+        chunks.push({
+          index: chunks.length,
+          start,
+          end,
+          page_start: pageAt(start),
+          page_end: pageAt(Math.max(start, end - 1)),
+          text: chunkText,
+          terms,
+          length: tokens.length,
+        });
+      }
+
+      if (end >= text.length) break;
+      start = Math.max(end - CHUNK_OVERLAP, start + 1);
+    }
+
+    return { text, chunks };
+  }
+
+  /**
+   * Classe les extraits selon leur pertinence BM25 pour la question.
+   * Les statistiques du corpus sont calculées sur les extraits fournis
+   * (ceux des documents attachés à la requête).
+   *
+   * @template {DocumentChunk} T
+   * @param {T[]} chunks
+   * @param {string} query
+   * @returns {Array<{chunk: T, score: number}>} Extraits triés par score décroissant
+   */
+  static search(chunks, query) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (chunks.length === 0) return [];
+
+    const avgLength = chunks.reduce((sum, c) => sum + c.length, 0) / chunks.length || 1;
+
+    // Nombre d'extraits contenant chaque terme de la question
+    const docFreq = new Map();
+    for (const term of queryTerms) {
+      docFreq.set(term, chunks.filter((c) => c.terms.has(term)).length);
+    }
+
+    return chunks
+      .map((chunk) => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const tf = chunk.terms.get(term) ?? 0;
+          if (tf === 0) continue;
+          const df = docFreq.get(term);
+          const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / avgLength));
+        }
+        return { chunk, score };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Cherche la meilleure coupure avant `end` : fin de paragraphe, puis fin de phrase, puis espace.
+   *
+   * @private
+   * @param {string} text
+   * @param {number} start
+   * @param {number} end
+   * @returns {number}
+   */
+  static _findBoundary(text, start, end) {
+    const minEnd = start + Math.floor(CHUNK_SIZE / 2);
+    const window = text.slice(minEnd, end);
+
+    for (const pattern of [/\n\s*\n/g, /[.!?;:]\s/g, /\s/g]) {
+      let last = -1;
+      for (const match of window.matchAll(pattern)) {
+        last = match.index + match[0].length;
+      }
+      if (last > 0) return minEnd + last;
+    }
+    return end;
+  }
+}
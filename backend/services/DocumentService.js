@@ -0,0 +1,375 @@
+// backend/services/DocumentService.js
+import { randomUUID } from 'node:crypto';
+import { DocumentExtractor } from './DocumentExtractor.js';
+import { DocumentIndex } from './DocumentIndex.js';
+import { httpError } from '../errors.js';
+import { sha256 } from '../audit.js';
+
+// Volume maximal d'extraits injectés dans le prompt (en caractères) et nombre maximal d'extraits
+export const MAX_CONTEXT_CHARS = 8000;
+const MAX_CONTEXT_CHUNKS = 8;
+
+// Durée de conservation en mémoire du texte extrait
+const DOCUMENT_TTL_MS = 4 * 60 * 60 * 1000;
+
+/**
+ * Politiques d'OCR distant :
+ * - `local-only` : aucun document n'est envoyé au fournisseur d'IA (par défaut)
+ * - `allow-fallback` : les pages scannées et les images sont envoyées à l'OCR du fournisseur
+ */
+export const OCR_POLICIES = ['local-only', 'allow-fallback'];
+
+/**
+ * @typedef {'local' | 'ocr' | 'mixed' | 'partial'} ExtractionMethod
+ * - local : tout le texte a été extrait sur le poste
+ * - ocr : tout le texte provient de l'OCR du fournisseur (images, PDF entièrement scannés)
+ * - mixed : texte local + OCR distant pour les pages scannées
+ * - partial : texte local uniquement, pages scannées ignorées (OCR interdit)
+ */
+
+/**
+ * @typedef {Object} ExtractionReport
+ * @property {ExtractionMethod} method - Méthode d'extraction retenue
+ * @property {number} pages - Nombre de pages du document
+ * @property {number[]} ocr_pages - Pages envoyées à l'OCR du fournisseur
+ * @property {number[]} skipped_pages - Pages scannées ignorées faute d'OCR autorisé
+ */
+
+/**
+ * @typedef {import('./DocumentIndex.js').DocumentChunk & {file_id: string, name: string}} IndexedChunk
+ */
+
+/**
+ * @typedef {Object} StoredDocument
+ * @property {string} id
+ * @property {string} name
+ * @property {number} size
+ * @property {string} [sha256] - Empreinte du fichier d'origine (journal d'audit ; absente des documents repris d'une conversation)
+ * @property {string} text - Texte extrait
+ * @property {Array<{num: number, text: string}>} pages - Texte extrait, page par page
+ * @property {IndexedChunk[]} chunks - Extraits indexés pour la recherche
+ * @property {ExtractionReport} extraction
+ * @property {number} createdAt
+ */
+
+/**
+ * Extrait injecté dans le prompt (renvoyé au frontend dans les métadonnées de la réponse).
+ *
+ * @typedef {Object} RetrievedChunk
+ * @property {string} file_id
+ * @property {string} name - Nom du document
+ * @property {number} chunk - Position de l'extrait dans le document (à partir de 0)
+ * @property {number} chunks_total - Nombre d'extraits du document
+ * @property {number} start - Offset de début dans le texte extrait
+ * @property {number} end - Offset de fin (exclu)
+ * @property {number} page_start
+ * @property {number} page_end
+ * @property {number} score - Score BM25 (0 si l'extrait a été retenu sans correspondance)
+ */
+
+/**
+ * Service d'ingestion des documents attachés :
+ * extraction locale, OCR distant selon la politique, conservation du texte extrait
+ * jusqu'à son enregistrement dans une conversation, recherche des extraits pertinents.
+ */
+export class DocumentService {
+  /**
+   * @param {Object} config
+   * @param {import('../adapters/BaseAdapter.js').BaseAdapter} config.adapter - Adapter utilisé pour l'OCR distant
+   * @param {string} [config.ocrPolicy='local-only'] - Politique d'OCR distant (voir OCR_POLICIES)
+   */
+  constructor(config) {
+    this.adapter = config.adapter;
+    this.ocrPolicy = OCR_POLICIES.includes(config.ocrPolicy) ? config.ocrPolicy : 'local-only';
+
+    /** @type {Map<string, StoredDocument>} */
+    this.documents = new Map();
+  }
+
+  /**
+   * Extrait le texte des fichiers uploadés et le conserve pour les prochaines requêtes.
+   *
+   * @param {Array<{buffer: Buffer, originalname: string, size: number}>} files
+   * @returns {Promise<Array<{name: string, size: number, sha256: string, file_id: string, extraction: ExtractionReport}>>}
+   */
+  async ingest(files) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error('Aucun fichier fourni');
+    }
+
+    this._purgeExpired();
+
+    const results = [];
+    for (const file of files) {
+      const { pages, extraction } = await this._extract(file);
+
+      const id = `doc-${randomUUID()}`;
+      const hash = sha256(file.buffer);
+      const doc = this._index({ id, name: file.originalname, size: file.size, sha256: hash, extraction, pages });
+      this.documents.set(id, doc);
+
+      console.log(`[DocumentService] ${file.originalname}: extraction ${extraction.method} (${doc.text.length} caractères, ${doc.chunks.length} extraits)`);
+      results.push({ name: file.originalname, size: file.size, sha256: hash, file_id: id, extraction });
+    }
+
+    return results;
+  }
+
+  /**
+   * Retrouve les documents uploadés (pas encore enregistrés dans une conversation).
+   *
+   * @param {string[]} fileIds
+   * @returns {StoredDocument[]}
+   * @throws {Error} 404 si un document a expiré ou est inconnu
+   */
+  resolve(fileIds) {
+    return (fileIds ?? []).map((fileId) => {
+      const doc = this.documents.get(fileId);
+      if (!doc) {
+        throw httpError(404, 'Document introuvable ou expiré : veuillez le joindre à nouveau');
+      }
+      return doc;
+    });
+  }
+
+  /**
+   * Données à enregistrer pour conserver un document dans une conversation
+   * (texte extrait uniquement, jamais le fichier d'origine).
+   *
+   * @param {StoredDocument} doc
+   * @returns {{name: string, size: number, extraction: ExtractionReport, pages: Array<{num: number, text: string}>}}
+   */
+  toStorable(doc) {
+    return { name: doc.name, size: doc.size, extraction: doc.extraction, pages: doc.pages };
+  }
+
+  /**
+   * Reconstruit (et indexe) un document enregistré dans une conversation.
+   *
+   * @param {import('../db.ts').ConversationDocumentContent} stored
+   * @returns {StoredDocument}
+   */
+  fromStored(stored) {
+    return this._index({
+      id: String(stored.id),
+      name: stored.name,
+      size: stored.size,
+      extraction: /** @type {ExtractionReport} */ (stored.extraction),
+      pages: stored.pages,
+    });
+  }
+
+  /**
+   * Ajoute au dernier message utilisateur les extraits des documents
+   * les plus pertinents pour cette question (recherche BM25).
+   *
+   * @param {import('../adapters/BaseAdapter.js').StandardizedMessage[]} messages
+   * @param {StoredDocument[]} documents
+   * @returns {{messages: import('../adapters/BaseAdapter.js').StandardizedMessage[], retrieval: RetrievedChunk[]}}
+   */
+  attachToMessages(messages, documents) {
+    if (!Array.isArray(documents) || documents.length === 0 || messages.length === 0) {
+      return { messages, retrieval: [] };
+    }
+
+    const last = messages[messages.length - 1];
+    if (last.role !== 'user') {
+      return { messages, retrieval: [] };
+    }
+
+    const selected = this._selectChunks(documents, last.content);
+    const allChunks = documents.reduce((sum, doc) => sum + doc.chunks.length, 0);
+
+    let documentContext = '\n\n--- EXTRAITS DES DOCUMENTS ATTACHÉS ---\n';
+    if (selected.length < allChunks) {
+      documentContext += '(Seuls les passages les plus pertinents pour la question sont reproduits.)\n';
+    }
+
+    for (const doc of documents) {
+      for (const { chunk } of selected.filter((s) => s.chunk.file_id === doc.id)) {
+        const pages = chunk.page_start === chunk.page_end
+          ? `p. ${chunk.page_start}`
+          : `p. ${chunk.page_start}-${chunk.page_end}`;
+        documentContext += `\n[Fichier: ${doc.name} — extrait ${chunk.index + 1}/${doc.chunks.length}, ${pages}]\n${chunk.text}\n`;
+      }
+    }
+
+    const chunkCounts = new Map(documents.map((doc) => [doc.id, doc.chunks.length]));
+    const retrieval = selected.map(({ chunk, score }) => ({
+      file_id: chunk.file_id,
+      name: chunk.name,
+      chunk: chunk.index,
+      chunks_total: chunkCounts.get(chunk.file_id),
+      start: chunk.start,
+      end: chunk.end,
+      page_start: chunk.page_start,
+      page_end: chunk.page_end,
+      score: Math.round(score * 1000) / 1000,
+    }));
+
+    return {
+      messages: [...messages.slice(0, -1), { ...last, content: last.content + documentContext }],
+      retrieval,
+    };
+  }
+
+  /**
+   * Oublie un document.
+   *
+   * @param {string} fileId
+   * @returns {boolean} true si le document existait
+   */
+  remove(fileId) {
+    return this.documents.delete(fileId);
+  }
+
+  /**
+   * Extraction locale, complétée par l'OCR du fournisseur si la politique l'autorise.
+   *
+   * @private
+   * @param {{buffer: Buffer, originalname: string, size: number}} file
+   * @returns {Promise<{pages: Array<{num: number, text: string}>, extraction: ExtractionReport}>}
+   */
+  async _extract(file) {
+    const local = await DocumentExtractor.extractLocally(file.buffer, file.originalname);
+    const needsOcr = local.isImage || local.scannedPages.length > 0;
+    const pageCount = local.isImage ? 1 : local.pages.length;
+
+    if (!needsOcr) {
+      return {
+        pages: local.pages,
+        extraction: { method: 'local', pages: pageCount, ocr_pages: [], skipped_pages: [] },
+      };
+    }
+
+    const readablePages = local.pages.filter((p) => !local.scannedPages.includes(p.num));
+
+    if (this.ocrPolicy !== 'allow-fallback') {
+      if (readablePages.length === 0) {
+        throw httpError(
+          422,
+          `${file.originalname} : aucun texte extractible localement (document scanné ou image) ` +
+          'et l\'OCR distant est désactivé par la politique de confidentialité'
+        );
+      }
+      return {
+        pages: readablePages,
+        extraction: { method: 'partial', pages: pageCount, ocr_pages: [], skipped_pages: local.scannedPages },
+      };
+    }
+
+    // Seules les pages scannées (ou l'image entière) sont envoyées à l'OCR du fournisseur
+    const ocrPages = await this._runRemoteOcr(file, local.isImage ? undefined : local.scannedPages);
+    const merged = [...readablePages, ...ocrPages].sort((a, b) => a.num - b.num);
+
+    return {
+      pages: merged,
+      extraction: {
+        method: readablePages.length > 0 ? 'mixed' : 'ocr',
+        pages: pageCount,
+        ocr_pages: local.isImage ? [1] : local.scannedPages,
+        skipped_pages: [],
+      },
+    };
+  }
+
+  /**
+   * Sélectionne les extraits à injecter dans la limite de MAX_CONTEXT_CHARS :
+   * - tous si les documents tiennent dans la limite
+   * - sinon les mieux classés par BM25
+   * - sinon (aucun terme commun, ex: « résume ce document ») les premiers extraits de chaque document
+   * Le résultat est trié par document puis par position dans le document.
+   *
+   * @private
+   * @param {StoredDocument[]} documents
+   * @param {string} question
+   * @returns {Array<{chunk: IndexedChunk, score: number}>}
+   */
+  _selectChunks(documents, question) {
+    const chunks = documents.flatMap((doc) => doc.chunks);
+    const ranked = DocumentIndex.search(chunks, question);
+
+    const fitsEntirely = chunks.reduce((sum, c) => sum + c.text.length, 0) <= MAX_CONTEXT_CHARS;
+    let candidates = ranked.filter((r) => r.score > 0);
+    if (fitsEntirely || candidates.length === 0) {
+      // Ordre du document, en alternant entre les documents
+      const maxChunks = Math.max(0, ...documents.map((doc) => doc.chunks.length));
+      candidates = [];
+      for (let i = 0; i < maxChunks; i++) {
+        for (const doc of documents) {
+          const chunk = doc.chunks[i];
+          if (chunk) candidates.push(ranked.find((r) => r.chunk === chunk));
+        }
+      }
+    }
+
+    const selected = [];
+    let budget = MAX_CONTEXT_CHARS;
+    for (const candidate of candidates) {
+      if (!fitsEntirely && selected.length >= MAX_CONTEXT_CHUNKS) break;
+      if (candidate.chunk.text.length > budget) continue;
+      selected.push(candidate);
+      budget -= candidate.chunk.text.length;
+    }
+
+    const order = documents.map((doc) => doc.id);
+    return selected.sort((a, b) =>
+      order.indexOf(a.chunk.file_id) - order.indexOf(b.chunk.file_id) || a.chunk.index - b.chunk.index
+    );
+  }
+
+  /**
+   * Upload temporaire chez le fournisseur, OCR puis suppression.
+   * Pour un PDF, seul un PDF réduit aux pages demandées quitte le poste : ses pages
+   * sont renumérotées d'après le document d'origine.
+   *
+   * @private
+   * @param {{buffer: Buffer, originalname: string, size: number}} file
+   * @param {number[]} [pages] - Pages à traiter (à partir de 1) ; fichier entier si absent (image)
+   * @returns {Promise<Array<{num: number, text: string}>>}
+   */
+  async _runRemoteOcr(file, pages) {
+    let sent = file;
+    if (pages) {
+      const buffer = await DocumentExtractor.extractPdfSubset(file.buffer, file.originalname, pages);
+      sent = { ...file, buffer, size: buffer.length };
+    }
+
+    const [uploaded] = await this.adapter.uploadFiles([sent]);
+    try {
+      const ocrPages = await this.adapter.extractPagesFromFile(uploaded.file_id);
+      return pages ? ocrPages.map((p) => ({ ...p, num: pages[p.num - 1] })).filter((p) => p.num != null) : ocrPages;
+    } finally {
+      await this.adapter.deleteFile(uploaded.file_id);
+    }
+  }
+
+  /**
+   * Découpe le texte du document en extraits indexés.
+   *
+   * @private
+   * @param {Omit<StoredDocument, 'text' | 'chunks' | 'createdAt'>} doc
+   * @returns {StoredDocument}
+   */
+  _index(doc) {
+    const { text, chunks } = DocumentIndex.chunk(doc.pages);
+    return {
+      ...doc,
+      text,
+      chunks: chunks.map((c) => ({ ...c, file_id: doc.id, name: doc.name })),
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _purgeExpired() {
+    const now = Date.now();
+    for (const [id, doc] of this.documents) {
+      if (now - doc.createdAt > DOCUMENT_TTL_MS) {
+        this.documents.delete(id);
+      }
+    }
+  }
+}
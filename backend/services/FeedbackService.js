@@ -0,0 +1,76 @@
+// backend/services/FeedbackService.js
+import { saveFeedback, deleteFeedback } from '../db.ts';
+import { getWindowsUserName } from '../security/identity.ts';
+import { httpError } from '../errors.js';
+import { MAX_FEEDBACK_COMMENT_LENGTH } from '../../frontend/src/config.ts';
+
+// Avis possibles sur une réponse (👍 / 👎)
+export const FEEDBACK_RATINGS = ['up', 'down'];
+
+/**
+ * @typedef {import('../db.ts').MessageFeedback} MessageFeedback
+ */
+
+/**
+ * Avis de l'utilisateur courant sur les réponses de ses conversations, exportés pour la revue qualité
+ * depuis la console d'administration (voir AdminService.exportFeedback). La réponse notée conserve
+ * le modèle, la version des consignes et les réglages du filtre qui l'ont produite.
+ */
+export class FeedbackService {
+  /**
+   * Enregistre l'avis sur une réponse (remplace l'avis précédent).
+   *
+   * @param {number|string} messageId - ID de la réponse de l'assistant
+   * @param {any} body {rating: 'up' | 'down', comment?: string}
+   * @returns {Promise<MessageFeedback>}
+   * @throws {Error} 400 si l'avis est invalide, 404 si la réponse n'existe pas ou n'appartient pas à l'utilisateur
+   */
+  async save(messageId, body) {
+    const id = this._parseId(messageId);
+
+    const rating = body?.rating;
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      throw httpError(400, 'Avis invalide (valeurs possibles : up, down)');
+    }
+
+    if (body?.comment != null && typeof body.comment !== 'string') {
+      throw httpError(400, 'Commentaire invalide');
+    }
+    const comment = body?.comment?.trim() || null;
+    if (comment && comment.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+      throw httpError(400, `Le commentaire est limité à ${MAX_FEEDBACK_COMMENT_LENGTH} caractères`);
+    }
+
+    const feedback = await saveFeedback(getWindowsUserName(), id, { rating, comment });
+    if (!feedback) {
+      throw httpError(404, 'Réponse introuvable');
+    }
+    return feedback;
+  }
+
+  /**
+   * Retire l'avis sur une réponse.
+   *
+   * @param {number|string} messageId
+   * @returns {Promise<void>}
+   * @throws {Error} 404 si la réponse n'a pas d'avis de l'utilisateur
+   */
+  async remove(messageId) {
+    if (!(await deleteFeedback(getWindowsUserName(), this._parseId(messageId)))) {
+      throw httpError(404, 'Avis introuvable');
+    }
+  }
+
+  /**
+   * @private
+   * @param {number|string} id
+   * @returns {number}
+   */
+  _parseId(id) {
+    const parsed = Number(id);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw httpError(400, 'Identifiant de réponse invalide');
+    }
+    return parsed;
+  }
+}
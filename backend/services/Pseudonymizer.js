@@ -0,0 +1,232 @@
+// backend/services/Pseudonymizer.js
+
+/**
+ * Types de données personnelles détectées, dans l'ordre d'application
+ * (les motifs les plus spécifiques d'abord : un SIRET contient un SIREN).
+ *
+ * @type {Array<{type: string, label: string, pattern: RegExp, validate?: (match: string) => boolean}>}
+ */
+const DETECTORS = [
+  {
+    type: 'EMAIL',
+    label: 'Email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    type: 'IBAN',
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: isValidIban,
+  },
+  {
+    type: 'NIR',
+    label: 'N° de sécurité sociale',
+    pattern: /\b[12] ?\d{2} ?(?:0[1-9]|1[0-2]|[2-9]\d) ?(?:\d{2}|2[AB]) ?\d{3} ?\d{3} ?\d{2}\b/g,
+    validate: isValidNir,
+  },
+  {
+    type: 'SIRET',
+    label: 'SIRET',
+    pattern: /\b\d{3} ?\d{3} ?\d{3} ?\d{5}\b/g,
+    validate: (m) => isValidLuhn(m.replace(/\s/g, '')),
+  },
+  {
+    type: 'SIREN',
+    label: 'SIREN',
+    pattern: /\b\d{3} ?\d{3} ?\d{3}\b/g,
+    validate: (m) => isValidLuhn(m.replace(/\s/g, '')),
+  },
+  {
+    type: 'TEL',
+    label: 'Téléphone',
+    pattern: /(?:\+33 ?\(?0?\)? ?|\b0)[1-9](?:[ .-]?\d{2}){4}\b/g,
+  },
+  {
+    type: 'ADRESSE',
+    label: 'Adresse postale',
+    pattern: /\b\d{1,4}(?: ?(?:bis|ter))?,? (?:rue|avenue|av\.|boulevard|bd|place|chemin|allée|impasse|route|quai|cours|square|résidence|lotissement|lieu-dit)\b[^\n,;]{2,60}(?:,? \d{5} [A-Za-zÀ-ÿ' -]{2,40}[A-Za-zÀ-ÿ])?/gi,
+  },
+];
+
+// Marqueur inséré à la place d'une donnée : [TYPE_n]
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+// Longueur maximale d'un marqueur (pour le tampon du streaming)
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+/**
+ * @typedef {Object} PseudonymizationEntity
+ * @property {string} placeholder - Marqueur envoyé au provider (ex: [IBAN_1])
+ * @property {string} type - Type de donnée (IBAN, SIRET, EMAIL…)
+ * @property {string} label - Libellé lisible du type
+ * @property {number} occurrences - Nombre de remplacements effectués
+ */
+
+/**
+ * @typedef {Object} PseudonymizationReport
+ * @property {number} total - Nombre total de remplacements
+ * @property {PseudonymizationEntity[]} entities - Données masquées (sans leur valeur)
+ */
+
+/**
+ * Pseudonymisation réversible des données personnelles françaises.
+ * Une instance par requête : une même valeur reçoit toujours le même marqueur,
+ * ce qui permet de restituer les valeurs d'origine dans la réponse du modèle.
+ */
+export class Pseudonymizer {
+  constructor() {
+    /** @type {Map<string, string>} valeur normalisée -> marqueur */
+    this.placeholders = new Map();
+    /** @type {Map<string, {value: string, type: string, label: string, occurrences: number}>} marqueur -> valeur d'origine */
+    this.originals = new Map();
+    /** @type {Map<string, number>} compteur par type */
+    this.counters = new Map();
+  }
+
+  /**
+   * Remplace les données personnelles du texte par des marqueurs stables.
+   * Idempotent : un texte déjà masqué n'est pas modifié.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  mask(text) {
+    let masked = String(text ?? '');
+    for (const detector of DETECTORS) {
+      masked = masked.replace(detector.pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) return match;
+        return this._placeholderFor(match, detector);
+      });
+    }
+    return masked;
+  }
+
+  /**
+   * Restitue les valeurs d'origine à la place des marqueurs.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  unmask(text) {
+    if (this.originals.size === 0) return text;
+    return String(text ?? '').replace(PLACEHOLDER_PATTERN, (placeholder) =>
+      this.originals.get(placeholder)?.value ?? placeholder
+    );
+  }
+
+  /**
+   * Restitution au fil du streaming : un marqueur peut être découpé entre deux
+   * fragments (« [IB » puis « AN_1] »), la fin d'un fragment est donc retenue
+   * tant qu'elle peut être le début d'un marqueur.
+   *
+   * @param {(delta: string) => void} onDelta - Reçoit le texte restitué
+   * @returns {{push: (delta: string) => void, flush: () => void}}
+   */
+  createStreamUnmasker(onDelta) {
+    let pending = '';
+
+    return {
+      push: (delta) => {
+        pending += delta;
+        const open = pending.lastIndexOf('[');
+        let ready = pending;
+        if (open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH) {
+          ready = pending.slice(0, open);
+        }
+        pending = pending.slice(ready.length);
+        if (ready) onDelta(this.unmask(ready));
+      },
+      flush: () => {
+        if (pending) onDelta(this.unmask(pending));
+        pending = '';
+      },
+    };
+  }
+
+  /**
+   * Rapport des données masquées pour la requête (les valeurs ne sont pas incluses).
+   *
+   * @returns {PseudonymizationReport}
+   */
+  report() {
+    const entities = [...this.originals.entries()].map(([placeholder, entry]) => ({
+      placeholder,
+      type: entry.type,
+      label: entry.label,
+      occurrences: entry.occurrences,
+    }));
+    return {
+      total: entities.reduce((sum, e) => sum + e.occurrences, 0),
+      entities,
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} value
+   * @param {{type: string, label: string}} detector
+   * @returns {string}
+   */
+  _placeholderFor(value, detector) {
+    const key = `${detector.type}:${value.replace(/[\s.-]/g, '').toLowerCase()}`;
+    let placeholder = this.placeholders.get(key);
+
+    if (!placeholder) {
+      const n = (this.counters.get(detector.type) ?? 0) + 1;
+      this.counters.set(detector.type, n);
+      placeholder = `[${detector.type}_${n}]`;
+      this.placeholders.set(key, placeholder);
+      this.originals.set(placeholder, { value, type: detector.type, label: detector.label, occurrences: 0 });
+    }
+
+    this.originals.get(placeholder).occurrences++;
+    return placeholder;
+  }
+}
+
+/**
+ * Clé de contrôle IBAN (ISO 13616, modulo 97).
+ * @param {string} candidate
+ * @returns {boolean}
+ */
+function isValidIban(candidate) {
+  const iban = candidate.replace(/\s/g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const digits = rearranged.replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const d of digits) {
+    remainder = (remainder * 10 + Number(d)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Clé du NIR : 97 - (numéro modulo 97), la Corse (2A / 2B) étant ramenée à 19 / 18.
+ * @param {string} candidate
+ * @returns {boolean}
+ */
+function isValidNir(candidate) {
+  const nir = candidate.replace(/\s/g, '').toUpperCase();
+  const body = nir.slice(0, 13).replace('2A', '19').replace('2B', '18');
+  const key = Number(nir.slice(13));
+  return 97 - Number(BigInt(body) % 97n) === key;
+}
+
+/**
+ * Algorithme de Luhn (SIREN / SIRET).
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function isValidLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
@@ -0,0 +1,247 @@
+// backend/services/TemplateService.js
+import {
+  ensureUserExists,
+  getPermissions,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} from '../db.ts';
+import { getWindowsUserName } from '../security/identity.ts';
+import { httpError } from '../errors.js';
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_CONTENT_LENGTH = 8000;
+const MAX_FILTRE_VALUE_LENGTH = 500;
+
+// Réglages du filtre (frontend/src/components/Filtre.tsx) qu'un modèle peut prédéfinir
+const FILTRE_KEYS = ['longueur', 'format', 'domaine', 'contexte'];
+
+// Variables à compléter avant insertion : {{nom du client}}
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * @typedef {import('../db.ts').PromptTemplate} PromptTemplate
+ * @typedef {import('../db.ts').PromptTemplateInput} PromptTemplateInput
+ * @typedef {PromptTemplate & {variables: string[], editable: boolean}} TemplateView
+ */
+
+/**
+ * Noms des variables {{...}} d'un modèle, dans l'ordre d'apparition et sans doublon.
+ *
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function extractVariables(content) {
+  return [...new Set(Array.from(String(content ?? '').matchAll(VARIABLE_PATTERN), (m) => m[1]))];
+}
+
+/**
+ * Bibliothèque de modèles de requêtes.
+ * Les modèles personnels ne sont visibles et modifiables que par leur auteur ;
+ * les modèles du cabinet sont visibles par tous et gérés par les administrateurs.
+ */
+export class TemplateService {
+  /**
+   * Liste les modèles personnels de l'utilisateur et les modèles du cabinet.
+   *
+   * @returns {Promise<TemplateView[]>}
+   */
+  async list() {
+    const { username, isAdmin } = await this._currentUser();
+    const templates = await listTemplates(username);
+    return templates.map((t) => this._toView(t, username, isAdmin));
+  }
+
+  /**
+   * Crée un modèle.
+   *
+   * @param {any} body {scope, title, content, filtre}
+   * @returns {Promise<TemplateView>}
+   * @throws {Error} 400 si le modèle est invalide, 403 pour un modèle du cabinet sans droits d'administration
+   */
+  async create(body) {
+    const { username, isAdmin } = await this._currentUser();
+    const input = this._parseInput(body);
+    this._assertScopeAllowed(input.scope, isAdmin);
+
+    return this._toView(await createTemplate(username, input), username, isAdmin);
+  }
+
+  /**
+   * Modifie un modèle (les champs absents sont conservés).
+   *
+   * @param {number|string} id
+   * @param {any} body
+   * @returns {Promise<TemplateView>}
+   * @throws {Error} 403 si le modèle n'est pas modifiable par l'utilisateur, 404 s'il n'existe pas
+   */
+  async update(id, body) {
+    const { username, isAdmin } = await this._currentUser();
+    const existing = await this._loadEditable(this._parseId(id), username, isAdmin);
+    const input = this._parseInput({
+      scope: existing.scope,
+      title: existing.title,
+      content: existing.content,
+      filtre: existing.filtre,
+      ...body,
+    });
+    this._assertScopeAllowed(input.scope, isAdmin);
+
+    // Le modèle reste attribué à son auteur, y compris lorsqu'il change de portée
+    if (!(await updateTemplate(existing.id, input))) {
+      throw httpError(404, 'Modèle introuvable');
+    }
+    return this._toView({ ...existing, ...input, updated_at: new Date().toISOString() }, username, isAdmin);
+  }
+
+  /**
+   * Supprime un modèle.
+   *
+   * @param {number|string} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const { username, isAdmin } = await this._currentUser();
+    const existing = await this._loadEditable(this._parseId(id), username, isAdmin);
+    if (!(await deleteTemplate(existing.id))) {
+      throw httpError(404, 'Modèle introuvable');
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{username: string, isAdmin: boolean}>}
+   */
+  async _currentUser() {
+    const username = getWindowsUserName();
+    await ensureUserExists(username);
+    const flags = await getPermissions(username);
+    return { username, isAdmin: flags.isAdmin };
+  }
+
+  /**
+   * Modèle existant que l'utilisateur peut modifier.
+   * Un modèle personnel d'un autre utilisateur est traité comme introuvable.
+   *
+   * @private
+   * @param {number} id
+   * @param {string} username
+   * @param {boolean} isAdmin
+   * @returns {Promise<PromptTemplate>}
+   * @throws {Error} 403 ou 404
+   */
+  async _loadEditable(id, username, isAdmin) {
+    const template = await getTemplate(id);
+    if (!template || (template.scope === 'personal' && template.user_name !== username)) {
+      throw httpError(404, 'Modèle introuvable');
+    }
+    if (!this._canEdit(template, username, isAdmin)) {
+      throw httpError(403, 'Les modèles du cabinet sont gérés par les administrateurs');
+    }
+    return template;
+  }
+
+  /**
+   * @private
+   * @param {PromptTemplate} template
+   * @param {string} username
+   * @param {boolean} isAdmin
+   * @returns {boolean}
+   */
+  _canEdit(template, username, isAdmin) {
+    return template.scope === 'cabinet' ? isAdmin : template.user_name === username;
+  }
+
+  /**
+   * @private
+   * @param {string} scope
+   * @param {boolean} isAdmin
+   */
+  _assertScopeAllowed(scope, isAdmin) {
+    if (scope === 'cabinet' && !isAdmin) {
+      throw httpError(403, 'Seuls les administrateurs peuvent partager un modèle avec le cabinet');
+    }
+  }
+
+  /**
+   * @private
+   * @param {PromptTemplate} template
+   * @param {string} username
+   * @param {boolean} isAdmin
+   * @returns {TemplateView}
+   */
+  _toView(template, username, isAdmin) {
+    return {
+      ...template,
+      variables: extractVariables(template.content),
+      editable: this._canEdit(template, username, isAdmin),
+    };
+  }
+
+  /**
+   * Valide un modèle : titre et texte obligatoires, portée connue, réglages du filtre connus.
+   *
+   * @private
+   * @param {any} body
+   * @returns {PromptTemplateInput}
+   * @throws {Error} 400 si invalide
+   */
+  _parseInput(body) {
+    const scope = body?.scope ?? 'personal';
+    if (scope !== 'personal' && scope !== 'cabinet') {
+      throw httpError(400, `Portée de modèle inconnue : ${scope}`);
+    }
+
+    const title = String(body?.title ?? '').replace(/\s+/g, ' ').trim();
+    if (!title) throw httpError(400, 'Le titre du modèle ne peut pas être vide');
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw httpError(400, `Le titre du modèle est limité à ${MAX_TITLE_LENGTH} caractères`);
+    }
+
+    const content = String(body?.content ?? '').trim();
+    if (!content) throw httpError(400, 'Le texte du modèle ne peut pas être vide');
+    if (content.length > MAX_CONTENT_LENGTH) {
+      throw httpError(400, `Le texte du modèle est limité à ${MAX_CONTENT_LENGTH} caractères`);
+    }
+
+    return { scope, title, content, filtre: this._parseFiltre(body?.filtre) };
+  }
+
+  /**
+   * @private
+   * @param {unknown} filtre
+   * @returns {Record<string, string> | null}
+   */
+  _parseFiltre(filtre) {
+    if (filtre == null) return null;
+    if (typeof filtre !== 'object' || Array.isArray(filtre)) {
+      throw httpError(400, 'Réglages du filtre invalides');
+    }
+
+    /** @type {Record<string, string>} */
+    const parsed = {};
+    for (const [key, value] of Object.entries(filtre)) {
+      if (!FILTRE_KEYS.includes(key)) throw httpError(400, `Réglage du filtre inconnu : ${key}`);
+      if (typeof value !== 'string' || value.length > MAX_FILTRE_VALUE_LENGTH) {
+        throw httpError(400, `Valeur invalide pour ${key}`);
+      }
+      parsed[key] = value;
+    }
+    return Object.keys(parsed).length > 0 ? parsed : null;
+  }
+
+  /**
+   * @private
+   * @param {number|string} id
+   * @returns {number}
+   */
+  _parseId(id) {
+    const parsed = Number(id);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw httpError(400, 'Identifiant de modèle invalide');
+    }
+    return parsed;
+  }
+}
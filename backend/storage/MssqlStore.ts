@@ -0,0 +1,908 @@
+// backend/storage/MssqlStore.ts
+import sql from 'mssql';
+import {
+  LEDGER_HISTORY_DATE,
+  LEDGER_HISTORY_MODEL,
+  MODEL_PERMISSIONS,
+  USER_RIGHTS,
+  escapeLike,
+  toAdminUser,
+  toAuditRecord,
+  toConversation,
+  toConversationDocument,
+  toConversationDocumentContent,
+  toFeatureFlags,
+  toFeedbackExportRow,
+  toMessageFeedback,
+  toMessageSearchHit,
+  toModelPermissions,
+  toPromptTemplate,
+  toStoredMessage,
+  toUsageSummary,
+} from './Store.ts';
+import type {
+  AdminUser,
+  AdminUserChanges,
+  AuditEntry,
+  AuditFilter,
+  AuditRecord,
+  Conversation,
+  ConversationDocument,
+  ConversationDocumentContent,
+  DocumentPage,
+  FeatureFlags,
+  FeedbackExportRow,
+  FeedbackFilter,
+  FeedbackRating,
+  MessageFeedback,
+  MessageSearchHit,
+  ModelPermission,
+  NewMessage,
+  PromptTemplate,
+  PromptTemplateInput,
+  Store,
+  StoredMessage,
+  UsageEntry,
+  UsageSummary,
+} from './Store.ts';
+
+// Configuration SQL Server (évaluée de manière lazy pour attendre dotenv)
+function getSqlConfig(): sql.config {
+  return {
+    user: process.env.MSSQL_USER ?? 'intra',
+    password: process.env.MSSQL_PASSWORD,
+    server: process.env.MSSQL_SERVER ?? '192.168.40.81',
+    database: process.env.MSSQL_DATABASE ?? 'Gestion_Intra',
+    options: {
+      instanceName: process.env.MSSQL_INSTANCE ?? 'SQLEXPRESS',
+      encrypt: false,
+      trustServerCertificate: true,
+    },
+    pool: {
+      max: 10,
+      min: 0,
+      idleTimeoutMillis: 30_000,
+    },
+  };
+}
+
+// Création des tables applicatives si elles n'existent pas encore (dbo.users est gérée à part,
+// seules les colonnes de droits sur les modèles et le flag administrateur y sont ajoutés)
+async function ensureSchema(pool: sql.ConnectionPool): Promise<void> {
+  const userColumns = Object.entries({ ...MODEL_PERMISSIONS, isAdmin: false })
+    .map(([column, allowed]) =>
+      `IF COL_LENGTH('dbo.users', '${column}') IS NULL
+         ALTER TABLE dbo.users ADD ${column} BIT NOT NULL DEFAULT ${allowed ? 1 : 0};`
+    )
+    .join('\n     ');
+
+  await pool.request().query(userColumns);
+
+  await pool.request().query(
+    `IF OBJECT_ID('dbo.conversations', 'U') IS NULL
+     BEGIN
+       CREATE TABLE dbo.conversations (
+         id         INT IDENTITY(1,1) PRIMARY KEY,
+         user_name  NVARCHAR(100) NOT NULL,
+         title      NVARCHAR(200) NOT NULL,
+         created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+         updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+       );
+       CREATE INDEX idx_conversations_user ON dbo.conversations(user_name, updated_at);
+     END;
+
+     IF OBJECT_ID('dbo.messages', 'U') IS NULL
+     BEGIN
+       CREATE TABLE dbo.messages (
+         id              INT IDENTITY(1,1) PRIMARY KEY,
+         conversation_id INT NOT NULL REFERENCES dbo.conversations(id) ON DELETE CASCADE,
+         sender          NVARCHAR(16) NOT NULL,
+         content         NVARCHAR(MAX) NOT NULL,
+         tokens          INT NULL,
+         cost            DECIMAL(18, 6) NULL,
+         created_at      DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+       );
+       CREATE INDEX idx_messages_conversation ON dbo.messages(conversation_id, id);
+     END;
+
+     IF OBJECT_ID('dbo.conversation_documents', 'U') IS NULL
+     BEGIN
+       CREATE TABLE dbo.conversation_documents (
+         id              INT IDENTITY(1,1) PRIMARY KEY,
+         conversation_id INT NOT NULL REFERENCES dbo.conversations(id) ON DELETE CASCADE,
+         name            NVARCHAR(260) NOT NULL,
+         size            INT NOT NULL,
+         extraction      NVARCHAR(MAX) NOT NULL,
+         pages           NVARCHAR(MAX) NOT NULL,
+         created_at      DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+       );
+       CREATE INDEX idx_conversation_documents ON dbo.conversation_documents(conversation_id, id);
+     END;
+
+     IF OBJECT_ID('dbo.usage_ledger', 'U') IS NULL
+     BEGIN
+       CREATE TABLE dbo.usage_ledger (
+         id                BIGINT IDENTITY(1,1) PRIMARY KEY,
+         user_name         NVARCHAR(100) NOT NULL,
+         created_at        DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+         model             NVARCHAR(100) NOT NULL,
+         provider          NVARCHAR(32) NOT NULL,
+         prompt_tokens     INT NOT NULL DEFAULT 0,
+         completion_tokens INT NOT NULL DEFAULT 0,
+         total_tokens      INT NOT NULL DEFAULT 0,
+         cost              DECIMAL(18, 6) NOT NULL DEFAULT 0,
+         had_files         BIT NOT NULL DEFAULT 0,
+         aborted           BIT NOT NULL DEFAULT 0
+       );
+       CREATE INDEX idx_usage_ledger_user ON dbo.usage_ledger(user_name, created_at);
+       CREATE INDEX idx_usage_ledger_date ON dbo.usage_ledger(created_at);
+     END;
+
+     IF OBJECT_ID('dbo.prompt_templates', 'U') IS NULL
+     BEGIN
+       CREATE TABLE dbo.prompt_templates (
+         id         INT IDENTITY(1,1) PRIMARY KEY,
+         user_name  NVARCHAR(100) NOT NULL,
+         scope      NVARCHAR(16) NOT NULL,
+         title      NVARCHAR(120) NOT NULL,
+         content    NVARCHAR(MAX) NOT NULL,
+         filtre     NVARCHAR(MAX) NULL,
+         created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+         updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+       );
+       CREATE INDEX idx_prompt_templates_scope ON dbo.prompt_templates(scope, user_name);
+     END;
+
+     IF OBJECT_ID('dbo.message_feedback', 'U') IS NULL
+     BEGIN
+       CREATE TABLE dbo.message_feedback (
+         id         INT IDENTITY(1,1) PRIMARY KEY,
+         message_id INT NOT NULL UNIQUE REFERENCES dbo.messages(id) ON DELETE CASCADE,
+         user_name  NVARCHAR(100) NOT NULL,
+         rating     NVARCHAR(8) NOT NULL,
+         comment    NVARCHAR(1000) NULL,
+         created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+         updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+       );
+       CREATE INDEX idx_message_feedback_date ON dbo.message_feedback(updated_at);
+     END;
+
+     IF OBJECT_ID('dbo.audit_log', 'U') IS NULL
+     BEGIN
+       CREATE TABLE dbo.audit_log (
+         id              BIGINT IDENTITY(1,1) PRIMARY KEY,
+         user_name       NVARCHAR(100) NOT NULL,
+         created_at      DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+         action          NVARCHAR(16) NOT NULL,
+         policy          NVARCHAR(16) NOT NULL,
+         model           NVARCHAR(100) NULL,
+         provider        NVARCHAR(32) NULL,
+         conversation_id INT NULL,
+         files           NVARCHAR(MAX) NOT NULL,
+         prompt          NVARCHAR(MAX) NULL,
+         prompt_sha256   CHAR(64) NULL,
+         answer          NVARCHAR(MAX) NULL,
+         answer_sha256   CHAR(64) NULL,
+         aborted         BIT NOT NULL DEFAULT 0,
+         error           NVARCHAR(1000) NULL
+       );
+       CREATE INDEX idx_audit_log_date ON dbo.audit_log(created_at);
+       CREATE INDEX idx_audit_log_user ON dbo.audit_log(user_name, created_at);
+     END;`
+  );
+
+  // Colonnes apparues depuis la création des tables (bases créées avec une version antérieure)
+  await pool.request().query(
+    `IF COL_LENGTH('dbo.messages', 'prompt_version') IS NULL
+       ALTER TABLE dbo.messages ADD prompt_version NVARCHAR(64) NULL;
+     IF COL_LENGTH('dbo.messages', 'model') IS NULL
+       ALTER TABLE dbo.messages ADD model NVARCHAR(100) NULL;
+     IF COL_LENGTH('dbo.messages', 'filtre') IS NULL
+       ALTER TABLE dbo.messages ADD filtre NVARCHAR(MAX) NULL;`
+  );
+
+  // Conversations existantes : chaque message fait suite au précédent (une seule branche).
+  // La colonne n'existe pas encore à la compilation du lot : mise à jour en SQL dynamique.
+  await pool.request().query(
+    `IF COL_LENGTH('dbo.messages', 'parent_id') IS NULL
+     BEGIN
+       ALTER TABLE dbo.messages ADD parent_id INT NULL;
+       EXEC('UPDATE m SET parent_id = (
+               SELECT MAX(p.id) FROM dbo.messages p WHERE p.conversation_id = m.conversation_id AND p.id < m.id
+             )
+             FROM dbo.messages m;
+             CREATE INDEX idx_messages_parent ON dbo.messages(parent_id);');
+     END;`
+  );
+
+  // Nombre d'appels représentés par une ligne du registre (1, sauf pour l'historique ci-dessous)
+  await pool.request().query(
+    `IF COL_LENGTH('dbo.usage_ledger', 'requests') IS NULL
+       ALTER TABLE dbo.usage_ledger ADD requests INT NOT NULL DEFAULT 1;`
+  );
+
+  // Compteurs de dbo.users antérieurs au registre : reportés une fois pour toutes dans le registre (lignes
+  // « historique », hors de toute période de budget sauf lifetime), seule source des totaux ensuite
+  await pool
+    .request()
+    .input('epoch', sql.DateTime2, LEDGER_HISTORY_DATE)
+    .input('model', sql.NVarChar, LEDGER_HISTORY_MODEL)
+    .query(
+      `WITH totals AS (
+         SELECT u.user_name,
+                ISNULL(u.totalRequests, 0) - ISNULL(l.requests, 0) AS requests,
+                ISNULL(u.totalRequestsWithFiles, 0) - ISNULL(l.with_files, 0) AS with_files,
+                ISNULL(u.totalTokens, 0) - ISNULL(l.tokens, 0) AS tokens,
+                ISNULL(u.totalCost, 0) - ISNULL(l.cost, 0) AS cost
+         FROM dbo.users u
+         LEFT JOIN (
+           SELECT user_name, SUM(requests) AS requests, SUM(CASE WHEN had_files = 1 THEN requests ELSE 0 END) AS with_files,
+                  SUM(CAST(total_tokens AS BIGINT)) AS tokens, SUM(cost) AS cost
+           FROM dbo.usage_ledger
+           GROUP BY user_name
+         ) l ON l.user_name = u.user_name
+       ),
+       missing AS (
+         SELECT user_name, requests,
+                CASE WHEN with_files < 0 THEN 0 WHEN with_files > requests THEN requests ELSE with_files END AS with_files,
+                CASE WHEN tokens < 0 THEN 0 ELSE tokens END AS tokens,
+                CASE WHEN cost < 0 THEN 0 ELSE cost END AS cost
+         FROM totals
+         WHERE requests > 0
+       )
+       INSERT INTO dbo.usage_ledger (user_name, created_at, model, provider, total_tokens, cost, had_files, requests)
+       SELECT user_name, @epoch, @model, @model, tokens, cost, 0, requests - with_files FROM missing
+       UNION ALL
+       SELECT user_name, @epoch, @model, @model, 0, 0, 1, with_files FROM missing WHERE with_files > 0;`
+    );
+}
+
+/**
+ * Stockage SQL Server (base intranet Gestion_Intra, moteur par défaut).
+ */
+export class MssqlStore implements Store {
+  private poolPromise: Promise<sql.ConnectionPool> | null = null;
+  private isConnected = false;
+
+  async connect(): Promise<void> {
+    await this.pool();
+  }
+
+  // Connexion à SQL Server via un pool partagé
+  private async pool(): Promise<sql.ConnectionPool> {
+    const sqlConfig = getSqlConfig();
+
+    if (!sqlConfig.password) {
+      throw new Error('MSSQL_PASSWORD is required');
+    }
+
+    if (!this.poolPromise) {
+      this.poolPromise = sql.connect(sqlConfig)
+        .then(async pool => {
+          await ensureSchema(pool);
+          if (!this.isConnected) {
+            console.log(`✅ Base de données connectée: ${sqlConfig.database}`);
+            this.isConnected = true;
+          }
+          return pool;
+        })
+        .catch(err => {
+          console.error(`❌ Erreur de connexion DB:`, err.message);
+          this.poolPromise = null;
+          throw err;
+        });
+    }
+
+    return this.poolPromise;
+  }
+
+  // Lecture des permissions
+  async getPermissions(user_name: string): Promise<FeatureFlags> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query(
+        'SELECT canUseApp, canImportFiles, isAdmin FROM dbo.users WHERE user_name = @user_name'
+      );
+    return toFeatureFlags(result.recordset?.[0]);
+  }
+
+  // Liste des utilisateurs avec leurs droits, leurs compteurs (calculés sur le registre) et leur consommation depuis `since`
+  async listUsersWithUsage(since: Date | null): Promise<AdminUser[]> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('since', sql.DateTime2, since)
+      .query(
+        `SELECT u.user_name, ${USER_RIGHTS.map((r) => `u.${r}`).join(', ')}, u.maxCost,
+                ISNULL(t.requests, 0) AS totalRequests, ISNULL(t.with_files, 0) AS totalRequestsWithFiles,
+                ISNULL(t.tokens, 0) AS totalTokens, ISNULL(t.cost, 0) AS totalCost,
+                ISNULL(l.requests, 0) AS periodRequests, ISNULL(l.cost, 0) AS periodCost
+         FROM dbo.users u
+         LEFT JOIN (
+           SELECT user_name, SUM(requests) AS requests, SUM(CASE WHEN had_files = 1 THEN requests ELSE 0 END) AS with_files,
+                  SUM(CAST(total_tokens AS BIGINT)) AS tokens, SUM(cost) AS cost
+           FROM dbo.usage_ledger
+           GROUP BY user_name
+         ) t ON t.user_name = u.user_name
+         LEFT JOIN (
+           SELECT user_name, SUM(requests) AS requests, SUM(cost) AS cost
+           FROM dbo.usage_ledger
+           WHERE @since IS NULL OR created_at >= @since
+           GROUP BY user_name
+         ) l ON l.user_name = u.user_name
+         ORDER BY u.user_name`
+      );
+    return (result.recordset ?? []).map(toAdminUser);
+  }
+
+  // Modifie les droits et/ou le budget d'un utilisateur (false si l'utilisateur n'existe pas)
+  async updateUser(user_name: string, changes: AdminUserChanges): Promise<boolean> {
+    const request = (await this.pool()).request().input('user_name', sql.NVarChar, user_name);
+    const assignments: string[] = [];
+
+    for (const right of USER_RIGHTS) {
+      const value = changes.rights?.[right];
+      if (typeof value !== 'boolean') continue;
+      request.input(right, sql.Bit, value ? 1 : 0);
+      assignments.push(`${right} = @${right}`);
+    }
+
+    if (changes.maxCost !== undefined) {
+      request.input('maxCost', sql.Decimal(18, 4), changes.maxCost);
+      assignments.push('maxCost = @maxCost');
+    }
+
+    const result = await request.query(
+      assignments.length > 0
+        ? `UPDATE dbo.users SET ${assignments.join(', ')} WHERE user_name = @user_name`
+        : 'SELECT 1 FROM dbo.users WHERE user_name = @user_name'
+    );
+    return (result.rowsAffected?.[0] ?? 0) > 0;
+  }
+
+  // Droits de l'utilisateur sur chaque modèle (tout refusé si l'utilisateur est inconnu)
+  async getModelPermissions(user_name: string): Promise<Record<ModelPermission, boolean>> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query(`SELECT ${Object.keys(MODEL_PERMISSIONS).join(', ')} FROM dbo.users WHERE user_name = @user_name`);
+    return toModelPermissions(result.recordset?.[0]);
+  }
+
+  // Lecture des statistiques (cumuls du registre d'usage)
+  async getTotalTokens(user_name: string): Promise<number> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query(
+        `SELECT ISNULL(SUM(CAST(total_tokens AS BIGINT)), 0) AS totalTokens
+         FROM dbo.usage_ledger WHERE user_name = @user_name`
+      );
+    const row = result.recordset?.[0];
+    return Number(row?.totalTokens ?? 0);
+  }
+
+  async getTotalCost(user_name: string): Promise<number> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query('SELECT ISNULL(SUM(cost), 0) AS totalCost FROM dbo.usage_ledger WHERE user_name = @user_name');
+    const row = result.recordset?.[0];
+    return Number(row?.totalCost ?? 0);
+  }
+
+  async getCostLimit(user_name: string): Promise<number> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query('SELECT maxCost FROM dbo.users WHERE user_name = @user_name');
+    const row = result.recordset?.[0];
+    return Number(row?.maxCost ?? 2.0);
+  }
+
+  // Enregistrement d'un appel dans le registre (les compteurs cumulés en sont calculés)
+  async recordUsage(user_name: string, entry: UsageEntry): Promise<void> {
+    const db = await this.pool();
+    await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('model', sql.NVarChar, entry.model)
+      .input('provider', sql.NVarChar, entry.provider)
+      .input('prompt_tokens', sql.Int, Math.max(0, Math.round(entry.prompt_tokens || 0)))
+      .input('completion_tokens', sql.Int, Math.max(0, Math.round(entry.completion_tokens || 0)))
+      .input('total_tokens', sql.Int, Math.max(0, Math.round(entry.total_tokens || 0)))
+      .input('cost', sql.Decimal(18, 6), Number.isFinite(entry.cost) ? entry.cost : 0)
+      .input('had_files', sql.Bit, entry.had_files ? 1 : 0)
+      .input('aborted', sql.Bit, entry.aborted ? 1 : 0)
+      .query(
+        `INSERT INTO dbo.usage_ledger
+           (user_name, model, provider, prompt_tokens, completion_tokens, total_tokens, cost, had_files, aborted)
+         VALUES
+           (@user_name, @model, @provider, @prompt_tokens, @completion_tokens, @total_tokens, @cost, @had_files, @aborted)`
+      );
+  }
+
+  // Coût consommé depuis une date (période de budget)
+  async getCostSince(user_name: string, since: Date): Promise<number> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('since', sql.DateTime2, since)
+      .query(
+        `SELECT ISNULL(SUM(cost), 0) AS cost
+         FROM dbo.usage_ledger
+         WHERE user_name = @user_name AND created_at >= @since`
+      );
+    return Number(result.recordset?.[0]?.cost ?? 0);
+  }
+
+  // Consommation d'un utilisateur sur une période, détaillée par modèle
+  async getUsageSummary(user_name: string, since: Date | null): Promise<UsageSummary> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('since', sql.DateTime2, since)
+      .query(
+        `SELECT model, provider, SUM(requests) AS requests, SUM(CAST(total_tokens AS BIGINT)) AS total_tokens, SUM(cost) AS cost
+         FROM dbo.usage_ledger
+         WHERE user_name = @user_name AND (@since IS NULL OR created_at >= @since)
+         GROUP BY model, provider
+         ORDER BY SUM(cost) DESC`
+      );
+    return toUsageSummary(result.recordset ?? []);
+  }
+
+  // Crée l'utilisateur s'il n'existe pas, avec des valeurs par défaut à 0.
+  async ensureUserExists(user_name: string): Promise<void> {
+    const db = await this.pool();
+    await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query(
+        `IF NOT EXISTS (SELECT 1 FROM dbo.users WHERE user_name = @user_name)
+         BEGIN
+           INSERT INTO dbo.users (user_name) VALUES (@user_name);
+         END`
+      );
+  }
+
+  // Conversations de l'utilisateur, la plus récemment modifiée en premier
+  async listConversations(user_name: string): Promise<Conversation[]> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query(
+        `SELECT id, title, created_at, updated_at FROM dbo.conversations
+         WHERE user_name = @user_name
+         ORDER BY updated_at DESC, id DESC`
+      );
+    return (result.recordset ?? []).map(toConversation);
+  }
+
+  async createConversation(user_name: string, title: string): Promise<Conversation> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('title', sql.NVarChar(200), title)
+      .query(
+        `INSERT INTO dbo.conversations (user_name, title)
+         OUTPUT INSERTED.id, INSERTED.title, INSERTED.created_at, INSERTED.updated_at
+         VALUES (@user_name, @title)`
+      );
+    return toConversation(result.recordset[0]);
+  }
+
+  // Retourne null si la conversation n'existe pas ou n'appartient pas à l'utilisateur
+  async getConversation(
+    user_name: string,
+    conversation_id: number
+  ): Promise<{ conversation: Conversation; messages: StoredMessage[] } | null> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('conversation_id', sql.Int, conversation_id)
+      .query(
+        `SELECT id, title, created_at, updated_at FROM dbo.conversations
+         WHERE id = @conversation_id AND user_name = @user_name;
+
+         SELECT m.id, m.parent_id, m.sender, m.content, m.tokens, m.cost, m.prompt_version, m.created_at,
+                f.rating AS feedback_rating, f.comment AS feedback_comment, f.updated_at AS feedback_updated_at
+         FROM dbo.messages m
+         JOIN dbo.conversations c ON c.id = m.conversation_id
+         LEFT JOIN dbo.message_feedback f ON f.message_id = m.id
+         WHERE m.conversation_id = @conversation_id AND c.user_name = @user_name
+         ORDER BY m.id`
+      );
+    const recordsets = result.recordsets as any[][];
+    const row = recordsets[0]?.[0];
+    if (!row) return null;
+
+    return {
+      conversation: toConversation(row),
+      messages: (recordsets[1] ?? []).map(toStoredMessage),
+    };
+  }
+
+  async renameConversation(user_name: string, conversation_id: number, title: string): Promise<boolean> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('conversation_id', sql.Int, conversation_id)
+      .input('title', sql.NVarChar(200), title)
+      .query(
+        `UPDATE dbo.conversations SET title = @title, updated_at = SYSUTCDATETIME()
+         WHERE id = @conversation_id AND user_name = @user_name`
+      );
+    return (result.rowsAffected?.[0] ?? 0) > 0;
+  }
+
+  // Les messages sont supprimés en cascade
+  async deleteConversation(user_name: string, conversation_id: number): Promise<boolean> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('conversation_id', sql.Int, conversation_id)
+      .query('DELETE FROM dbo.conversations WHERE id = @conversation_id AND user_name = @user_name');
+    return (result.rowsAffected?.[0] ?? 0) > 0;
+  }
+
+  // Ajoute un message à une conversation de l'utilisateur.
+  // Retourne l'id du message, ou null si la conversation n'appartient pas à l'utilisateur.
+  async addMessage(
+    user_name: string,
+    conversation_id: number,
+    message: NewMessage
+  ): Promise<number | null> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('conversation_id', sql.Int, conversation_id)
+      .input('sender', sql.NVarChar(16), message.sender)
+      .input('content', sql.NVarChar(sql.MAX), message.content)
+      .input('tokens', sql.Int, message.tokens ?? null)
+      .input('cost', sql.Decimal(18, 6), message.cost ?? null)
+      .input('prompt_version', sql.NVarChar(64), message.prompt_version ?? null)
+      .input('model', sql.NVarChar(100), message.model ?? null)
+      .input('filtre', sql.NVarChar(sql.MAX), message.filtre ? JSON.stringify(message.filtre) : null)
+      .input('parent_id', sql.Int, message.parent_id ?? null)
+      .input('after_last', sql.Bit, message.parent_id === undefined)
+      .query(
+        `INSERT INTO dbo.messages (conversation_id, parent_id, sender, content, tokens, cost, prompt_version, model, filtre)
+         OUTPUT INSERTED.id
+         SELECT c.id,
+                CASE WHEN @after_last = 1
+                  THEN (SELECT MAX(m.id) FROM dbo.messages m WHERE m.conversation_id = c.id)
+                  ELSE @parent_id END,
+                @sender, @content, @tokens, @cost, @prompt_version, @model, @filtre
+         FROM dbo.conversations c
+         WHERE c.id = @conversation_id AND c.user_name = @user_name
+           AND (@parent_id IS NULL
+                OR EXISTS (SELECT 1 FROM dbo.messages p WHERE p.id = @parent_id AND p.conversation_id = c.id));
+
+         UPDATE dbo.conversations SET updated_at = SYSUTCDATETIME()
+         WHERE id = @conversation_id AND user_name = @user_name;`
+      );
+    const row = result.recordset?.[0];
+    return row ? Number(row.id) : null;
+  }
+
+  async searchMessages(user_name: string, terms: string[], limit: number): Promise<MessageSearchHit[]> {
+    if (terms.length === 0) return [];
+    const db = await this.pool();
+    const request = db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('limit', sql.Int, limit);
+
+    // Comparaison insensible à la casse et aux accents (termes déjà repliés)
+    terms.forEach((term, i) => request.input(`term${i}`, sql.NVarChar, `%${escapeLike(term)}%`));
+    const matches = terms
+      .map((_, i) => `AND m.content COLLATE French_CI_AI LIKE @term${i} ESCAPE '\\'`)
+      .join('\n           ');
+
+    const result = await request.query(
+      `SELECT TOP (@limit) m.id, m.conversation_id, m.sender, m.content, m.created_at, c.title
+       FROM dbo.messages m
+       JOIN dbo.conversations c ON c.id = m.conversation_id
+       WHERE c.user_name = @user_name
+         ${matches}
+       ORDER BY m.id DESC;`
+    );
+    return result.recordset.map(toMessageSearchHit);
+  }
+
+  // Un seul avis par réponse : un nouvel avis remplace le précédent
+  async saveFeedback(
+    user_name: string,
+    message_id: number,
+    feedback: { rating: FeedbackRating; comment: string | null }
+  ): Promise<MessageFeedback | null> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('message_id', sql.Int, message_id)
+      .input('rating', sql.NVarChar(8), feedback.rating)
+      .input('comment', sql.NVarChar(1000), feedback.comment)
+      .query(
+        `IF EXISTS (
+           SELECT 1 FROM dbo.messages m
+           JOIN dbo.conversations c ON c.id = m.conversation_id
+           WHERE m.id = @message_id AND m.sender = 'assistant' AND c.user_name = @user_name
+         )
+         BEGIN
+           UPDATE dbo.message_feedback
+           SET rating = @rating, comment = @comment, updated_at = SYSUTCDATETIME()
+           WHERE message_id = @message_id;
+
+           IF @@ROWCOUNT = 0
+             INSERT INTO dbo.message_feedback (message_id, user_name, rating, comment)
+             VALUES (@message_id, @user_name, @rating, @comment);
+
+           SELECT rating, comment, updated_at FROM dbo.message_feedback WHERE message_id = @message_id;
+         END;`
+      );
+    const row = result.recordset?.[0];
+    return row ? toMessageFeedback(row) : null;
+  }
+
+  async deleteFeedback(user_name: string, message_id: number): Promise<boolean> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('message_id', sql.Int, message_id)
+      .query(
+        `DELETE f FROM dbo.message_feedback f
+         JOIN dbo.messages m ON m.id = f.message_id
+         JOIN dbo.conversations c ON c.id = m.conversation_id
+         WHERE f.message_id = @message_id AND c.user_name = @user_name`
+      );
+    return (result.rowsAffected?.[0] ?? 0) > 0;
+  }
+
+  async listFeedback(filter: FeedbackFilter): Promise<FeedbackExportRow[]> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('since', sql.DateTime2, filter.since)
+      .input('rating', sql.NVarChar(8), filter.rating)
+      .query(
+        `SELECT f.id, f.user_name, f.rating, f.comment, f.created_at, f.updated_at,
+                m.id AS message_id, m.conversation_id, c.title AS conversation_title,
+                q.content AS question, m.content AS answer, m.model, m.prompt_version, m.filtre
+         FROM dbo.message_feedback f
+         JOIN dbo.messages m ON m.id = f.message_id
+         JOIN dbo.conversations c ON c.id = m.conversation_id
+         LEFT JOIN dbo.messages q ON q.id = m.parent_id
+         WHERE (@since IS NULL OR f.updated_at >= @since)
+           AND (@rating IS NULL OR f.rating = @rating)
+         ORDER BY f.updated_at DESC`
+      );
+    return (result.recordset ?? []).map(toFeedbackExportRow);
+  }
+
+  async recordAudit(user_name: string, entry: AuditEntry): Promise<void> {
+    const db = await this.pool();
+    await db
+      .request()
+      .input('user_name', sql.NVarChar(100), user_name)
+      .input('action', sql.NVarChar(16), entry.action)
+      .input('policy', sql.NVarChar(16), entry.policy)
+      .input('model', sql.NVarChar(100), entry.model)
+      .input('provider', sql.NVarChar(32), entry.provider)
+      .input('conversation_id', sql.Int, entry.conversation_id)
+      .input('files', sql.NVarChar(sql.MAX), JSON.stringify(entry.files))
+      .input('prompt', sql.NVarChar(sql.MAX), entry.prompt)
+      .input('prompt_sha256', sql.Char(64), entry.prompt_sha256)
+      .input('answer', sql.NVarChar(sql.MAX), entry.answer)
+      .input('answer_sha256', sql.Char(64), entry.answer_sha256)
+      .input('aborted', sql.Bit, entry.aborted)
+      .input('error', sql.NVarChar(1000), entry.error)
+      .query(
+        `INSERT INTO dbo.audit_log
+           (user_name, action, policy, model, provider, conversation_id, files, prompt, prompt_sha256, answer, answer_sha256, aborted, error)
+         VALUES
+           (@user_name, @action, @policy, @model, @provider, @conversation_id, @files, @prompt, @prompt_sha256, @answer, @answer_sha256, @aborted, @error)`
+      );
+  }
+
+  async listAudit(filter: AuditFilter): Promise<AuditRecord[]> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar(100), filter.user_name)
+      .input('action', sql.NVarChar(16), filter.action)
+      .input('since', sql.DateTime2, filter.since)
+      .input('until', sql.DateTime2, filter.until)
+      .input('limit', sql.Int, filter.limit)
+      .input('offset', sql.Int, filter.offset)
+      .query(
+        `SELECT id, user_name, created_at, action, policy, model, provider, conversation_id, files,
+                prompt, prompt_sha256, answer, answer_sha256, aborted, error
+         FROM dbo.audit_log
+         WHERE (@user_name IS NULL OR user_name = @user_name)
+           AND (@action IS NULL OR action = @action)
+           AND (@since IS NULL OR created_at >= @since)
+           AND (@until IS NULL OR created_at < @until)
+         ORDER BY id DESC
+         OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY`
+      );
+    return (result.recordset ?? []).map(toAuditRecord);
+  }
+
+  async purgeAudit(before: Date): Promise<number> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('before', sql.DateTime2, before)
+      .query('DELETE FROM dbo.audit_log WHERE created_at < @before');
+    return result.rowsAffected?.[0] ?? 0;
+  }
+
+  private async queryConversationDocuments(
+    user_name: string,
+    conversation_id: number,
+    with_pages: boolean
+  ): Promise<any[] | null> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('conversation_id', sql.Int, conversation_id)
+      .query(
+        `SELECT id FROM dbo.conversations
+         WHERE id = @conversation_id AND user_name = @user_name;
+
+         SELECT d.id, d.name, d.size, d.extraction, d.created_at${with_pages ? ', d.pages' : ''}
+         FROM dbo.conversation_documents d
+         JOIN dbo.conversations c ON c.id = d.conversation_id
+         WHERE d.conversation_id = @conversation_id AND c.user_name = @user_name
+         ORDER BY d.id`
+      );
+    const recordsets = result.recordsets as any[][];
+    return recordsets[0]?.[0] ? recordsets[1] ?? [] : null;
+  }
+
+  // Retourne null si la conversation n'existe pas ou n'appartient pas à l'utilisateur
+  async listConversationDocuments(user_name: string, conversation_id: number): Promise<ConversationDocument[] | null> {
+    const rows = await this.queryConversationDocuments(user_name, conversation_id, false);
+    return rows ? rows.map(toConversationDocument) : null;
+  }
+
+  // Idem, avec le texte extrait de chaque page
+  async getConversationDocumentsContent(
+    user_name: string,
+    conversation_id: number
+  ): Promise<ConversationDocumentContent[] | null> {
+    const rows = await this.queryConversationDocuments(user_name, conversation_id, true);
+    return rows ? rows.map(toConversationDocumentContent) : null;
+  }
+
+  // Retourne l'id du document, ou null si la conversation n'appartient pas à l'utilisateur.
+  async addConversationDocument(
+    user_name: string,
+    conversation_id: number,
+    document: { name: string; size: number; extraction: unknown; pages: DocumentPage[] }
+  ): Promise<number | null> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('conversation_id', sql.Int, conversation_id)
+      .input('name', sql.NVarChar(260), document.name)
+      .input('size', sql.Int, document.size)
+      .input('extraction', sql.NVarChar(sql.MAX), JSON.stringify(document.extraction ?? null))
+      .input('pages', sql.NVarChar(sql.MAX), JSON.stringify(document.pages))
+      .query(
+        `INSERT INTO dbo.conversation_documents (conversation_id, name, size, extraction, pages)
+         OUTPUT INSERTED.id
+         SELECT c.id, @name, @size, @extraction, @pages
+         FROM dbo.conversations c
+         WHERE c.id = @conversation_id AND c.user_name = @user_name`
+      );
+    const row = result.recordset?.[0];
+    return row ? Number(row.id) : null;
+  }
+
+  async deleteConversationDocument(user_name: string, conversation_id: number, document_id: number): Promise<boolean> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('conversation_id', sql.Int, conversation_id)
+      .input('document_id', sql.Int, document_id)
+      .query(
+        `DELETE d FROM dbo.conversation_documents d
+         JOIN dbo.conversations c ON c.id = d.conversation_id
+         WHERE d.id = @document_id AND d.conversation_id = @conversation_id AND c.user_name = @user_name`
+      );
+    return (result.rowsAffected?.[0] ?? 0) > 0;
+  }
+
+  // Modèles personnels de l'utilisateur et modèles partagés du cabinet
+  async listTemplates(user_name: string): Promise<PromptTemplate[]> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .query(
+        `SELECT id, user_name, scope, title, content, filtre, created_at, updated_at
+         FROM dbo.prompt_templates
+         WHERE scope = 'cabinet' OR (scope = 'personal' AND user_name = @user_name)
+         ORDER BY scope DESC, title, id`
+      );
+    return (result.recordset ?? []).map(toPromptTemplate);
+  }
+
+  async getTemplate(template_id: number): Promise<PromptTemplate | null> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('template_id', sql.Int, template_id)
+      .query(
+        `SELECT id, user_name, scope, title, content, filtre, created_at, updated_at
+         FROM dbo.prompt_templates WHERE id = @template_id`
+      );
+    const row = result.recordset?.[0];
+    return row ? toPromptTemplate(row) : null;
+  }
+
+  async createTemplate(user_name: string, template: PromptTemplateInput): Promise<PromptTemplate> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('user_name', sql.NVarChar, user_name)
+      .input('scope', sql.NVarChar(16), template.scope)
+      .input('title', sql.NVarChar(120), template.title)
+      .input('content', sql.NVarChar(sql.MAX), template.content)
+      .input('filtre', sql.NVarChar(sql.MAX), template.filtre ? JSON.stringify(template.filtre) : null)
+      .query(
+        `INSERT INTO dbo.prompt_templates (user_name, scope, title, content, filtre)
+         OUTPUT INSERTED.id, INSERTED.user_name, INSERTED.scope, INSERTED.title, INSERTED.content,
+                INSERTED.filtre, INSERTED.created_at, INSERTED.updated_at
+         VALUES (@user_name, @scope, @title, @content, @filtre)`
+      );
+    return toPromptTemplate(result.recordset[0]);
+  }
+
+  async updateTemplate(template_id: number, template: PromptTemplateInput): Promise<boolean> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('template_id', sql.Int, template_id)
+      .input('scope', sql.NVarChar(16), template.scope)
+      .input('title', sql.NVarChar(120), template.title)
+      .input('content', sql.NVarChar(sql.MAX), template.content)
+      .input('filtre', sql.NVarChar(sql.MAX), template.filtre ? JSON.stringify(template.filtre) : null)
+      .query(
+        `UPDATE dbo.prompt_templates
+         SET scope = @scope, title = @title, content = @content, filtre = @filtre, updated_at = SYSUTCDATETIME()
+         WHERE id = @template_id`
+      );
+    return (result.rowsAffected?.[0] ?? 0) > 0;
+  }
+
+  async deleteTemplate(template_id: number): Promise<boolean> {
+    const db = await this.pool();
+    const result = await db
+      .request()
+      .input('template_id', sql.Int, template_id)
+      .query('DELETE FROM dbo.prompt_templates WHERE id = @template_id');
+    return (result.rowsAffected?.[0] ?? 0) > 0;
+  }
+}
@@ -0,0 +1,813 @@
+// backend/storage/SqliteStore.ts
+import fs from 'node:fs';
+import path from 'node:path';
+import type { Database } from 'better-sqlite3';
+import {
+  LEDGER_HISTORY_DATE,
+  LEDGER_HISTORY_MODEL,
+  MODEL_PERMISSIONS,
+  USER_RIGHTS,
+  escapeLike,
+  foldText,
+  toAdminUser,
+  toAuditRecord,
+  toConversation,
+  toConversationDocument,
+  toConversationDocumentContent,
+  toFeatureFlags,
+  toFeedbackExportRow,
+  toMessageFeedback,
+  toMessageSearchHit,
+  toModelPermissions,
+  toPromptTemplate,
+  toStoredMessage,
+  toUsageSummary,
+} from './Store.ts';
+import type {
+  AdminUser,
+  AdminUserChanges,
+  AuditEntry,
+  AuditFilter,
+  AuditRecord,
+  Conversation,
+  ConversationDocument,
+  ConversationDocumentContent,
+  DocumentPage,
+  FeatureFlags,
+  FeedbackExportRow,
+  FeedbackFilter,
+  FeedbackRating,
+  MessageFeedback,
+  MessageSearchHit,
+  ModelPermission,
+  NewMessage,
+  PromptTemplate,
+  PromptTemplateInput,
+  Store,
+  StoredMessage,
+  UsageEntry,
+  UsageSummary,
+} from './Store.ts';
+
+// Horodatage UTC au format ISO 8601 (comparable aux dates JavaScript sérialisées par toISOString)
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+// Fichier de la base (Electron le place dans le dossier de données de l'application)
+function getSqlitePath(): string {
+  return path.resolve(process.env.SQLITE_PATH || path.join('data', 'chatbot.sqlite'));
+}
+
+// Création des tables si elles n'existent pas encore, puis ajout des colonnes apparues depuis
+// (bases créées avec une version antérieure ou à partir de init_db.sql)
+function ensureSchema(db: Database): void {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS users (
+       user_name              TEXT PRIMARY KEY,
+       canUseApp              INTEGER NOT NULL DEFAULT 0,
+       canImportFiles         INTEGER NOT NULL DEFAULT 0,
+       totalRequests          INTEGER NOT NULL DEFAULT 0 CHECK (totalRequests >= 0),
+       totalRequestsWithFiles INTEGER NOT NULL DEFAULT 0 CHECK (totalRequestsWithFiles >= 0),
+       totalTokens            INTEGER NOT NULL DEFAULT 0 CHECK (totalTokens >= 0),
+       totalCost              REAL    NOT NULL DEFAULT 0.0 CHECK (totalCost >= 0.0),
+       maxCost                REAL    NOT NULL DEFAULT 2.0 CHECK (maxCost >= 0.0)
+     );
+
+     CREATE TABLE IF NOT EXISTS conversations (
+       id         INTEGER PRIMARY KEY AUTOINCREMENT,
+       user_name  TEXT NOT NULL,
+       title      TEXT NOT NULL,
+       created_at TEXT NOT NULL DEFAULT (${NOW}),
+       updated_at TEXT NOT NULL DEFAULT (${NOW})
+     );
+     CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_name, updated_at);
+
+     CREATE TABLE IF NOT EXISTS messages (
+       id              INTEGER PRIMARY KEY AUTOINCREMENT,
+       conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+       sender          TEXT NOT NULL CHECK (sender IN ('user', 'assistant')),
+       content         TEXT NOT NULL,
+       tokens          INTEGER,
+       cost            REAL,
+       created_at      TEXT NOT NULL DEFAULT (${NOW})
+     );
+     CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id);
+
+     CREATE TABLE IF NOT EXISTS conversation_documents (
+       id              INTEGER PRIMARY KEY AUTOINCREMENT,
+       conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+       name            TEXT NOT NULL,
+       size            INTEGER NOT NULL,
+       extraction      TEXT NOT NULL,
+       pages           TEXT NOT NULL,
+       created_at      TEXT NOT NULL DEFAULT (${NOW})
+     );
+     CREATE INDEX IF NOT EXISTS idx_conversation_documents ON conversation_documents(conversation_id, id);
+
+     CREATE TABLE IF NOT EXISTS usage_ledger (
+       id                INTEGER PRIMARY KEY AUTOINCREMENT,
+       user_name         TEXT    NOT NULL,
+       created_at        TEXT    NOT NULL DEFAULT (${NOW}),
+       model             TEXT    NOT NULL,
+       provider          TEXT    NOT NULL,
+       prompt_tokens     INTEGER NOT NULL DEFAULT 0 CHECK (prompt_tokens >= 0),
+       completion_tokens INTEGER NOT NULL DEFAULT 0 CHECK (completion_tokens >= 0),
+       total_tokens      INTEGER NOT NULL DEFAULT 0 CHECK (total_tokens >= 0),
+       cost              REAL    NOT NULL DEFAULT 0.0 CHECK (cost >= 0.0),
+       had_files         INTEGER NOT NULL DEFAULT 0 CHECK (had_files IN (0,1)),
+       aborted           INTEGER NOT NULL DEFAULT 0 CHECK (aborted IN (0,1))
+     );
+     CREATE INDEX IF NOT EXISTS idx_usage_ledger_user ON usage_ledger(user_name, created_at);
+     CREATE INDEX IF NOT EXISTS idx_usage_ledger_date ON usage_ledger(created_at);
+
+     CREATE TABLE IF NOT EXISTS prompt_templates (
+       id         INTEGER PRIMARY KEY AUTOINCREMENT,
+       user_name  TEXT NOT NULL,
+       scope      TEXT NOT NULL CHECK (scope IN ('personal','cabinet')),
+       title      TEXT NOT NULL,
+       content    TEXT NOT NULL,
+       filtre     TEXT NULL,
+       created_at TEXT NOT NULL DEFAULT (${NOW}),
+       updated_at TEXT NOT NULL DEFAULT (${NOW})
+     );
+     CREATE INDEX IF NOT EXISTS idx_prompt_templates_scope ON prompt_templates(scope, user_name);
+
+     CREATE TABLE IF NOT EXISTS message_feedback (
+       id         INTEGER PRIMARY KEY AUTOINCREMENT,
+       message_id INTEGER NOT NULL UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+       user_name  TEXT NOT NULL,
+       rating     TEXT NOT NULL CHECK (rating IN ('up','down')),
+       comment    TEXT NULL,
+       created_at TEXT NOT NULL DEFAULT (${NOW}),
+       updated_at TEXT NOT NULL DEFAULT (${NOW})
+     );
+     CREATE INDEX IF NOT EXISTS idx_message_feedback_date ON message_feedback(updated_at);
+
+     CREATE TABLE IF NOT EXISTS audit_log (
+       id              INTEGER PRIMARY KEY AUTOINCREMENT,
+       user_name       TEXT NOT NULL,
+       created_at      TEXT NOT NULL DEFAULT (${NOW}),
+       action          TEXT NOT NULL CHECK (action IN ('chat','upload')),
+       policy          TEXT NOT NULL CHECK (policy IN ('full','hashes')),
+       model           TEXT NULL,
+       provider        TEXT NULL,
+       conversation_id INTEGER NULL,
+       files           TEXT NOT NULL,
+       prompt          TEXT NULL,
+       prompt_sha256   TEXT NULL,
+       answer          TEXT NULL,
+       answer_sha256   TEXT NULL,
+       aborted         INTEGER NOT NULL DEFAULT 0 CHECK (aborted IN (0,1)),
+       error           TEXT NULL
+     );
+     CREATE INDEX IF NOT EXISTS idx_audit_log_date ON audit_log(created_at);
+     CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_name, created_at);`
+  );
+
+  const userColumns = columnsOf(db, 'users');
+  for (const [column, allowed] of Object.entries({ ...MODEL_PERMISSIONS, isAdmin: false })) {
+    if (userColumns.has(column)) continue;
+    db.exec(
+      `ALTER TABLE users ADD COLUMN ${column} INTEGER NOT NULL DEFAULT ${allowed ? 1 : 0} CHECK (${column} IN (0,1))`
+    );
+  }
+
+  const messageColumns = columnsOf(db, 'messages');
+  if (!messageColumns.has('prompt_version')) {
+    db.exec('ALTER TABLE messages ADD COLUMN prompt_version TEXT NULL');
+  }
+  if (!messageColumns.has('model')) {
+    db.exec('ALTER TABLE messages ADD COLUMN model TEXT NULL');
+  }
+  if (!messageColumns.has('filtre')) {
+    db.exec('ALTER TABLE messages ADD COLUMN filtre TEXT NULL');
+  }
+  if (!messageColumns.has('parent_id')) {
+    // Conversations existantes : chaque message fait suite au précédent (une seule branche)
+    db.exec(
+      `ALTER TABLE messages ADD COLUMN parent_id INTEGER NULL;
+       UPDATE messages SET parent_id = (
+         SELECT MAX(p.id) FROM messages p WHERE p.conversation_id = messages.conversation_id AND p.id < messages.id
+       );`
+    );
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id)');
+
+  // Nombre d'appels représentés par une ligne du registre (1, sauf pour l'historique ci-dessous)
+  if (!columnsOf(db, 'usage_ledger').has('requests')) {
+    db.exec('ALTER TABLE usage_ledger ADD COLUMN requests INTEGER NOT NULL DEFAULT 1 CHECK (requests >= 0)');
+  }
+
+  // Compteurs de users antérieurs au registre : reportés une fois pour toutes dans le registre (lignes
+  // « historique », hors de toute période de budget sauf lifetime), seule source des totaux ensuite
+  db.prepare(
+    `WITH totals AS (
+       SELECT u.user_name,
+              u.totalRequests - IFNULL(l.requests, 0) AS requests,
+              u.totalRequestsWithFiles - IFNULL(l.with_files, 0) AS with_files,
+              u.totalTokens - IFNULL(l.tokens, 0) AS tokens,
+              u.totalCost - IFNULL(l.cost, 0) AS cost
+       FROM users u
+       LEFT JOIN (
+         SELECT user_name, SUM(requests) AS requests, SUM(CASE WHEN had_files = 1 THEN requests ELSE 0 END) AS with_files,
+                SUM(total_tokens) AS tokens, SUM(cost) AS cost
+         FROM usage_ledger
+         GROUP BY user_name
+       ) l ON l.user_name = u.user_name
+     ),
+     missing AS (
+       SELECT user_name, requests,
+              CASE WHEN with_files < 0 THEN 0 WHEN with_files > requests THEN requests ELSE with_files END AS with_files,
+              CASE WHEN tokens < 0 THEN 0 ELSE tokens END AS tokens,
+              CASE WHEN cost < 0 THEN 0 ELSE cost END AS cost
+       FROM totals
+       WHERE requests > 0
+     )
+     INSERT INTO usage_ledger (user_name, created_at, model, provider, total_tokens, cost, had_files, requests)
+     SELECT user_name, @epoch, @model, @model, tokens, cost, 0, requests - with_files FROM missing
+     UNION ALL
+     SELECT user_name, @epoch, @model, @model, 0, 0, 1, with_files FROM missing WHERE with_files > 0`
+  ).run({ epoch: LEDGER_HISTORY_DATE.toISOString(), model: LEDGER_HISTORY_MODEL });
+}
+
+// Noms des colonnes existantes d'une table
+function columnsOf(db: Database, table: string): Set<string> {
+  return new Set((db.prepare(`PRAGMA table_info(${table})`).all() as Array<{ name: string }>).map((c) => c.name));
+}
+
+/**
+ * Stockage SQLite local (poste isolé, démonstration, développement sans la base intranet).
+ * better-sqlite3 est synchrone : les méthodes restent asynchrones pour respecter le contrat Store.
+ */
+export class SqliteStore implements Store {
+  private db: Database | null = null;
+
+  async connect(): Promise<void> {
+    await this.open();
+  }
+
+  private async open(): Promise<Database> {
+    if (this.db) return this.db;
+
+    const file = getSqlitePath();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    // Chargé à la demande : le module natif n'est requis que pour ce moteur
+    const { default: BetterSqlite3 } = await import('better-sqlite3');
+    const db = new BetterSqlite3(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    // Repli des textes pour la recherche (voir searchMessages)
+    db.function('fold', { deterministic: true }, (text: unknown) => (text == null ? null : foldText(String(text))));
+    ensureSchema(db);
+
+    console.log(`✅ Base de données SQLite ouverte: ${file}`);
+    this.db = db;
+    return db;
+  }
+
+  // Lecture des permissions
+  async getPermissions(user_name: string): Promise<FeatureFlags> {
+    const db = await this.open();
+    const row = db
+      .prepare('SELECT canUseApp, canImportFiles, isAdmin FROM users WHERE user_name = ?')
+      .get(user_name);
+    return toFeatureFlags(row);
+  }
+
+  // Liste des utilisateurs avec leurs droits, leurs compteurs (calculés sur le registre) et leur consommation depuis `since`
+  async listUsersWithUsage(since: Date | null): Promise<AdminUser[]> {
+    const db = await this.open();
+    const rows = db
+      .prepare(
+        `SELECT u.user_name, ${USER_RIGHTS.map((r) => `u.${r}`).join(', ')}, u.maxCost,
+                IFNULL(t.requests, 0) AS totalRequests, IFNULL(t.with_files, 0) AS totalRequestsWithFiles,
+                IFNULL(t.tokens, 0) AS totalTokens, IFNULL(t.cost, 0) AS totalCost,
+                IFNULL(l.requests, 0) AS periodRequests, IFNULL(l.cost, 0) AS periodCost
+         FROM users u
+         LEFT JOIN (
+           SELECT user_name, SUM(requests) AS requests, SUM(CASE WHEN had_files = 1 THEN requests ELSE 0 END) AS with_files,
+                  SUM(total_tokens) AS tokens, SUM(cost) AS cost
+           FROM usage_ledger
+           GROUP BY user_name
+         ) t ON t.user_name = u.user_name
+         LEFT JOIN (
+           SELECT user_name, SUM(requests) AS requests, SUM(cost) AS cost
+           FROM usage_ledger
+           WHERE @since IS NULL OR created_at >= @since
+           GROUP BY user_name
+         ) l ON l.user_name = u.user_name
+         ORDER BY u.user_name`
+      )
+      .all({ since: since?.toISOString() ?? null });
+    return rows.map(toAdminUser);
+  }
+
+  // Modifie les droits et/ou le budget d'un utilisateur (false si l'utilisateur n'existe pas)
+  async updateUser(user_name: string, changes: AdminUserChanges): Promise<boolean> {
+    const db = await this.open();
+    const params: Record<string, string | number> = { user_name };
+    const assignments: string[] = [];
+
+    for (const right of USER_RIGHTS) {
+      const value = changes.rights?.[right];
+      if (typeof value !== 'boolean') continue;
+      params[right] = value ? 1 : 0;
+      assignments.push(`${right} = @${right}`);
+    }
+
+    if (changes.maxCost !== undefined) {
+      params.maxCost = changes.maxCost;
+      assignments.push('maxCost = @maxCost');
+    }
+
+    if (assignments.length === 0) {
+      return Boolean(db.prepare('SELECT 1 FROM users WHERE user_name = @user_name').get(params));
+    }
+    const result = db.prepare(`UPDATE users SET ${assignments.join(', ')} WHERE user_name = @user_name`).run(params);
+    return result.changes > 0;
+  }
+
+  // Droits de l'utilisateur sur chaque modèle (tout refusé si l'utilisateur est inconnu)
+  async getModelPermissions(user_name: string): Promise<Record<ModelPermission, boolean>> {
+    const db = await this.open();
+    const row = db
+      .prepare(`SELECT ${Object.keys(MODEL_PERMISSIONS).join(', ')} FROM users WHERE user_name = ?`)
+      .get(user_name);
+    return toModelPermissions(row);
+  }
+
+  // Lecture des statistiques (cumuls du registre d'usage)
+  async getTotalTokens(user_name: string): Promise<number> {
+    const db = await this.open();
+    const row = db
+      .prepare('SELECT IFNULL(SUM(total_tokens), 0) AS totalTokens FROM usage_ledger WHERE user_name = ?')
+      .get(user_name) as any;
+    return Number(row?.totalTokens ?? 0);
+  }
+
+  async getTotalCost(user_name: string): Promise<number> {
+    const db = await this.open();
+    const row = db
+      .prepare('SELECT IFNULL(SUM(cost), 0) AS totalCost FROM usage_ledger WHERE user_name = ?')
+      .get(user_name) as any;
+    return Number(row?.totalCost ?? 0);
+  }
+
+  async getCostLimit(user_name: string): Promise<number> {
+    const db = await this.open();
+    const row = db.prepare('SELECT maxCost FROM users WHERE user_name = ?').get(user_name) as any;
+    return Number(row?.maxCost ?? 2.0);
+  }
+
+  // Enregistrement d'un appel dans le registre (les compteurs cumulés en sont calculés)
+  async recordUsage(user_name: string, entry: UsageEntry): Promise<void> {
+    const db = await this.open();
+    const params = {
+      user_name,
+      model: entry.model,
+      provider: entry.provider,
+      prompt_tokens: Math.max(0, Math.round(entry.prompt_tokens || 0)),
+      completion_tokens: Math.max(0, Math.round(entry.completion_tokens || 0)),
+      total_tokens: Math.max(0, Math.round(entry.total_tokens || 0)),
+      cost: Number.isFinite(entry.cost) ? entry.cost : 0,
+      had_files: entry.had_files ? 1 : 0,
+      aborted: entry.aborted ? 1 : 0,
+    };
+
+    db.prepare(
+      `INSERT INTO usage_ledger
+         (user_name, model, provider, prompt_tokens, completion_tokens, total_tokens, cost, had_files, aborted)
+       VALUES
+         (@user_name, @model, @provider, @prompt_tokens, @completion_tokens, @total_tokens, @cost, @had_files, @aborted)`
+    ).run(params);
+  }
+
+  // Coût consommé depuis une date (période de budget)
+  async getCostSince(user_name: string, since: Date): Promise<number> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        `SELECT IFNULL(SUM(cost), 0) AS cost
+         FROM usage_ledger
+         WHERE user_name = ? AND created_at >= ?`
+      )
+      .get(user_name, since.toISOString()) as any;
+    return Number(row?.cost ?? 0);
+  }
+
+  // Consommation d'un utilisateur sur une période, détaillée par modèle
+  async getUsageSummary(user_name: string, since: Date | null): Promise<UsageSummary> {
+    const db = await this.open();
+    const rows = db
+      .prepare(
+        `SELECT model, provider, SUM(requests) AS requests, SUM(total_tokens) AS total_tokens, SUM(cost) AS cost
+         FROM usage_ledger
+         WHERE user_name = @user_name AND (@since IS NULL OR created_at >= @since)
+         GROUP BY model, provider
+         ORDER BY SUM(cost) DESC`
+      )
+      .all({ user_name, since: since?.toISOString() ?? null });
+    return toUsageSummary(rows);
+  }
+
+  // Crée l'utilisateur s'il n'existe pas. Sur une base vide, le premier utilisateur
+  // reçoit tous les droits et l'administration (sinon personne ne pourrait en attribuer).
+  async ensureUserExists(user_name: string): Promise<void> {
+    const db = await this.open();
+    db.transaction(() => {
+      const bootstrap = db.prepare('SELECT 1 FROM users LIMIT 1').get() ? 0 : 1;
+      const created = db
+        .prepare(
+          `INSERT OR IGNORE INTO users (user_name, canUseApp, canImportFiles, isAdmin)
+           VALUES (?, ?, ?, ?)`
+        )
+        .run(user_name, bootstrap, bootstrap, bootstrap);
+      if (created.changes > 0 && bootstrap) {
+        console.log(`[SQLite] ${user_name} est le premier utilisateur : droits d'administration attribués`);
+      }
+    })();
+  }
+
+  // Conversations de l'utilisateur, la plus récemment modifiée en premier
+  async listConversations(user_name: string): Promise<Conversation[]> {
+    const db = await this.open();
+    const rows = db
+      .prepare(
+        `SELECT id, title, created_at, updated_at FROM conversations
+         WHERE user_name = ?
+         ORDER BY updated_at DESC, id DESC`
+      )
+      .all(user_name);
+    return rows.map(toConversation);
+  }
+
+  async createConversation(user_name: string, title: string): Promise<Conversation> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        `INSERT INTO conversations (user_name, title)
+         VALUES (?, ?)
+         RETURNING id, title, created_at, updated_at`
+      )
+      .get(user_name, title);
+    return toConversation(row);
+  }
+
+  // Retourne null si la conversation n'existe pas ou n'appartient pas à l'utilisateur
+  async getConversation(
+    user_name: string,
+    conversation_id: number
+  ): Promise<{ conversation: Conversation; messages: StoredMessage[] } | null> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        `SELECT id, title, created_at, updated_at FROM conversations
+         WHERE id = ? AND user_name = ?`
+      )
+      .get(conversation_id, user_name);
+    if (!row) return null;
+
+    const messages = db
+      .prepare(
+        `SELECT m.id, m.parent_id, m.sender, m.content, m.tokens, m.cost, m.prompt_version, m.created_at,
+                f.rating AS feedback_rating, f.comment AS feedback_comment, f.updated_at AS feedback_updated_at
+         FROM messages m
+         LEFT JOIN message_feedback f ON f.message_id = m.id
+         WHERE m.conversation_id = ?
+         ORDER BY m.id`
+      )
+      .all(conversation_id);
+
+    return {
+      conversation: toConversation(row),
+      messages: messages.map(toStoredMessage),
+    };
+  }
+
+  async renameConversation(user_name: string, conversation_id: number, title: string): Promise<boolean> {
+    const db = await this.open();
+    const result = db
+      .prepare(
+        `UPDATE conversations SET title = ?, updated_at = ${NOW}
+         WHERE id = ? AND user_name = ?`
+      )
+      .run(title, conversation_id, user_name);
+    return result.changes > 0;
+  }
+
+  // Les messages sont supprimés en cascade
+  async deleteConversation(user_name: string, conversation_id: number): Promise<boolean> {
+    const db = await this.open();
+    const result = db
+      .prepare('DELETE FROM conversations WHERE id = ? AND user_name = ?')
+      .run(conversation_id, user_name);
+    return result.changes > 0;
+  }
+
+  // Ajoute un message à une conversation de l'utilisateur.
+  // Retourne l'id du message, ou null si la conversation n'appartient pas à l'utilisateur.
+  async addMessage(
+    user_name: string,
+    conversation_id: number,
+    message: NewMessage
+  ): Promise<number | null> {
+    const db = await this.open();
+    const owner = { user_name, conversation_id };
+    const params = {
+      ...owner,
+      sender: message.sender,
+      content: message.content,
+      tokens: message.tokens ?? null,
+      cost: message.cost ?? null,
+      prompt_version: message.prompt_version ?? null,
+      model: message.model ?? null,
+      filtre: message.filtre ? JSON.stringify(message.filtre) : null,
+      parent_id: message.parent_id ?? null,
+      after_last: message.parent_id === undefined ? 1 : 0,
+    };
+
+    return db.transaction(() => {
+      const row = db
+        .prepare(
+          `INSERT INTO messages (conversation_id, parent_id, sender, content, tokens, cost, prompt_version, model, filtre)
+           SELECT c.id,
+                  CASE WHEN @after_last = 1
+                    THEN (SELECT MAX(m.id) FROM messages m WHERE m.conversation_id = c.id)
+                    ELSE @parent_id END,
+                  @sender, @content, @tokens, @cost, @prompt_version, @model, @filtre
+           FROM conversations c
+           WHERE c.id = @conversation_id AND c.user_name = @user_name
+             AND (@parent_id IS NULL
+                  OR EXISTS (SELECT 1 FROM messages p WHERE p.id = @parent_id AND p.conversation_id = c.id))
+           RETURNING id`
+        )
+        .get(params) as any;
+      if (!row) return null;
+
+      db.prepare(
+        `UPDATE conversations SET updated_at = ${NOW}
+         WHERE id = @conversation_id AND user_name = @user_name`
+      ).run(owner);
+      return Number(row.id);
+    })();
+  }
+
+  async searchMessages(user_name: string, terms: string[], limit: number): Promise<MessageSearchHit[]> {
+    if (terms.length === 0) return [];
+    const db = await this.open();
+
+    // Comparaison insensible à la casse et aux accents (termes déjà repliés)
+    const matches = terms
+      .map((_, i) => `AND fold(m.content) LIKE '%' || @term${i} || '%' ESCAPE '\\'`)
+      .join('\n           ');
+    const params = Object.fromEntries(terms.map((term, i) => [`term${i}`, escapeLike(term)]));
+
+    const rows = db
+      .prepare(
+        `SELECT m.id, m.conversation_id, m.sender, m.content, m.created_at, c.title
+         FROM messages m
+         JOIN conversations c ON c.id = m.conversation_id
+         WHERE c.user_name = @user_name
+           ${matches}
+         ORDER BY m.id DESC
+         LIMIT @limit`
+      )
+      .all({ ...params, user_name, limit });
+    return rows.map(toMessageSearchHit);
+  }
+
+  // Un seul avis par réponse : un nouvel avis remplace le précédent
+  async saveFeedback(
+    user_name: string,
+    message_id: number,
+    feedback: { rating: FeedbackRating; comment: string | null }
+  ): Promise<MessageFeedback | null> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        `INSERT INTO message_feedback (message_id, user_name, rating, comment)
+         SELECT m.id, c.user_name, @rating, @comment
+         FROM messages m
+         JOIN conversations c ON c.id = m.conversation_id
+         WHERE m.id = @message_id AND m.sender = 'assistant' AND c.user_name = @user_name
+         ON CONFLICT (message_id) DO UPDATE
+           SET rating = excluded.rating, comment = excluded.comment, updated_at = ${NOW}
+         RETURNING rating, comment, updated_at`
+      )
+      .get({ user_name, message_id, ...feedback });
+    return row ? toMessageFeedback(row) : null;
+  }
+
+  async deleteFeedback(user_name: string, message_id: number): Promise<boolean> {
+    const db = await this.open();
+    const result = db
+      .prepare(
+        `DELETE FROM message_feedback
+         WHERE message_id = @message_id
+           AND EXISTS (
+             SELECT 1 FROM messages m
+             JOIN conversations c ON c.id = m.conversation_id
+             WHERE m.id = message_feedback.message_id AND c.user_name = @user_name
+           )`
+      )
+      .run({ user_name, message_id });
+    return result.changes > 0;
+  }
+
+  async listFeedback(filter: FeedbackFilter): Promise<FeedbackExportRow[]> {
+    const db = await this.open();
+    const rows = db
+      .prepare(
+        `SELECT f.id, f.user_name, f.rating, f.comment, f.created_at, f.updated_at,
+                m.id AS message_id, m.conversation_id, c.title AS conversation_title,
+                q.content AS question, m.content AS answer, m.model, m.prompt_version, m.filtre
+         FROM message_feedback f
+         JOIN messages m ON m.id = f.message_id
+         JOIN conversations c ON c.id = m.conversation_id
+         LEFT JOIN messages q ON q.id = m.parent_id
+         WHERE (@since IS NULL OR f.updated_at >= @since)
+           AND (@rating IS NULL OR f.rating = @rating)
+         ORDER BY f.updated_at DESC`
+      )
+      .all({ since: filter.since?.toISOString() ?? null, rating: filter.rating });
+    return rows.map(toFeedbackExportRow);
+  }
+
+  async recordAudit(user_name: string, entry: AuditEntry): Promise<void> {
+    const db = await this.open();
+    db.prepare(
+      `INSERT INTO audit_log
+         (user_name, action, policy, model, provider, conversation_id, files, prompt, prompt_sha256, answer, answer_sha256, aborted, error)
+       VALUES
+         (@user_name, @action, @policy, @model, @provider, @conversation_id, @files, @prompt, @prompt_sha256, @answer, @answer_sha256, @aborted, @error)`
+    ).run({ ...entry, user_name, files: JSON.stringify(entry.files), aborted: entry.aborted ? 1 : 0 });
+  }
+
+  async listAudit(filter: AuditFilter): Promise<AuditRecord[]> {
+    const db = await this.open();
+    const rows = db
+      .prepare(
+        `SELECT id, user_name, created_at, action, policy, model, provider, conversation_id, files,
+                prompt, prompt_sha256, answer, answer_sha256, aborted, error
+         FROM audit_log
+         WHERE (@user_name IS NULL OR user_name = @user_name)
+           AND (@action IS NULL OR action = @action)
+           AND (@since IS NULL OR created_at >= @since)
+           AND (@until IS NULL OR created_at < @until)
+         ORDER BY id DESC
+         LIMIT @limit OFFSET @offset`
+      )
+      .all({
+        ...filter,
+        since: filter.since?.toISOString() ?? null,
+        until: filter.until?.toISOString() ?? null,
+      });
+    return rows.map(toAuditRecord);
+  }
+
+  async purgeAudit(before: Date): Promise<number> {
+    const db = await this.open();
+    return db.prepare('DELETE FROM audit_log WHERE created_at < ?').run(before.toISOString()).changes;
+  }
+
+  private async queryConversationDocuments(
+    user_name: string,
+    conversation_id: number,
+    with_pages: boolean
+  ): Promise<any[] | null> {
+    const db = await this.open();
+    const owned = db
+      .prepare('SELECT id FROM conversations WHERE id = ? AND user_name = ?')
+      .get(conversation_id, user_name);
+    if (!owned) return null;
+
+    return db
+      .prepare(
+        `SELECT id, name, size, extraction, created_at${with_pages ? ', pages' : ''}
+         FROM conversation_documents
+         WHERE conversation_id = ?
+         ORDER BY id`
+      )
+      .all(conversation_id);
+  }
+
+  // Retourne null si la conversation n'existe pas ou n'appartient pas à l'utilisateur
+  async listConversationDocuments(user_name: string, conversation_id: number): Promise<ConversationDocument[] | null> {
+    const rows = await this.queryConversationDocuments(user_name, conversation_id, false);
+    return rows ? rows.map(toConversationDocument) : null;
+  }
+
+  // Idem, avec le texte extrait de chaque page
+  async getConversationDocumentsContent(
+    user_name: string,
+    conversation_id: number
+  ): Promise<ConversationDocumentContent[] | null> {
+    const rows = await this.queryConversationDocuments(user_name, conversation_id, true);
+    return rows ? rows.map(toConversationDocumentContent) : null;
+  }
+
+  // Retourne l'id du document, ou null si la conversation n'appartient pas à l'utilisateur.
+  async addConversationDocument(
+    user_name: string,
+    conversation_id: number,
+    document: { name: string; size: number; extraction: unknown; pages: DocumentPage[] }
+  ): Promise<number | null> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        `INSERT INTO conversation_documents (conversation_id, name, size, extraction, pages)
+         SELECT c.id, @name, @size, @extraction, @pages
+         FROM conversations c
+         WHERE c.id = @conversation_id AND c.user_name = @user_name
+         RETURNING id`
+      )
+      .get({
+        user_name,
+        conversation_id,
+        name: document.name,
+        size: document.size,
+        extraction: JSON.stringify(document.extraction ?? null),
+        pages: JSON.stringify(document.pages),
+      }) as any;
+    return row ? Number(row.id) : null;
+  }
+
+  async deleteConversationDocument(user_name: string, conversation_id: number, document_id: number): Promise<boolean> {
+    const db = await this.open();
+    const result = db
+      .prepare(
+        `DELETE FROM conversation_documents
+         WHERE id = @document_id AND conversation_id = @conversation_id
+           AND conversation_id IN (SELECT id FROM conversations WHERE user_name = @user_name)`
+      )
+      .run({ user_name, conversation_id, document_id });
+    return result.changes > 0;
+  }
+
+  // Modèles personnels de l'utilisateur et modèles partagés du cabinet
+  async listTemplates(user_name: string): Promise<PromptTemplate[]> {
+    const db = await this.open();
+    const rows = db
+      .prepare(
+        `SELECT id, user_name, scope, title, content, filtre, created_at, updated_at
+         FROM prompt_templates
+         WHERE scope = 'cabinet' OR (scope = 'personal' AND user_name = ?)
+         ORDER BY scope DESC, title, id`
+      )
+      .all(user_name);
+    return rows.map(toPromptTemplate);
+  }
+
+  async getTemplate(template_id: number): Promise<PromptTemplate | null> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        `SELECT id, user_name, scope, title, content, filtre, created_at, updated_at
+         FROM prompt_templates WHERE id = ?`
+      )
+      .get(template_id);
+    return row ? toPromptTemplate(row) : null;
+  }
+
+  async createTemplate(user_name: string, template: PromptTemplateInput): Promise<PromptTemplate> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        `INSERT INTO prompt_templates (user_name, scope, title, content, filtre)
+         VALUES (@user_name, @scope, @title, @content, @filtre)
+         RETURNING id, user_name, scope, title, content, filtre, created_at, updated_at`
+      )
+      .get({
+        user_name,
+        scope: template.scope,
+        title: template.title,
+        content: template.content,
+        filtre: template.filtre ? JSON.stringify(template.filtre) : null,
+      });
+    return toPromptTemplate(row);
+  }
+
+  async updateTemplate(template_id: number, template: PromptTemplateInput): Promise<boolean> {
+    const db = await this.open();
+    const result = db
+      .prepare(
+        `UPDATE prompt_templates
+         SET scope = @scope, title = @title, content = @content, filtre = @filtre, updated_at = ${NOW}
+         WHERE id = @template_id`
+      )
+      .run({
+        template_id,
+        scope: template.scope,
+        title: template.title,
+        content: template.content,
+        filtre: template.filtre ? JSON.stringify(template.filtre) : null,
+      });
+    return result.changes > 0;
+  }
+
+  async deleteTemplate(template_id: number): Promise<boolean> {
+    const db = await this.open();
+    const result = db.prepare('DELETE FROM prompt_templates WHERE id = ?').run(template_id);
+    return result.changes > 0;
+  }
+}
@@ -0,0 +1,471 @@
+// backend/storage/Store.ts
+
+// Colonnes de users autorisant le choix de chaque modèle (voir backend/models.js)
+// Les modèles Mistral sont autorisés par défaut, les modèles OpenAI sur activation explicite.
+export const MODEL_PERMISSIONS = {
+  canUseMistralLarge: true,
+  canUseMistralMedium: true,
+  canUseMistralSmall: true,
+  canUseGpt5: false,
+  canUseGpt4oMini: false,
+} as const;
+
+export type ModelPermission = keyof typeof MODEL_PERMISSIONS;
+
+// Typage des droits/flags
+export type FeatureFlags = {
+  canUseApp: boolean;
+  canImportFiles: boolean;
+  isAdmin: boolean;
+};
+
+// Droits modifiables depuis la console d'administration
+export const USER_RIGHTS = ['canUseApp', 'canImportFiles', 'isAdmin', ...Object.keys(MODEL_PERMISSIONS)] as Array<
+  keyof FeatureFlags | ModelPermission
+>;
+
+export type UserRight = (typeof USER_RIGHTS)[number];
+
+// Compteurs de users antérieurs au registre d'usage : reportés au démarrage dans le registre,
+// datés du 1er janvier 1970 (hors de toute période de budget sauf lifetime)
+export const LEDGER_HISTORY_MODEL = 'historique';
+export const LEDGER_HISTORY_DATE = new Date(0);
+
+export type AdminUser = {
+  user_name: string;
+  rights: Record<UserRight, boolean>;
+  maxCost: number;
+  totalRequests: number;
+  totalRequestsWithFiles: number;
+  totalTokens: number;
+  totalCost: number;
+  /** Consommation sur la période de budget en cours */
+  periodRequests: number;
+  periodCost: number;
+};
+
+export type AdminUserChanges = {
+  rights?: Partial<Record<UserRight, boolean>>;
+  maxCost?: number;
+};
+
+// Typage du registre d'usage (une ligne par appel au provider)
+export type UsageEntry = {
+  model: string;
+  provider: string;
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+  cost: number;
+  had_files: boolean;
+  aborted: boolean;
+};
+
+export type UsageSummary = {
+  requests: number;
+  total_tokens: number;
+  cost: number;
+  by_model: Array<{ model: string; provider: string; requests: number; total_tokens: number; cost: number }>;
+};
+
+// Typage des conversations
+export type Conversation = {
+  id: number;
+  title: string;
+  created_at: string;
+  updated_at: string;
+};
+
+export type StoredMessage = {
+  id: number;
+  /** Message précédent dans la branche (null : premier message) ; plusieurs réponses ou versions
+   * d'une question partagent le même parent */
+  parent_id: number | null;
+  sender: 'user' | 'assistant';
+  content: string;
+  tokens: number | null;
+  cost: number | null;
+  /** Version des consignes système ayant produit la réponse (voir backend/systemPrompt.js) */
+  prompt_version: string | null;
+  /** Avis de l'utilisateur sur la réponse */
+  feedback: MessageFeedback | null;
+  created_at: string;
+};
+
+// Message à ajouter à une conversation
+export type NewMessage = {
+  sender: 'user' | 'assistant';
+  content: string;
+  tokens?: number | null;
+  cost?: number | null;
+  /** Version des consignes système ayant produit une réponse */
+  prompt_version?: string | null;
+  /** Modèle qui a produit une réponse */
+  model?: string | null;
+  /** Réglages du filtre appliqués à une réponse (voir backend/filtres.js) */
+  filtre?: Record<string, string> | null;
+  /** Message auquel il fait suite (null : premier message ; absent : dernier message de la conversation) */
+  parent_id?: number | null;
+};
+
+// Avis de l'utilisateur sur une réponse de l'assistant (un par réponse)
+export type FeedbackRating = 'up' | 'down';
+
+export type MessageFeedback = {
+  rating: FeedbackRating;
+  comment: string | null;
+  updated_at: string;
+};
+
+// Avis exporté pour la revue qualité, avec le contexte de la réponse notée
+export type FeedbackExportRow = {
+  id: number;
+  user_name: string;
+  rating: FeedbackRating;
+  comment: string | null;
+  conversation_id: number;
+  conversation_title: string;
+  message_id: number;
+  /** Question à laquelle la réponse fait suite (null si elle n'est pas connue) */
+  question: string | null;
+  answer: string;
+  model: string | null;
+  prompt_version: string | null;
+  filtre: Record<string, string> | null;
+  created_at: string;
+  updated_at: string;
+};
+
+export type FeedbackFilter = {
+  since: Date | null;
+  rating: FeedbackRating | null;
+};
+
+// Journal d'audit (voir backend/audit.js) : échanges et envois de documents
+export type AuditAction = 'chat' | 'upload';
+
+export type AuditFile = { name: string; size: number; sha256: string };
+
+export type AuditEntry = {
+  action: AuditAction;
+  /** Politique appliquée à l'écriture : texte conservé (full) ou empreintes seules (hashes) */
+  policy: 'full' | 'hashes';
+  model: string | null;
+  provider: string | null;
+  conversation_id: number | null;
+  files: AuditFile[];
+  prompt: string | null;
+  prompt_sha256: string | null;
+  answer: string | null;
+  answer_sha256: string | null;
+  aborted: boolean;
+  /** Erreur du provider : échange échoué, sans réponse */
+  error: string | null;
+};
+
+export type AuditRecord = AuditEntry & {
+  id: number;
+  user_name: string;
+  created_at: string;
+};
+
+export type AuditFilter = {
+  user_name: string | null;
+  action: AuditAction | null;
+  since: Date | null;
+  /** Fin de période (exclue) */
+  until: Date | null;
+  limit: number;
+  offset: number;
+};
+
+// Message trouvé par la recherche dans les conversations
+export type MessageSearchHit = {
+  message_id: number;
+  conversation_id: number;
+  conversation_title: string;
+  sender: 'user' | 'assistant';
+  content: string;
+  created_at: string;
+};
+
+// Documents attachés à une conversation : seul le texte extrait est conservé (pas le fichier)
+export type ConversationDocument = {
+  id: number;
+  name: string;
+  size: number;
+  extraction: unknown;
+  created_at: string;
+};
+
+export type DocumentPage = { num: number; text: string };
+
+export type ConversationDocumentContent = ConversationDocument & { pages: DocumentPage[] };
+
+// Modèles de requêtes : personnels (visibles par leur auteur) ou partagés à tout le cabinet
+export type TemplateScope = 'personal' | 'cabinet';
+
+export type PromptTemplate = {
+  id: number;
+  /** Auteur du modèle */
+  user_name: string;
+  scope: TemplateScope;
+  title: string;
+  /** Texte inséré dans la zone de saisie, avec des variables {{nom}} */
+  content: string;
+  /** Réglages du filtre appliqués à l'insertion (longueur, format, domaine, contexte) */
+  filtre: Record<string, string> | null;
+  created_at: string;
+  updated_at: string;
+};
+
+export type PromptTemplateInput = Pick<PromptTemplate, 'scope' | 'title' | 'content' | 'filtre'>;
+
+/**
+ * Contrat commun aux moteurs de stockage (SQL Server, SQLite).
+ * Les fonctions exportées par backend/db.ts délèguent au moteur choisi par DB_DRIVER.
+ */
+export interface Store {
+  // Connexion et création / migration du schéma (idempotent)
+  connect(): Promise<void>;
+
+  // Utilisateurs, droits et budgets
+  ensureUserExists(user_name: string): Promise<void>;
+  getPermissions(user_name: string): Promise<FeatureFlags>;
+  getModelPermissions(user_name: string): Promise<Record<ModelPermission, boolean>>;
+  listUsersWithUsage(since: Date | null): Promise<AdminUser[]>;
+  updateUser(user_name: string, changes: AdminUserChanges): Promise<boolean>;
+
+  // Statistiques et registre d'usage
+  getTotalTokens(user_name: string): Promise<number>;
+  getTotalCost(user_name: string): Promise<number>;
+  getCostLimit(user_name: string): Promise<number>;
+  recordUsage(user_name: string, entry: UsageEntry): Promise<void>;
+  getCostSince(user_name: string, since: Date): Promise<number>;
+  getUsageSummary(user_name: string, since: Date | null): Promise<UsageSummary>;
+
+  // Conversations et messages
+  listConversations(user_name: string): Promise<Conversation[]>;
+  createConversation(user_name: string, title: string): Promise<Conversation>;
+  getConversation(
+    user_name: string,
+    conversation_id: number
+  ): Promise<{ conversation: Conversation; messages: StoredMessage[] } | null>;
+  renameConversation(user_name: string, conversation_id: number, title: string): Promise<boolean>;
+  deleteConversation(user_name: string, conversation_id: number): Promise<boolean>;
+  addMessage(
+    user_name: string,
+    conversation_id: number,
+    message: NewMessage
+  ): Promise<number | null>;
+  // Messages contenant tous les termes (repliés par foldText), du plus récent au plus ancien
+  searchMessages(user_name: string, terms: string[], limit: number): Promise<MessageSearchHit[]>;
+
+  // Avis sur les réponses : null / false si la réponse n'existe pas ou n'appartient pas à l'utilisateur
+  saveFeedback(
+    user_name: string,
+    message_id: number,
+    feedback: { rating: FeedbackRating; comment: string | null }
+  ): Promise<MessageFeedback | null>;
+  deleteFeedback(user_name: string, message_id: number): Promise<boolean>;
+  // Tous les utilisateurs, du plus récent au plus ancien (console d'administration)
+  listFeedback(filter: FeedbackFilter): Promise<FeedbackExportRow[]>;
+
+  // Journal d'audit : lecture du plus récent au plus ancien, purge des entrées antérieures à `before`
+  recordAudit(user_name: string, entry: AuditEntry): Promise<void>;
+  listAudit(filter: AuditFilter): Promise<AuditRecord[]>;
+  purgeAudit(before: Date): Promise<number>;
+
+  // Documents des conversations
+  listConversationDocuments(user_name: string, conversation_id: number): Promise<ConversationDocument[] | null>;
+  getConversationDocumentsContent(
+    user_name: string,
+    conversation_id: number
+  ): Promise<ConversationDocumentContent[] | null>;
+  addConversationDocument(
+    user_name: string,
+    conversation_id: number,
+    document: { name: string; size: number; extraction: unknown; pages: DocumentPage[] }
+  ): Promise<number | null>;
+  deleteConversationDocument(user_name: string, conversation_id: number, document_id: number): Promise<boolean>;
+
+  // Modèles de requêtes
+  listTemplates(user_name: string): Promise<PromptTemplate[]>;
+  getTemplate(template_id: number): Promise<PromptTemplate | null>;
+  createTemplate(user_name: string, template: PromptTemplateInput): Promise<PromptTemplate>;
+  updateTemplate(template_id: number, template: PromptTemplateInput): Promise<boolean>;
+  deleteTemplate(template_id: number): Promise<boolean>;
+}
+
+// Texte comparé par la recherche : minuscules, sans accents (« Barème » → « bareme »)
+export function foldText(text: string): string {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Terme recherché littéralement par LIKE … ESCAPE '\' : %, _ et [ (SQL Server) ne sont plus des jokers
+export function escapeLike(term: string): string {
+  return term.replace(/[\\%_[]/g, '\\$&');
+}
+
+// Conversion des lignes lues en base, communes aux deux moteurs
+
+export function toConversation(row: any): Conversation {
+  return {
+    id: Number(row.id),
+    title: String(row.title ?? ''),
+    created_at: new Date(row.created_at).toISOString(),
+    updated_at: new Date(row.updated_at).toISOString(),
+  };
+}
+
+export function toStoredMessage(row: any): StoredMessage {
+  return {
+    id: Number(row.id),
+    parent_id: row.parent_id == null ? null : Number(row.parent_id),
+    sender: row.sender === 'user' ? 'user' : 'assistant',
+    content: String(row.content ?? ''),
+    tokens: row.tokens == null ? null : Number(row.tokens),
+    cost: row.cost == null ? null : Number(row.cost),
+    prompt_version: row.prompt_version == null ? null : String(row.prompt_version),
+    feedback: row.feedback_rating
+      ? toMessageFeedback({
+          rating: row.feedback_rating,
+          comment: row.feedback_comment,
+          updated_at: row.feedback_updated_at,
+        })
+      : null,
+    created_at: new Date(row.created_at).toISOString(),
+  };
+}
+
+export function toMessageFeedback(row: any): MessageFeedback {
+  return {
+    rating: row.rating === 'up' ? 'up' : 'down',
+    comment: row.comment == null ? null : String(row.comment),
+    updated_at: new Date(row.updated_at).toISOString(),
+  };
+}
+
+export function toFeedbackExportRow(row: any): FeedbackExportRow {
+  return {
+    id: Number(row.id),
+    user_name: String(row.user_name),
+    ...toMessageFeedback(row),
+    conversation_id: Number(row.conversation_id),
+    conversation_title: String(row.conversation_title ?? ''),
+    message_id: Number(row.message_id),
+    question: row.question == null ? null : String(row.question),
+    answer: String(row.answer ?? ''),
+    model: row.model == null ? null : String(row.model),
+    prompt_version: row.prompt_version == null ? null : String(row.prompt_version),
+    filtre: row.filtre ? JSON.parse(row.filtre) : null,
+    created_at: new Date(row.created_at).toISOString(),
+  };
+}
+
+export function toMessageSearchHit(row: any): MessageSearchHit {
+  return {
+    message_id: Number(row.id),
+    conversation_id: Number(row.conversation_id),
+    conversation_title: String(row.title ?? ''),
+    sender: row.sender === 'user' ? 'user' : 'assistant',
+    content: String(row.content ?? ''),
+    created_at: new Date(row.created_at).toISOString(),
+  };
+}
+
+export function toConversationDocument(row: any): ConversationDocument {
+  return {
+    id: Number(row.id),
+    name: String(row.name ?? ''),
+    size: Number(row.size ?? 0),
+    extraction: JSON.parse(row.extraction ?? 'null'),
+    created_at: new Date(row.created_at).toISOString(),
+  };
+}
+
+export function toConversationDocumentContent(row: any): ConversationDocumentContent {
+  return { ...toConversationDocument(row), pages: JSON.parse(row.pages ?? '[]') as DocumentPage[] };
+}
+
+export function toAdminUser(row: any): AdminUser {
+  return {
+    user_name: String(row.user_name),
+    rights: Object.fromEntries(USER_RIGHTS.map((right) => [right, Boolean(Number(row[right] ?? 0))])) as Record<
+      UserRight,
+      boolean
+    >,
+    maxCost: Number(row.maxCost ?? 0),
+    totalRequests: Number(row.totalRequests ?? 0),
+    totalRequestsWithFiles: Number(row.totalRequestsWithFiles ?? 0),
+    totalTokens: Number(row.totalTokens ?? 0),
+    totalCost: Number(row.totalCost ?? 0),
+    periodRequests: Number(row.periodRequests ?? 0),
+    periodCost: Number(row.periodCost ?? 0),
+  };
+}
+
+export function toFeatureFlags(row: any): FeatureFlags {
+  return {
+    canUseApp: Boolean(Number(row?.canUseApp ?? 0)),
+    canImportFiles: Boolean(Number(row?.canImportFiles ?? 0)),
+    isAdmin: Boolean(Number(row?.isAdmin ?? 0)),
+  };
+}
+
+export function toModelPermissions(row: any): Record<ModelPermission, boolean> {
+  return Object.fromEntries(
+    Object.keys(MODEL_PERMISSIONS).map((column) => [column, Boolean(Number(row?.[column] ?? 0))])
+  ) as Record<ModelPermission, boolean>;
+}
+
+export function toPromptTemplate(row: any): PromptTemplate {
+  return {
+    id: Number(row.id),
+    user_name: String(row.user_name),
+    scope: row.scope === 'cabinet' ? 'cabinet' : 'personal',
+    title: String(row.title ?? ''),
+    content: String(row.content ?? ''),
+    filtre: row.filtre ? JSON.parse(row.filtre) : null,
+    created_at: new Date(row.created_at).toISOString(),
+    updated_at: new Date(row.updated_at).toISOString(),
+  };
+}
+
+export function toAuditRecord(row: any): AuditRecord {
+  return {
+    id: Number(row.id),
+    user_name: String(row.user_name),
+    created_at: new Date(row.created_at).toISOString(),
+    action: row.action === 'upload' ? 'upload' : 'chat',
+    policy: row.policy === 'full' ? 'full' : 'hashes',
+    model: row.model == null ? null : String(row.model),
+    provider: row.provider == null ? null : String(row.provider),
+    conversation_id: row.conversation_id == null ? null : Number(row.conversation_id),
+    files: JSON.parse(row.files ?? '[]') as AuditFile[],
+    prompt: row.prompt == null ? null : String(row.prompt),
+    prompt_sha256: row.prompt_sha256 == null ? null : String(row.prompt_sha256),
+    answer: row.answer == null ? null : String(row.answer),
+    answer_sha256: row.answer_sha256 == null ? null : String(row.answer_sha256),
+    aborted: Boolean(Number(row.aborted ?? 0)),
+    error: row.error == null ? null : String(row.error),
+  };
+}
+
+// Résumé de consommation à partir des lignes groupées par modèle
+export function toUsageSummary(rows: any[]): UsageSummary {
+  const by_model = rows.map((r) => ({
+    model: String(r.model),
+    provider: String(r.provider),
+    requests: Number(r.requests ?? 0),
+    total_tokens: Number(r.total_tokens ?? 0),
+    cost: Number(r.cost ?? 0),
+  }));
+
+  return {
+    requests: by_model.reduce((sum, m) => sum + m.requests, 0),
+    total_tokens: by_model.reduce((sum, m) => sum + m.total_tokens, 0),
+    cost: Number(by_model.reduce((sum, m) => sum + m.cost, 0).toFixed(6)),
+    by_model,
+  };
+}
@@ -0,0 +1,58 @@
+// backend/tokens.js
+
+/**
+ * Estimation du nombre de tokens d'un texte, sans tokenizer du provider.
+ * - Utilisée quand l'API ne renvoie pas d'usage (ex: génération interrompue)
+ *   et pour l'estimation du coût avant envoi
+ * - Heuristique : ~4 caractères par token pour du texte français
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Surcoût approximatif par message (rôle + séparateurs du format chat)
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Estime le nombre de tokens d'un texte.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return estimateTokensFromLength(String(text ?? '').length);
+}
+
+/**
+ * Estime le nombre de tokens d'un texte dont seule la longueur est connue.
+ * @param {number} length - Nombre de caractères
+ * @returns {number}
+ */
+export function estimateTokensFromLength(length) {
+  return length > 0 ? Math.ceil(length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estime le nombre de tokens d'une liste de messages envoyée au provider.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {number}
+ */
+export function estimateMessagesTokens(messages) {
+  if (!Array.isArray(messages)) return 0;
+  return messages.reduce(
+    (sum, m) => sum + TOKENS_PER_MESSAGE + estimateTokens(m?.content),
+    0
+  );
+}
+
+/**
+ * Construit un usage standardisé estimé (format Chat Completions).
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {{total_tokens: number, prompt_tokens: number, completion_tokens: number}}
+ */
+export function estimatedUsage(promptTokens, completionTokens) {
+  return {
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+  };
+}
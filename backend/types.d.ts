@@ -84,6 +84,63 @@ export interface ServiceChatResponse {
   cost?: number;
   /** Indique si la limite de coût utilisateur est atteinte */
   limitReached: boolean;
+  /** Extraits de documents injectés dans le prompt */
+  retrieval?: RetrievedChunk[];
+  /** Données personnelles masquées avant l'envoi au provider */
+  pseudonymization?: PseudonymizationReport;
+  /** Provider et modèle qui ont effectivement répondu (base du coût) */
+  provider?: string;
+  model?: string;
+  /** Bascule vers un modèle de repli (provider du modèle choisi indisponible) */
+  failover?: ProviderFailover | null;
+}
+
+/**
+ * Bascule automatique vers un modèle de repli
+ */
+export interface ProviderFailover {
+  /** Modèle choisi, indisponible */
+  from: string;
+  /** Erreur renvoyée par son provider */
+  reason: string;
+}
+
+/**
+ * Rapport de pseudonymisation d'une requête (sans les valeurs masquées)
+ */
+export interface PseudonymizationReport {
+  /** Nombre total de remplacements */
+  total: number;
+  entities: Array<{
+    /** Marqueur envoyé au provider (ex: [IBAN_1]) */
+    placeholder: string;
+    /** Type de donnée (IBAN, SIRET, EMAIL…) */
+    type: string;
+    /** Libellé lisible */
+    label: string;
+    occurrences: number;
+  }>;
+}
+
+/**
+ * Extrait de document sélectionné par la recherche BM25
+ */
+export interface RetrievedChunk {
+  file_id: string;
+  /** Nom du document */
+  name: string;
+  /** Position de l'extrait dans le document (à partir de 0) */
+  chunk: number;
+  /** Nombre d'extraits du document */
+  chunks_total: number;
+  /** Offsets de l'extrait dans le texte extrait */
+  start: number;
+  end: number;
+  /** Pages couvertes */
+  page_start: number;
+  page_end: number;
+  /** Score BM25 (0 si retenu sans correspondance) */
+  score: number;
 }
 
 /**
@@ -106,6 +163,49 @@ export interface ChatServiceConfig {
   providerConfig: AdapterConfig;
   /** Limite de coût par utilisateur (défaut: 2.0) */
   costLimit?: number;
+  /** Politique d'OCR distant des documents ('local-only' par défaut, ou 'allow-fallback') */
+  ocrPolicy?: string;
+  /** Masquer les données personnelles avant l'envoi au provider (défaut: true) */
+  pseudonymize?: boolean;
+  /** Autres providers proposés dans le sélecteur de modèle (ignorés sans apiKey) */
+  additionalProviders?: Record<string, AdapterConfig>;
+  /** Rejouer la requête sur un modèle de repli si le provider est indisponible (défaut: true) */
+  failover?: boolean;
+}
+
+/**
+ * Estimation du coût avant envoi (POST /api/chat/estimate)
+ */
+export interface CostEstimate {
+  model: string;
+  /** Tokens estimés du prompt (consignes, historique, extraits de documents) */
+  prompt_tokens: number;
+  /** Majorant des tokens de la réponse (MAX_OUTPUT_TOKENS) */
+  completion_tokens: number;
+  /** Coût estimé en dollars (majorant) */
+  cost: number;
+  /** Coût consommé sur la période de budget, budget (maxCost) et budget restant */
+  spent: number;
+  limit: number;
+  remaining: number;
+  /** Libellé de la période de budget (ex: "octobre 2026", "30 derniers jours") */
+  period: string;
+  /** L'envoi reste dans le budget */
+  allowed: boolean;
+}
+
+/**
+ * Modèle proposé dans le sélecteur (GET /api/models)
+ */
+export interface AvailableModel {
+  id: string;
+  label: string;
+  provider: 'mistral' | 'openai';
+  /** Tarifs en USD / 1M tokens (null si inconnus) */
+  pricing: { input: number; output: number; cached_input?: number } | null;
+  capabilities: { streaming: boolean; contextWindow: number; strengths: string[] };
+  /** L'utilisateur courant a le droit d'utiliser ce modèle */
+  allowed: boolean;
 }
 
 /**
@@ -121,4 +221,14 @@ export interface RawChatRequest {
   }>;
   /** IDs des fichiers attachés */
   file_ids?: string[];
+  /** Modèle choisi dans le sélecteur (DEFAULT_MODEL si absent) */
+  model?: string;
 }
+
+/**
+ * Événement envoyé par la route de streaming /api/chat/stream (une ligne NDJSON)
+ */
+export type ChatStreamEvent =
+  | { type: 'delta'; content: string }
+  | ({ type: 'done' } & ServiceChatResponse)
+  | { type: 'error'; error: string; message: string };
@@ -6,17 +6,96 @@ import ChatList from './components/ChatList';
 import Composer from './components/Composer';
 import Head from './components/Head';
 import Filtre from './components/Filtre'
+import TemplatePanel from './components/TemplatePanel';
 import Warning from './components/Warning'
+import ConversationList from './components/ConversationList';
+import ConversationDocuments from './components/ConversationDocuments';
+import AdminView from './components/AdminView';
 import { useAttachments } from './hooks/useAttachments';
-import type { Message } from './types';
-import { history } from './services/history';
+import { useFileDrop } from './hooks/useFileDrop';
+import { useCostEstimate } from './hooks/useCostEstimate';
+import type { Conversation, ConversationDocument, FeedbackRating, Message, ModelInfo, StoredMessage } from './types';
 import { buildMessagesForLLM } from './services/context';
-import { chat } from './api';
+import { branchPosition, branchThrough, branchTip, latestBranch, siblingsOf } from './services/branches';
+import { reconcileFiltre } from './services/filtre';
+import { DEFAULT_FILTRE } from './config';
+import {
+  chatStream,
+  listConversations,
+  createConversation,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  listConversationDocuments,
+  deleteConversationDocument,
+  saveFeedback,
+  deleteFeedback,
+  listModels,
+  getFiltreOptions,
+  deniedPermission,
+} from './api';
 import type { Flags } from './types'
-import type { FiltreContext } from './types';
+import type { FiltreContext, FiltreOptions } from './types';
+
+// Longueur maximale du titre généré à partir de la première question
+const TITLE_MAX_LENGTH = 60;
+
+// Clé de stockage local du modèle choisi dans le sélecteur
+const MODEL_STORAGE_KEY = 'model';
+
+// Durée de mise en évidence d'un message ouvert depuis la recherche
+const FOCUS_HIGHLIGHT_MS = 2500;
+
+// Après une interruption, le serveur enregistre la réponse partielle à la fermeture du flux :
+// la conversation est relue jusqu'à la trouver (nombre d'essais et délai entre deux essais)
+const STOP_RELOAD_ATTEMPTS = 5;
+const STOP_RELOAD_DELAY_MS = 400;
+
+function toMessage(m: StoredMessage): Message {
+  return {
+    id: m.id,
+    parent_id: m.parent_id,
+    sender: m.sender,
+    text: m.content,
+    tokens: m.tokens ?? undefined,
+    cost: m.cost ?? undefined,
+    feedback: m.feedback,
+    // Réponse vide enregistrée : génération interrompue avant le premier fragment
+    stopped: m.sender === 'assistant' && m.content === '' ? true : undefined,
+  };
+}
+
+// Droit retiré côté serveur (403) : l'interface s'aligne (écran d'accès refusé, 📎 masqué…)
+function revokeDeniedPermission(flags: Flags | null, err: unknown): Flags | null {
+  const permission = deniedPermission(err);
+  return flags && permission && permission in flags ? { ...flags, [permission]: false } : flags;
+}
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+// Échange avec le modèle : nouvelle question, question modifiée ou nouvelle réponse à une question
+type Exchange = {
+  /** Branche affichée avant la question (question comprise pour une régénération) */
+  base: Message[];
+  /** Question à envoyer (absente : nouvelle réponse à la dernière question de `base`) */
+  question?: Message;
+  /** Message auquel la question (ou la réponse régénérée) fait suite */
+  parentId: number | null | undefined;
+  /** Envoyer les pièces jointes de la zone de saisie */
+  withAttachments?: boolean;
+};
+
+function titleFromQuestion(question: string): string {
+  const oneLine = question.replace(/\s+/g, ' ').trim();
+  return oneLine.length > TITLE_MAX_LENGTH ? `${oneLine.slice(0, TITLE_MAX_LENGTH - 1)}…` : oneLine;
+}
 
 function App() {
+  // Branche affichée de la conversation, et tous ses messages enregistrés (versions comprises)
   const [messages, setMessages] = useState<Message[]>([]);
+  const [tree, setTree] = useState<Message[]>([]);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [copiedIndex, setCopiedIndex] = useState<number | null>(null);
@@ -27,11 +106,31 @@ function App() {
   }>({});
 
   // Filtre
-  const [filtre, setFiltre] = useState<FiltreContext | null>(null);
+  const [filtre, setFiltre] = useState<FiltreContext>(DEFAULT_FILTRE);
+  const [filtreOptions, setFiltreOptions] = useState<FiltreOptions | null>(null);
+
+  // Modèles de requêtes
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+
+  // Conversations persistées côté serveur
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [activeConversationId, setActiveConversationId] = useState<number | null>(null);
+
+  // Documents conservés dans la conversation active (réutilisés aux tours suivants)
+  const [conversationDocuments, setConversationDocuments] = useState<ConversationDocument[]>([]);
+
+  // Modèles proposés par le serveur et modèle choisi (conservé entre deux sessions)
+  const [models, setModels] = useState<ModelInfo[]>([]);
+  const [selectedModel, setSelectedModel] = useState<string | null>(() => {
+    try { return localStorage.getItem(MODEL_STORAGE_KEY); } catch { return null; }
+  });
 
   // Récupération des permissions
   const [flags, setFlags] = useState<Flags | null>(null);
   const [error, setError] = useState<string | null>(null);
+
+  // Vue affichée : chat ou console d'administration (admins uniquement)
+  const [view, setView] = useState<'chat' | 'admin'>('chat');
   
   // Thème
   const [theme, setTheme] = useState<'light' | 'dark'>(() => {
@@ -54,6 +153,65 @@ function App() {
         .catch((e) => setError('Impossible de récupérer les droits.'));
     }, []);
 
+  // Conversations : chargées une fois les droits connus
+  useEffect(() => {
+    if (!flags?.canUseApp) return;
+    listConversations()
+      .then(setConversations)
+      .catch((err) => {
+        setFlags((f) => revokeDeniedPermission(f, err));
+        setMessages(prev => [
+          ...prev,
+          { sender: 'assistant', text: `❌ Impossible de charger les conversations : ${errorMessage(err)}`, notice: true },
+        ]);
+      });
+  }, [flags?.canUseApp]);
+
+  // Modèles : le choix enregistré est conservé s'il est toujours autorisé
+  useEffect(() => {
+    if (!flags?.canUseApp) return;
+    listModels()
+      .then((data) => {
+        setModels(data.models);
+        setSelectedModel((saved) =>
+          data.models.some((m) => m.id === saved && m.allowed) ? saved : data.default
+        );
+      })
+      .catch((err) => {
+        setFlags((f) => revokeDeniedPermission(f, err));
+        setMessages(prev => [
+          ...prev,
+          { sender: 'assistant', text: `❌ Impossible de charger les modèles : ${errorMessage(err)}`, notice: true },
+        ]);
+      });
+  }, [flags?.canUseApp]);
+
+  // Options du filtre configurées côté serveur : les réglages retirés reprennent la valeur par défaut
+  useEffect(() => {
+    if (!flags?.canUseApp) return;
+    getFiltreOptions()
+      .then((options) => {
+        setFiltreOptions(options);
+        setFiltre((f) => reconcileFiltre(f, options));
+      })
+      .catch((err) => {
+        setFlags((f) => revokeDeniedPermission(f, err));
+        setMessages(prev => [
+          ...prev,
+          { sender: 'assistant', text: `❌ Impossible de charger les options du filtre : ${errorMessage(err)}`, notice: true },
+        ]);
+      });
+  }, [flags?.canUseApp]);
+
+  useEffect(() => {
+    if (!selectedModel) return;
+    try {
+      localStorage.setItem(MODEL_STORAGE_KEY, selectedModel);
+    } catch {
+      // Stockage local indisponible : le choix ne sera pas conservé
+    }
+  }, [selectedModel]);
+
   // Thème
   // Applique l'attribut data-theme sur <html> et persiste
   useEffect(() => {
@@ -64,23 +222,63 @@ function App() {
   // Passe une fonction qui accepte un message de détail
   const {
     attachments,
-    selectedIdx,
-    setSelectedIdx,
+    attachedDocuments,
+    pendingAttachments,
+    failedAttachments,
     addFromDialog,
-    removeSelected,
+    addFromFiles,
+    retryAttachment,
+    removeAttachment,
     clearAttachments,
   } = useAttachments(pushAttachmentError);
 
+  // Fichiers glissés sur la conversation depuis l'explorateur ou un client mail
+  const { dragging, dropHandlers } = useFileDrop(addFromFiles, !!flags?.canImportFiles && !loading);
+
+  // Coût estimé du message en cours de saisie (payload identique à celui de l'envoi)
+  const draftPayload = input.trim() && !loading
+    ? buildMessagesForLLM(
+        [...messages, { sender: 'user', text: input }],
+        attachedDocuments.map(d => d.file_id),
+        filtre,
+        activeConversationId ?? undefined,
+        selectedModel ?? undefined
+      )
+    : null;
+  const { estimate: costEstimate, failed: estimateFailed, retry: retryEstimate } = useCostEstimate(draftPayload, pendingAttachments);
+
   const endRef = useRef<HTMLDivElement | null>(null);
 
+  // Permet d'interrompre la génération en cours (bouton Stop)
+  const abortRef = useRef<AbortController | null>(null);
+
+  // Conversation affichée, lue par les traitements asynchrones (l'utilisateur a pu en changer)
+  const activeConversationRef = useRef<number | null>(null);
+  activeConversationRef.current = activeConversationId;
+
+  // Message ouvert depuis la recherche : affiché à la place du bas de la conversation, puis mis en évidence
+  const focusRef = useRef<number | null>(null);
+  const [highlightedId, setHighlightedId] = useState<number | null>(null);
+
   const scrollToBottom = (smooth = true) => {
     requestAnimationFrame(() => {
       endRef.current?.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'end' });
     });
   };
 
+  const scrollToMessage = (id: number) => {
+    requestAnimationFrame(() => {
+      document.getElementById(`message-${id}`)?.scrollIntoView({ behavior: 'auto', block: 'center' });
+    });
+    setHighlightedId(id);
+    setTimeout(() => setHighlightedId((current) => (current === id ? null : current)), FOCUS_HIGHLIGHT_MS);
+  };
+
   useEffect(() => {
-    scrollToBottom(true);
+    const focus = focusRef.current;
+    focusRef.current = null;
+    if (focus != null) scrollToMessage(focus);
+    else scrollToBottom(true);
   }, [messages]);
 
   const markdownToPlainText = (input: string) => {
@@ -133,10 +331,106 @@ function App() {
     const msg = detail && String(detail).trim().length > 0
       ? `❌ ${detail}`
       : '❌ Fichier trop volumineux';
-    setMessages(prev => [...prev, { sender: 'assistant', text: msg }]);
+    setMessages(prev => [...prev, { sender: 'assistant', text: msg, notice: true }]);
+    scrollToBottom(true);
+  }
+
+  // Affiche une erreur d'interface (non persistée, non envoyée au modèle)
+  function pushNotice(text: string) {
+    setMessages(prev => [...prev, { sender: 'assistant', text, notice: true }]);
     scrollToBottom(true);
   }
 
+  async function refreshConversations() {
+    try {
+      setConversations(await listConversations());
+    } catch (err) {
+      pushNotice(`❌ Impossible de charger les conversations : ${errorMessage(err)}`);
+    }
+  }
+
+  // focusId : message à afficher (résultat de recherche), sur sa branche
+  const selectConversation = async (id: number, focusId?: number) => {
+    if (id === activeConversationId && focusId == null) return;
+    try {
+      const [{ messages: stored }, documents] = await Promise.all([
+        getConversation(id),
+        listConversationDocuments(id),
+      ]);
+      const all = stored.map(toMessage);
+      const focused = focusId != null && all.some((m) => m.id === focusId) ? focusId : null;
+      focusRef.current = focused;
+      setActiveConversationId(id);
+      setTree(all);
+      setMessages(focused != null ? branchThrough(all, focused) : latestBranch(all));
+      setConversationDocuments(documents);
+      clearAttachments();
+      if (focused == null) scrollToBottom(false);
+    } catch (err) {
+      pushNotice(`❌ ${errorMessage(err)}`);
+    }
+  };
+
+  // La conversation n'est créée en base qu'au premier message envoyé
+  const newConversation = () => {
+    setActiveConversationId(null);
+    setMessages([]);
+    setTree([]);
+    setConversationDocuments([]);
+    clearAttachments();
+  };
+
+  async function refreshConversationDocuments(id: number) {
+    try {
+      setConversationDocuments(await listConversationDocuments(id));
+    } catch (err) {
+      pushNotice(`❌ Impossible de charger les documents : ${errorMessage(err)}`);
+    }
+  }
+
+  const onRemoveDocument = async (documentId: number) => {
+    if (activeConversationId == null) return;
+    try {
+      await deleteConversationDocument(activeConversationId, documentId);
+      setConversationDocuments(prev => prev.filter(d => d.id !== documentId));
+    } catch (err) {
+      pushNotice(`❌ ${errorMessage(err)}`);
+    }
+  };
+
+  const onRenameConversation = async (id: number, title: string) => {
+    try {
+      await renameConversation(id, title);
+      await refreshConversations();
+    } catch (err) {
+      pushNotice(`❌ ${errorMessage(err)}`);
+    }
+  };
+
+  const onDeleteConversation = async (id: number) => {
+    try {
+      await deleteConversation(id);
+      if (id === activeConversationId) newConversation();
+      await refreshConversations();
+    } catch (err) {
+      pushNotice(`❌ ${errorMessage(err)}`);
+    }
+  };
+
+  // Avis sur une réponse enregistrée (null : avis retiré)
+  const rateAnswer = async (msg: Message, feedback: { rating: FeedbackRating; comment: string | null } | null) => {
+    if (msg.id == null) return;
+    try {
+      const saved = feedback ? await saveFeedback(msg.id, feedback) : null;
+      if (!feedback) await deleteFeedback(msg.id);
+      const update = (m: Message) => (m.id === msg.id ? { ...m, feedback: saved } : m);
+      setMessages(prev => prev.map(update));
+      setTree(prev => prev.map(update));
+    } catch (err) {
+      pushNotice(`❌ ${errorMessage(err)}`);
+    }
+  };
+
   const copyToClipboard = async (text: string, idx: number) => {
     try {
       const copyText = markdownToPlainText(text);
@@ -175,74 +469,198 @@ function App() {
     const trimmed = input.trim();
     if (!trimmed) return;
 
-    // UI: ajouter message utilisateur
-    const newMessages: Message[] = [...messages, { sender: 'user', text: input }];
-    setMessages(newMessages);
+    // Estimation en cours, ou coût estimé supérieur au budget restant
+    // (estimation en échec : le backend refait la vérification avant l'appel au provider)
+    if (!costEstimate && !estimateFailed) return;
+    if (costEstimate && !costEstimate.allowed) return;
+
+    // Pièces jointes en cours d'envoi, ou en échec (à renvoyer ou à retirer)
+    if (pendingAttachments > 0 || failedAttachments > 0) return;
+
     setInput('');
+    await runExchange({
+      base: messages,
+      question: { sender: 'user', text: input },
+      parentId: branchTip(messages),
+      withAttachments: true,
+    });
+  };
+
+  // Question modifiée : nouvelle version à la place de l'ancienne (conservée dans une autre branche)
+  const editQuestion = async (idx: number, text: string) => {
+    const original = messages[idx];
+    if (!text.trim() || original?.sender !== 'user' || original.parent_id === undefined) return;
+    await runExchange({
+      base: messages.slice(0, idx),
+      question: { sender: 'user', text, parent_id: original.parent_id },
+      parentId: original.parent_id,
+    });
+  };
+
+  // Nouvelle réponse à la question précédente (l'ancienne reste accessible par ‹ ›)
+  const regenerateAnswer = async (idx: number) => {
+    const question = messages[idx - 1];
+    if (question?.sender !== 'user' || question.id == null) return;
+    await runExchange({ base: messages.slice(0, idx), parentId: question.id });
+  };
+
+  /**
+   * Réponse interrompue : la question et la partie générée (vide si rien n'avait été reçu) sont enregistrées
+   * par le serveur, mais leurs IDs n'ont pas été reçus. La conversation est relue pour qu'elles rejoignent
+   * l'arbre (régénérer, modifier, avis),
+   * sauf si l'utilisateur a changé de conversation ou envoyé une autre question entre-temps.
+   *
+   * @param conversationId Conversation de l'échange interrompu
+   * @param known IDs des messages connus avant l'échange
+   */
+  const reloadStoppedExchange = async (conversationId: number, known: Set<number | undefined>) => {
+    for (let attempt = 0; attempt < STOP_RELOAD_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, STOP_RELOAD_DELAY_MS));
+      if (activeConversationRef.current !== conversationId || abortRef.current) return;
+
+      let stored: StoredMessage[];
+      try {
+        ({ messages: stored } = await getConversation(conversationId));
+      } catch {
+        return;
+      }
+
+      const answer = [...stored].reverse().find(m => m.sender === 'assistant' && !known.has(m.id));
+      if (!answer) continue;
+      if (activeConversationRef.current !== conversationId || abortRef.current) return;
+
+      const all = stored.map(m => (m.id === answer.id ? { ...toMessage(m), stopped: true } : toMessage(m)));
+      setTree(all);
+      setMessages(branchThrough(all, answer.id));
+      return;
+    }
+  };
+
+  // Affiche une autre version d'un message, avec la suite la plus récente de la conversation
+  const switchBranch = (msg: Message, step: -1 | 1) => {
+    const siblings = siblingsOf(tree, msg);
+    const target = siblings[siblings.findIndex((m) => m.id === msg.id) + step];
+    if (target?.id != null) setMessages(branchThrough(tree, target.id));
+  };
+
+  const runExchange = async ({ base, question, parentId, withAttachments = false }: Exchange) => {
+    // Remplace la dernière bulle (réponse en cours) par le message donné
+    const replaceLast = (msg: Message) => {
+      setMessages(prev => [...prev.slice(0, -1), msg]);
+    };
+
+    // Documents joints à la question : envoyés et extraits dès leur ajout à la zone de saisie
+    const documents = withAttachments && question ? attachedDocuments : [];
+    const file_ids = documents.map(d => d.file_id);
+
+    // UI: ajouter message utilisateur (avec la méthode d'extraction de chaque document) + bulle de réponse vide
+    const userMessage = question && documents.length > 0 ? { ...question, documents } : question;
+    const conversation = userMessage ? [...base, userMessage] : base;
+    setMessages([...conversation, { sender: 'assistant', text: '', streaming: true }]);
     setLoading(true);
     scrollToBottom(false);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    // Texte déjà reçu (conservé si l'utilisateur interrompt la génération)
+    let streamed = '';
+
+    let conversationId = activeConversationId;
+
     try {
-      history.add('user', trimmed);
-
-      let file_ids: string[] = [];
-
-      // Uploader les fichiers attachés
-      if (attachments && attachments.length > 0) {
-        try {
-          const tokens = attachments.map(a => a.token);
-          
-          // Utiliser l'API fileAPI pour uploader les fichiers
-          if (window.fileAPI?.uploadByTokens) {
-            const results = await window.fileAPI.uploadByTokens(tokens);
-            file_ids = results.map(r => r.file_id);
-          }
-        } catch (uploadErr: any) {
-          const msg = uploadErr?.message ?? 'Erreur lors de l\'upload des fichiers';
-          setMessages(prev => [...prev, { sender: 'assistant', text: `❌ ${msg}` }]);
-          scrollToBottom(true);
-          setLoading(false);
-          return;
-        }
+      // Première question : création de la conversation en base
+      if (conversationId == null) {
+        const created = await createConversation(titleFromQuestion(question?.text ?? ''));
+        conversationId = created.id;
+        setActiveConversationId(created.id);
+        setConversations(prev => [created, ...prev]);
       }
 
-      // Construire le payload avec les file_ids
-      const payload = buildMessagesForLLM(file_ids, filtre);
+      // Construire le payload avec les file_ids et la position de la question dans la conversation
+      const payload = buildMessagesForLLM(conversation, file_ids, filtre, conversationId, selectedModel ?? undefined, {
+        parent_id: parentId,
+        regenerate: !question,
+      });
 
-      // Appel backend Mistral
-      const data = await chat(payload);
+      // Appel backend (streaming) : la bulle est complétée à chaque fragment
+      const data = await chatStream(payload, (delta) => {
+        streamed += delta;
+        replaceLast({ sender: 'assistant', text: streamed, streaming: true });
+      }, controller.signal);
 
       // Limite
       if (data.limitReached) {
-        setMessages((prev) => [...prev, { sender: 'assistant', text: '🔴 Limite atteinte — impossibilité d’envoyer de nouveaux messages.' }]);
+        replaceLast({ sender: 'assistant', text: '🔴 Limite atteinte — impossibilité d’envoyer de nouveaux messages.', notice: true });
         return;
       }
 
-      const assistantMessage = data?.content ?? 'Réponse vide';
+      const assistantMessage = data?.content || streamed || 'Réponse vide';
       const tokensUsed: number | undefined =
         data?.usage?.total_tokens ?? data?.usage?.completion_tokens ?? undefined;
 
       const cost: number | undefined =
-        typeof (data as any)?.cost === 'number' ? (data as any).cost : undefined;
-
-      setMessages([...newMessages, { sender: 'assistant', text: assistantMessage, tokens: tokensUsed, cost: cost }]);
+        typeof data?.cost === 'number' ? data.cost : undefined;
+
+      // Les messages reçoivent leur ID en base et rejoignent l'arbre de la conversation
+      const savedQuestion: Message | null = userMessage
+        ? { ...userMessage, id: data.user_message_id ?? undefined, parent_id: parentId }
+        : null;
+      const answer: Message = {
+        id: data.assistant_message_id ?? undefined,
+        parent_id: data.user_message_id ?? undefined,
+        sender: 'assistant',
+        text: assistantMessage,
+        tokens: tokensUsed,
+        cost: cost,
+        retrieval: data.retrieval,
+        pseudonymization: data.pseudonymization,
+        model: data.model,
+        failover: data.failover,
+      };
+      const saved = savedQuestion ? [savedQuestion, answer] : [answer];
+      setMessages(prev => [...prev.slice(0, -saved.length), ...saved]);
+      setTree(prev => [...prev, ...saved.filter(m => m.id != null)]);
       scrollToBottom(true);
-      history.add('assistant', assistantMessage);
+      refreshConversations();
       
-      // Nettoyer les fichiers après envoi
-      clearAttachments();
+      // Les fichiers envoyés sont désormais conservés dans la conversation
+      if (withAttachments) clearAttachments();
+      if (file_ids.length > 0) refreshConversationDocuments(conversationId);
     } catch (err: any) {
+      if (controller.signal.aborted) {
+        // Interruption volontaire : on garde la partie déjà générée
+        replaceLast({ sender: 'assistant', text: streamed, stopped: true });
+        if (withAttachments) clearAttachments();
+        refreshConversations();
+        if (conversationId != null) reloadStoppedExchange(conversationId, new Set(tree.map(m => m.id)));
+        if (conversationId != null && file_ids.length > 0) refreshConversationDocuments(conversationId);
+        return;
+      }
+      setFlags((f) => revokeDeniedPermission(f, err));
       const networkMsg =
         err?.name === 'TypeError'
           ? 'Problème réseau ou serveur injoignable.'
           : String(err?.message ?? err);
-      setMessages([...newMessages, { sender: 'assistant', text: `❌ ${networkMsg}` }]);
+      replaceLast({ sender: 'assistant', text: `❌ ${networkMsg}`, notice: true });
       scrollToBottom(true);
     } finally {
+      abortRef.current = null;
       setLoading(false);
     }
   };
 
+  // Interrompt la requête en cours : le backend annule l'appel au provider
+  const stopGeneration = () => {
+    abortRef.current?.abort();
+  };
+
+  // Modèle de requête complété : remplace la saisie et applique les réglages prédéfinis du filtre
+  const insertTemplate = (text: string, preset: Partial<FiltreContext> | null) => {
+    setInput(text);
+    if (preset) setFiltre((f) => reconcileFiltre({ ...f, ...preset }, filtreOptions));
+  };
+
   // Erreurs
   if (error) return <div style={{ padding: 24, color: 'crimson' }}>{error}</div>;
   if (!flags) return <div style={{ padding: 24 }}>Chargement…</div>;
@@ -257,6 +675,9 @@ function App() {
     );
   }
 
+  // Le chat reste monté pendant l'administration (saisie, filtre et flux en cours conservés)
+  const showAdmin = view === 'admin' && flags.isAdmin;
+
   // Si il peut utiliser l'application
   return (
     <div className="app">
@@ -264,34 +685,90 @@ function App() {
         flags={flags}
         theme={theme}
         onToggleTheme={() => setTheme((t) => (t === 'dark' ? 'light' : 'dark'))}
+        models={models}
+        selectedModel={selectedModel}
+        onSelectModel={setSelectedModel}
+        disabled={loading}
+        adminOpen={view === 'admin'}
+        onToggleAdmin={() => setView((v) => (v === 'admin' ? 'chat' : 'admin'))}
       />
 
       <Warning />
 
-      <ChatList
-        messages={messages}
-        copiedIndex={copiedIndex}
-        onCopy={copyToClipboard}
-        endRef={endRef}
-      />
-
-      <Filtre
-        onChange={setFiltre}
-        disabled={loading}
-      />
-
-      <Composer
-        input={input}
-        setInput={setInput}
-        loading={loading}
-        onSend={sendMessage}
-        attachments={attachments}
-        selectedIdx={selectedIdx}
-        setSelectedIdx={setSelectedIdx}
-        onAttachClick={addFromDialog}
-        onRemoveSelected={removeSelected}
-        flags={flags}
-      />
+      {showAdmin && <AdminView onClose={() => setView('chat')} />}
+
+      <div className={`app-body${showAdmin ? ' hidden' : ''}`}>
+        <ConversationList
+          conversations={conversations}
+          activeId={activeConversationId}
+          onSelect={selectConversation}
+          onOpenResult={selectConversation}
+          onNew={newConversation}
+          onRename={onRenameConversation}
+          onDelete={onDeleteConversation}
+          disabled={loading}
+        />
+
+        <main className="app-main" {...dropHandlers}>
+          {dragging && <div className="drop-overlay">Déposez les fichiers pour les joindre à la question</div>}
+
+          <ChatList
+            messages={messages}
+            copiedIndex={copiedIndex}
+            onCopy={copyToClipboard}
+            endRef={endRef}
+            branchOf={(msg) => branchPosition(tree, msg)}
+            onSwitchBranch={switchBranch}
+            onEdit={editQuestion}
+            onRegenerate={regenerateAnswer}
+            onRate={rateAnswer}
+            highlightedId={highlightedId}
+            disabled={loading}
+          />
+
+          <ConversationDocuments
+            documents={conversationDocuments}
+            onRemove={onRemoveDocument}
+            disabled={loading}
+          />
+
+          {templatesOpen && (
+            <TemplatePanel
+              draft={input}
+              filtre={filtre}
+              canShare={flags.isAdmin}
+              onInsert={insertTemplate}
+              onClose={() => setTemplatesOpen(false)}
+            />
+          )}
+
+          <Filtre
+            value={filtre}
+            onChange={setFiltre}
+            options={filtreOptions}
+            disabled={loading}
+          />
+
+          <Composer
+            input={input}
+            setInput={setInput}
+            loading={loading}
+            onSend={sendMessage}
+            onStop={stopGeneration}
+            attachments={attachments}
+            onAttachClick={addFromDialog}
+            onRetryAttachment={retryAttachment}
+            onRemoveAttachment={removeAttachment}
+            onPasteFiles={(files) => addFromFiles(files, true)}
+            templatesOpen={templatesOpen}
+            onToggleTemplates={() => setTemplatesOpen((open) => !open)}
+            estimate={costEstimate}
+            estimateFailed={estimateFailed}
+            onRetryEstimate={retryEstimate}
+            flags={flags}
+          />
+        </main>
+      </div>
     </div>
   );
 }
@@ -1,5 +1,23 @@
 // src/api.ts
 import type { ChatPayload } from './services/context';
+import type {
+  AdminUserList,
+  Conversation,
+  ConversationDocument,
+  CostEstimate,
+  DocumentExtraction,
+  FeedbackRating,
+  FiltreOptions,
+  MessageFeedback,
+  ModelInfo,
+  PromptTemplate,
+  PromptTemplateInput,
+  ProviderFailover,
+  PseudonymizationReport,
+  RetrievedChunk,
+  SearchResult,
+  StoredMessage,
+} from './types';
 
 export type UploadResponse = {
   success: boolean;
@@ -7,6 +25,7 @@ export type UploadResponse = {
     file_id: string;
     name: string;
     size: number;
+    extraction: DocumentExtraction;
   }>;
 };
 
@@ -21,8 +40,109 @@ export type ChatResponse = {
     | null;
   cost?: number;
   limitReached : boolean;
+  conversation_id?: number | null;
+  user_message_id?: number | null;
+  assistant_message_id?: number | null;
+  /** Extraits des documents injectés dans le prompt */
+  retrieval?: RetrievedChunk[];
+  /** Données personnelles masquées avant l'envoi au fournisseur */
+  pseudonymization?: PseudonymizationReport;
+  /** Fournisseur et modèle qui ont répondu (base du coût) */
+  provider?: string;
+  model?: string;
+  failover?: ProviderFailover | null;
+  /** Version des consignes système appliquées par le serveur (ex: 2026-10-19/fiscale) */
+  prompt_version?: string;
 };
 
+export type ChatStreamEvent =
+  | { type: 'delta'; content: string }
+  | ({ type: 'done' } & ChatResponse)
+  | { type: 'error'; error: string; message: string };
+
+/**
+ * Erreur renvoyée par le backend : statut HTTP, code (`error`) et, pour un refus de droits
+ * (`PermissionDenied`), le droit manquant.
+ */
+export class ApiError extends Error {
+  status: number;
+  code: string | null;
+  permission: string | null;
+
+  constructor(message: string, status: number, code: string | null = null, permission: string | null = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.permission = permission;
+  }
+}
+
+/**
+ * Construit une ApiError lisible à partir d'une réponse HTTP en échec.
+ */
+async function readError(res: Response): Promise<ApiError> {
+  let message = `HTTP ${res.status}`;
+  let code: string | null = null;
+  let permission: string | null = null;
+  try {
+    const errBody = await res.json();
+    if (errBody?.message) message = errBody.message;
+    code = typeof errBody?.error === 'string' ? errBody.error : null;
+    permission = typeof errBody?.permission === 'string' ? errBody.permission : null;
+  } catch {
+    try {
+      const txt = await res.text();
+      if (txt) message = `${message} — ${txt}`;
+    } catch {
+      /* ignore */
+    }
+  }
+  return new ApiError(message, res.status, code, permission);
+}
+
+/**
+ * Droit refusé par le serveur (403 PermissionDenied), ou null pour une autre erreur.
+ */
+export function deniedPermission(err: unknown): string | null {
+  return err instanceof ApiError && err.code === 'PermissionDenied' ? err.permission : null;
+}
+
+/**
+ * Construit l'URL complète d'un endpoint du backend.
+ */
+function apiUrl(endpoint: string, baseUrl = ''): string {
+  const defaultBaseUrl = typeof window !== 'undefined' ? window.backend?.baseUrl ?? '' : '';
+  return `${baseUrl || defaultBaseUrl}${endpoint}`;
+}
+
+/**
+ * En-tête d'authentification : secret de lancement fourni par le processus principal (preload.js).
+ */
+async function authHeaders(): Promise<Record<string, string>> {
+  const token = typeof window !== 'undefined' ? await window.backend?.getToken?.() : null;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Requête JSON vers le backend ; lève une Error avec le message du serveur en cas d'échec.
+ */
+async function requestJson<T>(endpoint: string, init: RequestInit = {}): Promise<T> {
+  const res = await fetch(apiUrl(endpoint), {
+    ...init,
+    headers: {
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+      ...(await authHeaders()),
+      ...init.headers,
+    },
+  });
+
+  if (!res.ok) {
+    throw await readError(res);
+  }
+  return (await res.json()) as T;
+}
+
 /**
  * Upload des fichiers vers le serveur.
  * @param files Fichiers à uploader (FormData)
@@ -33,30 +153,16 @@ export async function uploadFiles(
   files: FormData,
   baseUrl = '',
 ): Promise<UploadResponse> {
-  const defaultBaseUrl = typeof window !== 'undefined' ? window.backend?.baseUrl ?? '' : '';
-  const resolvedBaseUrl = baseUrl || defaultBaseUrl;
-  const endpoint = '/api/files';
-  const url = `${resolvedBaseUrl}${endpoint}`;
+  const url = apiUrl('/api/files', baseUrl);
 
   const res = await fetch(url, {
     method: 'POST',
+    headers: await authHeaders(),
     body: files, // No Content-Type header, let the browser set it with boundary
   });
 
   if (!res.ok) {
-    let message = `HTTP ${res.status}`;
-    try {
-      const errBody = await res.json();
-      if (errBody?.message) message = errBody.message;
-    } catch {
-      try {
-        const txt = await res.text();
-        if (txt) message = `${message} — ${txt}`;
-      } catch {
-        /* ignore */
-      }
-    }
-    throw new Error(message);
+    throw await readError(res);
   }
 
   const data = await res.json();
@@ -75,31 +181,16 @@ export async function chat(
   payload: ChatPayload,
   baseUrl = '',
 ): Promise<ChatResponse> {
-  const defaultBaseUrl = typeof window !== 'undefined' ? window.backend?.baseUrl ?? '' : '';
-  const resolvedBaseUrl = baseUrl || defaultBaseUrl;
-  const endpoint = '/api/chat';
-  const url = `${resolvedBaseUrl}${endpoint}`;
+  const url = apiUrl('/api/chat', baseUrl);
 
   const res = await fetch(url, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
     body: JSON.stringify(payload),
   });
 
   if (!res.ok) {
-    let message = `HTTP ${res.status}`;
-    try {
-      const errBody = await res.json();
-      if (errBody?.message) message = errBody.message;
-    } catch {
-      try {
-        const txt = await res.text();
-        if (txt) message = `${message} — ${txt}`;
-      } catch {
-        /* ignore */
-      }
-    }
-    throw new Error(message);
+    throw await readError(res);
   }
 
   const data = await res.json();
@@ -109,4 +200,254 @@ export async function chat(
   const limitReached = data?.limitReached ?? null;
 
   return { content, usage, cost, limitReached };
-}
\ No newline at end of file
+}
+
+/**
+ * Appelle l'endpoint Mistral en streaming (NDJSON).
+ * @param payload ChatPayload
+ * @param onDelta Appelé à chaque fragment de texte reçu
+ * @param signal Optionnel : interrompt la requête (la génération est annulée côté serveur)
+ * @param baseUrl Optionnel (ex: 'http://localhost:3000')
+ * @returns La réponse complète (contenu, usage et coût) en fin de flux
+ */
+export async function chatStream(
+  payload: ChatPayload,
+  onDelta: (delta: string) => void,
+  signal?: AbortSignal,
+  baseUrl = '',
+): Promise<ChatResponse> {
+  const url = apiUrl('/api/chat/stream', baseUrl);
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if (!res.ok) {
+    throw await readError(res);
+  }
+  if (!res.body) {
+    throw new Error('Réponse vide du serveur');
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let final: ChatResponse | null = null;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+    // Une ligne NDJSON = un événement ; la dernière ligne peut être incomplète
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop() ?? '';
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const event = JSON.parse(line) as ChatStreamEvent;
+
+      if (event.type === 'delta') {
+        onDelta(event.content);
+      } else if (event.type === 'error') {
+        throw new ApiError(event.message, res.status, event.error);
+      } else {
+        // Événement final : réponse complète (IDs enregistrés des messages…)
+        final = {
+          ...event,
+          content: typeof event.content === 'string' ? event.content : '',
+          usage: event.usage ?? null,
+          limitReached: event.limitReached ?? false,
+        };
+      }
+    }
+
+    if (done) break;
+  }
+
+  if (!final) {
+    throw new Error('Flux interrompu avant la fin de la réponse');
+  }
+  return final;
+}
+
+/**
+ * Estime le coût du payload avant son envoi (rien n'est enregistré côté serveur).
+ * @param payload ChatPayload qui serait envoyé, avec le nombre de pièces jointes pas encore extraites
+ * @param signal Optionnel : annule l'estimation devenue obsolète (saisie en cours)
+ */
+export async function estimateCost(
+  payload: ChatPayload & { pending_files?: number },
+  signal?: AbortSignal,
+): Promise<CostEstimate> {
+  return await requestJson('/api/chat/estimate', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+    signal,
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   MODÈLES                                   */
+/* -------------------------------------------------------------------------- */
+
+/** Modèles activés côté serveur, avec les droits de l'utilisateur et le modèle par défaut. */
+export async function listModels(): Promise<{ models: ModelInfo[]; default: string | null }> {
+  return await requestJson('/api/models');
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   FILTRE                                    */
+/* -------------------------------------------------------------------------- */
+
+/** Options du filtre de rédaction (longueur, format, domaine) et valeurs par défaut. */
+export async function getFiltreOptions(): Promise<FiltreOptions> {
+  return await requestJson('/api/filtres');
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    ADMIN                                    */
+/* -------------------------------------------------------------------------- */
+
+/** Utilisateurs, droits et consommation (réservé aux administrateurs). */
+export async function listAdminUsers(): Promise<AdminUserList> {
+  return await requestJson('/api/admin/users');
+}
+
+/** Modifie les droits et/ou le budget d'un utilisateur (réservé aux administrateurs). */
+export async function updateAdminUser(
+  userName: string,
+  changes: { rights?: Record<string, boolean>; maxCost?: number },
+): Promise<void> {
+  await requestJson(`/api/admin/users/${encodeURIComponent(userName)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+}
+
+/**
+ * Export CSV des avis sur les réponses (réservé aux administrateurs).
+ * @param filter Type d'avis (rating) et date de début AAAA-MM-JJ (since), facultatifs
+ */
+export async function exportFeedback(filter: { rating?: FeedbackRating; since?: string } = {}): Promise<Blob> {
+  const params = new URLSearchParams();
+  if (filter.rating) params.set('rating', filter.rating);
+  if (filter.since) params.set('since', filter.since);
+
+  const res = await fetch(apiUrl(`/api/admin/feedback/export?${params}`), { headers: await authHeaders() });
+  if (!res.ok) {
+    throw await readError(res);
+  }
+  return await res.blob();
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  TEMPLATES                                  */
+/* -------------------------------------------------------------------------- */
+
+/** Modèles personnels de l'utilisateur et modèles partagés du cabinet. */
+export async function listTemplates(): Promise<PromptTemplate[]> {
+  const data = await requestJson<{ templates: PromptTemplate[] }>('/api/templates');
+  return data.templates ?? [];
+}
+
+/** Crée un modèle (portée cabinet réservée aux administrateurs). */
+export async function createTemplate(template: PromptTemplateInput): Promise<PromptTemplate> {
+  const data = await requestJson<{ template: PromptTemplate }>('/api/templates', {
+    method: 'POST',
+    body: JSON.stringify(template),
+  });
+  return data.template;
+}
+
+/** Modifie un modèle (les champs absents sont conservés). */
+export async function updateTemplate(id: number, changes: Partial<PromptTemplateInput>): Promise<PromptTemplate> {
+  const data = await requestJson<{ template: PromptTemplate }>(`/api/templates/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+  return data.template;
+}
+
+/** Supprime un modèle. */
+export async function deleteTemplate(id: number): Promise<void> {
+  await requestJson(`/api/templates/${id}`, { method: 'DELETE' });
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                CONVERSATIONS                                */
+/* -------------------------------------------------------------------------- */
+
+/** Liste les conversations de l'utilisateur (la plus récente en premier). */
+export async function listConversations(): Promise<Conversation[]> {
+  const data = await requestJson<{ conversations: Conversation[] }>('/api/conversations');
+  return data.conversations ?? [];
+}
+
+/** Recherche dans les messages de toutes les conversations (insensible à la casse et aux accents). */
+export async function searchConversations(query: string, signal?: AbortSignal): Promise<SearchResult[]> {
+  const data = await requestJson<{ results: SearchResult[] }>(
+    `/api/conversations/search?q=${encodeURIComponent(query)}`,
+    { signal }
+  );
+  return data.results ?? [];
+}
+
+/** Crée une conversation vide. */
+export async function createConversation(title: string): Promise<Conversation> {
+  const data = await requestJson<{ conversation: Conversation }>('/api/conversations', {
+    method: 'POST',
+    body: JSON.stringify({ title }),
+  });
+  return data.conversation;
+}
+
+/** Charge une conversation et ses messages. */
+export async function getConversation(
+  id: number,
+): Promise<{ conversation: Conversation; messages: StoredMessage[] }> {
+  return await requestJson(`/api/conversations/${id}`);
+}
+
+/** Renomme une conversation. */
+export async function renameConversation(id: number, title: string): Promise<void> {
+  await requestJson(`/api/conversations/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ title }),
+  });
+}
+
+/** Supprime une conversation et ses messages. */
+export async function deleteConversation(id: number): Promise<void> {
+  await requestJson(`/api/conversations/${id}`, { method: 'DELETE' });
+}
+
+/** Documents conservés dans une conversation (texte extrait côté serveur). */
+export async function listConversationDocuments(id: number): Promise<ConversationDocument[]> {
+  const data = await requestJson<{ documents: ConversationDocument[] }>(`/api/conversations/${id}/documents`);
+  return data.documents;
+}
+
+/** Enregistre l'avis de l'utilisateur sur une réponse (remplace l'avis précédent). */
+export async function saveFeedback(
+  messageId: number,
+  feedback: { rating: FeedbackRating; comment: string | null },
+): Promise<MessageFeedback> {
+  const data = await requestJson<{ feedback: MessageFeedback }>(`/api/messages/${messageId}/feedback`, {
+    method: 'PUT',
+    body: JSON.stringify(feedback),
+  });
+  return data.feedback;
+}
+
+/** Retire l'avis de l'utilisateur sur une réponse. */
+export async function deleteFeedback(messageId: number): Promise<void> {
+  await requestJson(`/api/messages/${messageId}/feedback`, { method: 'DELETE' });
+}
+
+/** Retire un document d'une conversation : il ne sera plus utilisé pour les questions suivantes. */
+export async function deleteConversationDocument(id: number, documentId: number): Promise<void> {
+  await requestJson(`/api/conversations/${id}/documents/${documentId}`, { method: 'DELETE' });
+}
@@ -0,0 +1,210 @@
+// src/components/AdminView.tsx
+import { useEffect, useState } from 'react';
+import { exportFeedback, listAdminUsers, updateAdminUser } from '../api';
+import type { AdminUser, AdminUserList, FeedbackRating } from '../types';
+import './AdminView.css';
+
+type Props = {
+  /** Retour au chat */
+  onClose: () => void;
+};
+
+const numberFormatter = new Intl.NumberFormat('fr-FR');
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+/**
+ * Console d'administration : droits, budgets et consommation des utilisateurs.
+ * Chaque modification est enregistrée immédiatement (le serveur vérifie le flag isAdmin).
+ */
+export default function AdminView({ onClose }: Props) {
+  const [data, setData] = useState<AdminUserList | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [filter, setFilter] = useState('');
+
+  // Utilisateur en cours d'enregistrement et budgets en cours de saisie
+  const [savingUser, setSavingUser] = useState<string | null>(null);
+  const [budgetDrafts, setBudgetDrafts] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    listAdminUsers()
+      .then(setData)
+      .catch((err) => setError(errorMessage(err)));
+  }, []);
+
+  const applyChange = async (user: AdminUser, changes: { rights?: Record<string, boolean>; maxCost?: number }) => {
+    setSavingUser(user.user_name);
+    setError(null);
+    try {
+      await updateAdminUser(user.user_name, changes);
+      setData((prev) => prev && {
+        ...prev,
+        users: prev.users.map((u) =>
+          u.user_name === user.user_name
+            ? { ...u, rights: { ...u.rights, ...changes.rights }, maxCost: changes.maxCost ?? u.maxCost }
+            : u
+        ),
+      });
+    } catch (err) {
+      setError(`${user.user_name} : ${errorMessage(err)}`);
+    } finally {
+      setSavingUser(null);
+    }
+  };
+
+  const commitBudget = (user: AdminUser) => {
+    const draft = budgetDrafts[user.user_name];
+    if (draft === undefined) return;
+    setBudgetDrafts((prev) => {
+      const next = { ...prev };
+      delete next[user.user_name];
+      return next;
+    });
+
+    const maxCost = Number(draft.replace(',', '.'));
+    if (!Number.isFinite(maxCost) || maxCost < 0) {
+      setError(`${user.user_name} : le budget doit être un montant positif`);
+      return;
+    }
+    if (maxCost !== user.maxCost) applyChange(user, { maxCost });
+  };
+
+  const users = (data?.users ?? []).filter((u) =>
+    u.user_name.toLowerCase().includes(filter.trim().toLowerCase())
+  );
+
+  return (
+    <section className="admin">
+      <div className="admin-header">
+        <h2>Administration</h2>
+        {data && <span className="admin-period">Consommation : {data.period}</span>}
+        <input
+          className="admin-filter"
+          type="search"
+          placeholder="Rechercher un utilisateur…"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        <button className="admin-close" onClick={onClose}>
+          ← Retour au chat
+        </button>
+      </div>
+
+      <FeedbackExport onError={setError} />
+
+      {error && <div className="admin-error" role="alert">❌ {error}</div>}
+
+      {!data && !error && <div className="admin-empty">Chargement…</div>}
+
+      {data && (
+        <div className="admin-table-wrap">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Utilisateur</th>
+                {data.rights.map((r) => (
+                  <th key={r.key} className="admin-right">{r.label}</th>
+                ))}
+                <th>Budget ($)</th>
+                <th title={`Coût sur la période (${data.period})`}>Période ($)</th>
+                <th title="Requêtes sur la période">Requêtes</th>
+                <th title="Depuis la création du compte">Coût total ($)</th>
+                <th title="Depuis la création du compte">Tokens</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((u) => {
+                const saving = savingUser === u.user_name;
+                const overBudget = u.periodCost >= u.maxCost;
+                return (
+                  <tr key={u.user_name} className={saving ? 'saving' : undefined}>
+                    <td className="admin-user">{u.user_name}</td>
+                    {data.rights.map((r) => (
+                      <td key={r.key} className="admin-right">
+                        <input
+                          type="checkbox"
+                          checked={u.rights[r.key] ?? false}
+                          disabled={saving}
+                          onChange={(e) => applyChange(u, { rights: { [r.key]: e.target.checked } })}
+                          aria-label={`${r.label} — ${u.user_name}`}
+                        />
+                      </td>
+                    ))}
+                    <td>
+                      <input
+                        className="admin-budget"
+                        inputMode="decimal"
+                        value={budgetDrafts[u.user_name] ?? String(u.maxCost)}
+                        disabled={saving}
+                        onChange={(e) => setBudgetDrafts((prev) => ({ ...prev, [u.user_name]: e.target.value }))}
+                        onBlur={() => commitBudget(u)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') e.currentTarget.blur();
+                        }}
+                        aria-label={`Budget de ${u.user_name}`}
+                      />
+                    </td>
+                    <td className={overBudget ? 'admin-over-budget' : undefined}>{u.periodCost.toFixed(4)}</td>
+                    <td>{numberFormatter.format(u.periodRequests)}</td>
+                    <td>{u.totalCost.toFixed(4)}</td>
+                    <td>{numberFormatter.format(u.totalTokens)}</td>
+                  </tr>
+                );
+              })}
+              {users.length === 0 && (
+                <tr>
+                  <td className="admin-empty" colSpan={data.rights.length + 6}>Aucun utilisateur.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// Export CSV des avis sur les réponses pour la revue qualité (par défaut : avis négatifs)
+function FeedbackExport({ onError }: { onError: (message: string | null) => void }) {
+  const [rating, setRating] = useState<FeedbackRating | ''>('down');
+  const [since, setSince] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const download = async () => {
+    setExporting(true);
+    onError(null);
+    try {
+      const blob = await exportFeedback({ rating: rating || undefined, since: since || undefined });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `avis-reponses-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onError(`Export des avis : ${errorMessage(err)}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="admin-feedback">
+      <span className="admin-feedback-title">Avis sur les réponses</span>
+      <select value={rating} onChange={(e) => setRating(e.target.value as FeedbackRating | '')} aria-label="Type d'avis">
+        <option value="down">👎 Négatifs</option>
+        <option value="up">👍 Positifs</option>
+        <option value="">Tous</option>
+      </select>
+      <label>
+        depuis le{' '}
+        <input type="date" value={since} onChange={(e) => setSince(e.target.value)} />
+      </label>
+      <button className="admin-close" onClick={download} disabled={exporting}>
+        {exporting ? 'Export…' : '⬇ Exporter (CSV)'}
+      </button>
+    </div>
+  );
+}
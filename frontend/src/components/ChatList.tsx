@@ -1,8 +1,13 @@
 // src/components/ChatList.tsx
-import React from 'react';
+import React, { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import type { Message } from '../types';
+import type { FeedbackRating, Message, MessageFeedback, PseudonymizationReport, RetrievedChunk } from '../types';
+import type { BranchPosition } from '../services/branches';
+import { extractionLabel } from '../services/documents';
+import { openExternal } from '../services/links';
+import { MAX_FEEDBACK_COMMENT_LENGTH } from '../config';
+import Citations from './Citations';
 import './ChatList.css';
 
 type Props = {
@@ -10,22 +15,73 @@ type Props = {
   copiedIndex: number | null;
   onCopy: (text: string, idx: number) => void;
   endRef?: React.Ref<HTMLDivElement>;
+  /** Position du message parmi ses versions (null : version unique) */
+  branchOf: (msg: Message) => BranchPosition | null;
+  /** Affiche la version précédente (-1) ou suivante (1) du message */
+  onSwitchBranch: (msg: Message, step: -1 | 1) => void;
+  /** Envoie la question modifiée (nouvelle branche) */
+  onEdit: (idx: number, text: string) => void;
+  /** Demande une nouvelle réponse à la question précédente */
+  onRegenerate: (idx: number) => void;
+  /** Enregistre l'avis sur une réponse (null : avis retiré) */
+  onRate: (msg: Message, feedback: { rating: FeedbackRating; comment: string | null } | null) => void;
+  /** Message mis en évidence (ouvert depuis la recherche) */
+  highlightedId?: number | null;
+  /** Désactivation des actions (ex: pendant un envoi) */
+  disabled?: boolean;
 };
 
-export default function ChatList({ messages, copiedIndex, onCopy, endRef }: Props) {
+function pageRange(chunk: RetrievedChunk): string {
+  return chunk.page_start === chunk.page_end
+    ? `p. ${chunk.page_start}`
+    : `p. ${chunk.page_start}–${chunk.page_end}`;
+}
+
+/** Résumé par type des données masquées (ex: « IBAN ×1, Email ×2 ») */
+function maskedSummary(report: PseudonymizationReport): string {
+  const byLabel = new Map<string, number>();
+  for (const e of report.entities) byLabel.set(e.label, (byLabel.get(e.label) ?? 0) + e.occurrences);
+  return [...byLabel].map(([label, n]) => `${label} ×${n}`).join(', ');
+}
+
+export default function ChatList({
+  messages,
+  copiedIndex,
+  onCopy,
+  endRef,
+  branchOf,
+  onSwitchBranch,
+  onEdit,
+  onRegenerate,
+  onRate,
+  highlightedId = null,
+  disabled = false,
+}: Props) {
+  // Question en cours de modification
+  const [editingIdx, setEditingIdx] = useState<number | null>(null);
+  // Commentaire d'avis en cours de saisie
+  const [commenting, setCommenting] = useState<{ idx: number; rating: FeedbackRating } | null>(null);
+
   return (
     <div className="chat-area">
       {messages.map((msg, idx) => (
         <div
           key={idx}
+          id={msg.id != null ? `message-${msg.id}` : undefined}
+          className={msg.id != null && msg.id === highlightedId ? 'message-focus' : undefined}
           style={{
             display: 'flex',
             flexDirection: 'column',
             alignItems: msg.sender === 'assistant' ? 'flex-start' : 'flex-end',
           }}
         >
-          <div className={`bubble ${msg.sender}`}>
-            {msg.sender === 'assistant' ? (
+          <div className={`bubble ${msg.sender}${msg.streaming ? ' streaming' : ''}`}>
+            {msg.sender === 'assistant' && msg.streaming && !msg.text ? (
+              // Réponse en attente du premier fragment
+              <span className="typing" aria-label="Réponse en cours…">
+                <span /><span /><span />
+              </span>
+            ) : msg.sender === 'assistant' ? (
               <ReactMarkdown
                 remarkPlugins={[remarkGfm]}
                 components={{
@@ -33,12 +89,7 @@ export default function ChatList({ messages, copiedIndex, onCopy, endRef }: Prop
                     const safeHref = typeof href === 'string' ? href : '';
                     const onClick = (e: React.MouseEvent<HTMLAnchorElement>) => {
                       e.preventDefault();
-                      if (!safeHref) return;
-                      if (window.externalLinks?.open) {
-                        window.externalLinks.open(safeHref);
-                      } else {
-                        window.open(safeHref, '_blank', 'noopener,noreferrer');
-                      }
+                      openExternal(safeHref);
                     };
 
                     return (
@@ -51,13 +102,58 @@ export default function ChatList({ messages, copiedIndex, onCopy, endRef }: Prop
               >
                 {msg.text}
               </ReactMarkdown>
+            ) : editingIdx === idx ? (
+              <QuestionEditor
+                initial={msg.text}
+                onSubmit={(text) => {
+                  setEditingIdx(null);
+                  onEdit(idx, text);
+                }}
+                onCancel={() => setEditingIdx(null)}
+              />
             ) : (
               // Texte utilisateur SANS conversion Markdown
               <span className="user-plain">{msg.text}</span>
             )}
           </div>
 
-          {msg.sender === 'assistant' && (
+          {/* Modification : seules les questions enregistrées dont on connaît le parent */}
+          {msg.sender === 'user' && editingIdx !== idx && msg.id != null && msg.parent_id !== undefined && (
+            <div className="bubble-tools">
+              <BranchNav position={branchOf(msg)} onStep={(step) => onSwitchBranch(msg, step)} disabled={disabled} />
+              <button
+                className="copy-btn"
+                onClick={() => setEditingIdx(idx)}
+                disabled={disabled}
+                title="Modifier la question et relancer la réponse (la version actuelle reste accessible)"
+              >
+                ✏️ Modifier
+              </button>
+            </div>
+          )}
+
+          {msg.sender === 'user' && msg.documents && msg.documents.length > 0 && (
+            <div className="bubble-documents">
+              {msg.documents.map((doc) => {
+                const { label, title } = extractionLabel(doc.extraction);
+                return (
+                  <span
+                    key={doc.file_id}
+                    className={`document-chip ${doc.extraction?.method ?? ''}`}
+                    title={title}
+                  >
+                    <span className="document-name">{doc.name}</span>
+                    <span className="document-extraction">{label}</span>
+                  </span>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Références citées en fin de réponse */}
+          {msg.sender === 'assistant' && !msg.streaming && !msg.notice && <Citations text={msg.text} />}
+
+          {msg.sender === 'assistant' && !msg.streaming && (
             <div className="bubble-tools">
               <button
                 className="copy-btn"
@@ -66,12 +162,89 @@ export default function ChatList({ messages, copiedIndex, onCopy, endRef }: Prop
               >
                 {copiedIndex === idx ? '✓ Copié' : 'Copier'}
               </button>
+              {!msg.notice && messages[idx - 1]?.sender === 'user' && messages[idx - 1]?.id != null && (
+                <button
+                  className="copy-btn"
+                  onClick={() => onRegenerate(idx)}
+                  disabled={disabled}
+                  title="Générer une autre réponse (la réponse actuelle reste accessible)"
+                >
+                  ↻ Régénérer
+                </button>
+              )}
+              <BranchNav position={branchOf(msg)} onStep={(step) => onSwitchBranch(msg, step)} disabled={disabled} />
+              {!msg.notice && msg.id != null && (
+                <FeedbackButtons
+                  feedback={msg.feedback ?? null}
+                  onRate={(rating) => {
+                    // Même avis : retiré ; sinon enregistré, avec un commentaire facultatif
+                    if (msg.feedback?.rating === rating) {
+                      setCommenting(null);
+                      onRate(msg, null);
+                      return;
+                    }
+                    onRate(msg, { rating, comment: msg.feedback?.comment ?? null });
+                    setCommenting({ idx, rating });
+                  }}
+                  onComment={() => msg.feedback && setCommenting({ idx, rating: msg.feedback.rating })}
+                />
+              )}
+              {msg.stopped && (
+                <span className="stopped-tag" title="Génération interrompue par l'utilisateur">
+                  ⏹ Interrompue
+                </span>
+              )}
+              {msg.failover && (
+                <span
+                  className="failover-tag"
+                  title={`${msg.failover.from} indisponible (${msg.failover.reason}) : la réponse a été générée par ${msg.model}`}
+                >
+                  ↪ Répondu par {msg.model}
+                </span>
+              )}
+              {msg.pseudonymization && msg.pseudonymization.total > 0 && (
+                <span
+                  className="masked-tag"
+                  title={`Remplacées par des marqueurs avant l'envoi au fournisseur, puis restituées : ${maskedSummary(msg.pseudonymization)}`}
+                >
+                  🛡 {msg.pseudonymization.total} donnée{msg.pseudonymization.total > 1 ? 's' : ''} masquée{msg.pseudonymization.total > 1 ? 's' : ''}
+                </span>
+              )}
+              {msg.retrieval && msg.retrieval.length > 0 && (
+                <details className="retrieval">
+                  <summary title="Passages des documents transmis au modèle pour cette réponse">
+                    📑 {msg.retrieval.length} extrait{msg.retrieval.length > 1 ? 's' : ''} utilisé{msg.retrieval.length > 1 ? 's' : ''}
+                  </summary>
+                  <ul>
+                    {msg.retrieval.map((chunk) => (
+                      <li key={`${chunk.file_id}:${chunk.chunk}`}>
+                        <span className="retrieval-name">{chunk.name}</span>
+                        {' · '}extrait {chunk.chunk + 1}/{chunk.chunks_total}
+                        {' · '}{pageRange(chunk)}
+                        {' · '}car. {chunk.start}–{chunk.end}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
               <span className="debug-tokens" title="Tokens utilisés pour générer cette réponse">
                 {/*• {msg.tokens} tokens • ~ {msg.cost != null ? msg.cost : "_"} $*/}
                 {msg.cost != null ? "~ " + msg.cost + " $" : ""}
               </span>
             </div>
           )}
+
+          {commenting?.idx === idx && (
+            <FeedbackComment
+              initial={msg.feedback?.comment ?? ''}
+              rating={commenting.rating}
+              onSubmit={(comment) => {
+                setCommenting(null);
+                onRate(msg, { rating: commenting.rating, comment });
+              }}
+              onCancel={() => setCommenting(null)}
+            />
+          )}
         </div>
       ))}
 
@@ -79,4 +252,138 @@ export default function ChatList({ messages, copiedIndex, onCopy, endRef }: Prop
       <div ref={endRef} />
     </div>
   );
-}
\ No newline at end of file
+}
+
+type BranchNavProps = {
+  position: BranchPosition | null;
+  onStep: (step: -1 | 1) => void;
+  disabled: boolean;
+};
+
+// Navigation entre les versions d'un message : ‹ 2/3 ›
+function BranchNav({ position, onStep, disabled }: BranchNavProps) {
+  if (!position) return null;
+  const { index, count } = position;
+  return (
+    <span className="branch-nav" aria-label={`Version ${index + 1} sur ${count}`}>
+      <button onClick={() => onStep(-1)} disabled={disabled || index === 0} title="Version précédente">
+        ‹
+      </button>
+      {index + 1}/{count}
+      <button onClick={() => onStep(1)} disabled={disabled || index === count - 1} title="Version suivante">
+        ›
+      </button>
+    </span>
+  );
+}
+
+type QuestionEditorProps = {
+  initial: string;
+  onSubmit: (text: string) => void;
+  onCancel: () => void;
+};
+
+// Modification d'une question dans sa bulle (Ctrl+Entrée : envoyer, Échap : annuler)
+function QuestionEditor({ initial, onSubmit, onCancel }: QuestionEditorProps) {
+  const [text, setText] = useState(initial);
+  const changed = text.trim().length > 0 && text !== initial;
+
+  const onKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key === 'Escape') onCancel();
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && changed) onSubmit(text);
+  };
+
+  return (
+    <div className="question-editor">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={onKeyDown}
+        rows={Math.min(10, text.split('\n').length + 1)}
+        aria-label="Question modifiée"
+        autoFocus
+      />
+      <div className="question-editor-actions">
+        <button className="copy-btn" onClick={onCancel}>Annuler</button>
+        <button className="copy-btn" onClick={() => onSubmit(text)} disabled={!changed}>Envoyer</button>
+      </div>
+    </div>
+  );
+}
+
+type FeedbackButtonsProps = {
+  feedback: MessageFeedback | null;
+  onRate: (rating: FeedbackRating) => void;
+  onComment: () => void;
+};
+
+// Avis sur une réponse : 👍 / 👎 (un second clic retire l'avis) et commentaire
+function FeedbackButtons({ feedback, onRate, onComment }: FeedbackButtonsProps) {
+  const button = (rating: FeedbackRating, icon: string, title: string) => (
+    <button
+      className={`copy-btn feedback-btn${feedback?.rating === rating ? ' active' : ''}`}
+      onClick={() => onRate(rating)}
+      aria-pressed={feedback?.rating === rating}
+      title={feedback?.rating === rating ? 'Retirer votre avis' : title}
+    >
+      {icon}
+    </button>
+  );
+
+  return (
+    <span className="feedback-buttons">
+      {button('up', '👍', 'Réponse utile')}
+      {button('down', '👎', 'Réponse incorrecte ou incomplète')}
+      {feedback && (
+        <button
+          className="copy-btn feedback-btn"
+          onClick={onComment}
+          title={feedback.comment ? `Votre commentaire : ${feedback.comment}` : 'Ajouter un commentaire à votre avis'}
+        >
+          💬{feedback.comment ? '' : ' Commenter'}
+        </button>
+      )}
+    </span>
+  );
+}
+
+type FeedbackCommentProps = {
+  initial: string;
+  rating: FeedbackRating;
+  onSubmit: (comment: string | null) => void;
+  onCancel: () => void;
+};
+
+// Commentaire facultatif accompagnant un avis (Ctrl+Entrée : enregistrer, Échap : fermer)
+function FeedbackComment({ initial, rating, onSubmit, onCancel }: FeedbackCommentProps) {
+  const [text, setText] = useState(initial);
+  const submit = () => onSubmit(text.trim() || null);
+
+  const onKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key === 'Escape') onCancel();
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit();
+  };
+
+  return (
+    <div className="question-editor feedback-comment">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={onKeyDown}
+        rows={3}
+        maxLength={MAX_FEEDBACK_COMMENT_LENGTH}
+        placeholder={
+          rating === 'down'
+            ? 'Qu\'est-ce qui ne va pas ? (référence erronée, réponse incomplète…) — facultatif'
+            : 'Commentaire (facultatif)'
+        }
+        aria-label="Commentaire sur la réponse"
+        autoFocus
+      />
+      <div className="question-editor-actions">
+        <button className="copy-btn" onClick={onCancel}>Fermer</button>
+        <button className="copy-btn" onClick={submit}>Enregistrer</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+// src/components/Citations.tsx
+import { useMemo } from 'react';
+import { parseCitations, type Citation, type CitationKind } from '../services/citations';
+import { openExternal } from '../services/links';
+import './Citations.css';
+
+const KIND_ICONS: Record<CitationKind, string> = {
+  code: '§',
+  bofip: '📘',
+  jurisprudence: '⚖️',
+  other: '📄',
+};
+
+function chipTitle(citation: Citation): string {
+  const lines = [citation.text];
+  if (citation.warning) lines.push(`⚠️ ${citation.warning} : vérifier la référence`);
+  if (citation.url) lines.push('Cliquer pour rechercher la référence');
+  return lines.join('\n');
+}
+
+/**
+ * Références de la section « Sources utilisées » d'une réponse, sous forme de puces
+ * ouvrant la recherche correspondante (Légifrance, BOFiP). Les références non reconnues
+ * ou suspectes sont signalées.
+ */
+export default function Citations({ text }: { text: string }) {
+  const citations = useMemo(() => parseCitations(text), [text]);
+  if (citations.length === 0) return null;
+
+  return (
+    <div className="bubble-citations" aria-label="Sources citées">
+      {citations.map((citation) => {
+        const className = `citation-chip ${citation.kind}${citation.warning ? ' suspicious' : ''}`;
+        const content = (
+          <>
+            <span className="citation-icon" aria-hidden="true">{KIND_ICONS[citation.kind]}</span>
+            <span className="citation-label">{citation.label}</span>
+            {citation.warning && <span className="citation-warning" aria-label={citation.warning}>⚠️</span>}
+          </>
+        );
+
+        return citation.url ? (
+          <button
+            key={citation.label}
+            type="button"
+            className={className}
+            title={chipTitle(citation)}
+            onClick={() => openExternal(citation.url ?? '')}
+          >
+            {content}
+          </button>
+        ) : (
+          <span key={citation.label} className={className} title={chipTitle(citation)}>
+            {content}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 // src/components/Composer.tsx
 import React from 'react';
-import type { FileTokenAttachment } from '../types';
+import type { Attachment, AttachmentStatus, CostEstimate } from '../types';
 import './Composer.css';
 
 type Props = {
@@ -8,13 +8,23 @@ type Props = {
   setInput: (v: string) => void;
   loading: boolean;
   onSend: () => void;
+  onStop: () => void;
 
-  // pièces jointes
-  attachments: FileTokenAttachment[];
-  selectedIdx: number;
-  setSelectedIdx: (i: number) => void;
+  // pièces jointes (envoyées et extraites dès leur ajout)
+  attachments: Attachment[];
   onAttachClick: () => void;
-  onRemoveSelected: () => void;
+  onRetryAttachment: (token: string) => void;
+  onRemoveAttachment: (token: string) => void;
+  onPasteFiles: (files: File[]) => void;
+
+  // Modèles de requêtes
+  templatesOpen: boolean;
+  onToggleTemplates: () => void;
+
+  // Estimation du coût du message en cours de saisie (envoi bloqué pendant le calcul ou si le budget serait dépassé)
+  estimate: CostEstimate | null;
+  estimateFailed: boolean;
+  onRetryEstimate: () => void;
 
   // Permission
   flags: {
@@ -29,13 +39,37 @@ export default function Composer({
   setInput,
   loading,
   onSend,
+  onStop,
   attachments,
-  selectedIdx,
-  setSelectedIdx,
   onAttachClick,
-  onRemoveSelected,
+  onRetryAttachment,
+  onRemoveAttachment,
+  onPasteFiles,
+  templatesOpen,
+  onToggleTemplates,
+  estimate,
+  estimateFailed,
+  onRetryEstimate,
   flags,
 }: Props) {
+  // Estimation en cours : l'envoi attend (en échec, le backend refait la vérification)
+  const estimatePending = estimate == null && !estimateFailed;
+  const overBudget = estimate != null && !estimate.allowed;
+
+  // La question attend les pièces jointes en cours ; celles en échec sont à renvoyer ou à retirer
+  const attachmentsPending = attachments.some((a) => a.status === 'uploading' || a.status === 'extracting');
+  const attachmentsFailed = attachments.some((a) => a.status === 'failed');
+  const sendBlocked = estimatePending || overBudget || attachmentsPending || attachmentsFailed;
+  const sendTitle = estimatePending
+    ? 'Estimation du coût en cours…'
+    : overBudget
+      ? 'Le coût estimé dépasse votre budget restant'
+      : attachmentsPending
+        ? 'Envoi des pièces jointes en cours…'
+        : attachmentsFailed
+          ? 'Renvoyez ou retirez les pièces jointes en échec'
+          : undefined;
+
   const onKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
     // éviter les conflits IME
     if ('isComposing' in e && (e as any).isComposing) return;
@@ -43,10 +77,19 @@ export default function Composer({
 
     if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
       e.preventDefault();
-      if (!loading) onSend();
+      if (!loading && !sendBlocked) onSend();
     }
   };
 
+  // Capture d'écran ou fichier collé : joint au message (un texte collé reste un collage normal)
+  const onPaste = (e: React.ClipboardEvent<HTMLTextAreaElement>) => {
+    if (!flags.canImportFiles || e.clipboardData.types.includes('text/plain')) return;
+    const files = Array.from(e.clipboardData.files);
+    if (files.length === 0) return;
+    e.preventDefault();
+    onPasteFiles(files);
+  };
+
   const onInput = (e: React.ChangeEvent<HTMLTextAreaElement>) => {
     const el = e.target;
     el.style.height = 'auto';
@@ -63,58 +106,133 @@ export default function Composer({
           value={input}
           onChange={onInput}
           onKeyDown={onKeyDown}
+          onPaste={onPaste}
           disabled={loading}
         />
 
+        {attachments.length > 0 && (
+          <ul className="attachments-list" aria-live="polite">
+            {attachments.map((f) => (
+              <AttachmentItem
+                key={f.token}
+                attachment={f}
+                disabled={loading}
+                onRetry={() => onRetryAttachment(f.token)}
+                onRemove={() => onRemoveAttachment(f.token)}
+              />
+            ))}
+          </ul>
+        )}
+
         <div className="composer-actions">
-          {/* Actions gauche : pièces jointes */}
+          {/* Actions gauche : modèles de requêtes, pièces jointes */}
           <div className="actions-left">
 
+            <button
+              className={`attachments-btn${templatesOpen ? ' active' : ''}`}
+              onClick={onToggleTemplates}
+              disabled={loading}
+              aria-label="Modèles de requêtes"
+              aria-pressed={templatesOpen}
+              title="Modèles de requêtes"
+            >
+              📋
+            </button>
+
             {flags.canImportFiles &&
-              <button className="attachments-btn" onClick={onAttachClick} disabled={loading} aria-label="Joindre des PDF">
+              <button className="attachments-btn" onClick={onAttachClick} disabled={loading} aria-label="Joindre des documents" title="Joindre des documents (ou les glisser sur la conversation)">
                 📎
               </button>
             }
-
-            <div className="attachments-select-wrap" aria-live="polite">
-              {attachments.length > 0 ? (
-                <>
-                  <select
-                    className="attachments-select"
-                    value={String(selectedIdx)}
-                    onChange={(e) => setSelectedIdx(Number(e.target.value))}
-                    title={`${attachments.length} fichier(s) joint(s)`}
-                    disabled={loading}
-                  >
-                    {attachments.map((f, i) => (
-                      <option key={`${f.name}:${f.size}:${i}`} value={String(i)}>
-                        {f.name} — {Math.round(f.size / 1024)} Ko
-                      </option>
-                    ))}
-                  </select>
-
-                  <button className="icon-btn" onClick={onRemoveSelected} disabled={loading} aria-label="Retirer la pièce jointe sélectionnée">
-                    ×
-                  </button>
-                </>
-              ) : (
-                <span className="attachments-spacer" aria-hidden="true" />
-              )}
-            </div>
           </div>
 
-          {/* Centre (optionnel) */}
-          <div className="actions-center" />
+          {/* Centre : coût estimé du message */}
+          <div className="actions-center">
+            {estimateFailed && !loading && (
+              <span className="cost-estimate estimate-failed">
+                Estimation indisponible
+                <button className="attachment-action" onClick={onRetryEstimate} aria-label="Relancer l'estimation du coût" title="Réessayer">
+                  ↻
+                </button>
+              </span>
+            )}
+            {estimate && !loading && (
+              <span
+                className={`cost-estimate${overBudget ? ' over-budget' : ''}`}
+                title={
+                  `${estimate.prompt_tokens} tokens envoyés + ${estimate.completion_tokens} tokens de réponse au plus (${estimate.model})\n` +
+                  `Budget (${estimate.period}) : ${estimate.spent.toFixed(4)} $ utilisés sur ${estimate.limit} $`
+                }
+              >
+                {overBudget
+                  ? `Budget dépassé : ≤ ${estimate.cost.toFixed(4)} $ pour ${estimate.remaining.toFixed(4)} $ restants`
+                  : `≤ ${estimate.cost.toFixed(4)} $`}
+              </span>
+            )}
+          </div>
 
-          {/* Actions droite : envoyer */}
+          {/* Actions droite : envoyer / interrompre */}
           <div className="actions-right">
-            <button className="icon-btn send" onClick={onSend} disabled={loading || !input.trim()} aria-label="Envoyer">
-              ➤
-            </button>
             {loading && <span className="spinner" aria-label="Chargement…" />}
+            {loading ? (
+              <button className="icon-btn stop" onClick={onStop} aria-label="Interrompre la génération" title="Interrompre la génération">
+                ■
+              </button>
+            ) : (
+              <button
+                className="icon-btn send"
+                onClick={onSend}
+                disabled={!input.trim() || sendBlocked}
+                aria-label="Envoyer"
+                title={sendTitle}
+              >
+                ➤
+              </button>
+            )}
           </div>
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+const STATUS_LABELS: Record<AttachmentStatus, string> = {
+  uploading: 'Envoi',
+  extracting: 'Extraction…',
+  ready: 'Prêt',
+  failed: 'Échec',
+};
+
+// Pièce jointe : état, progression de l'envoi, nouvel essai en cas d'échec
+function AttachmentItem({
+  attachment,
+  disabled,
+  onRetry,
+  onRemove,
+}: {
+  attachment: Attachment;
+  disabled: boolean;
+  onRetry: () => void;
+  onRemove: () => void;
+}) {
+  const { name, size, status, progress, error } = attachment;
+
+  return (
+    <li className={`attachment-item ${status}`} title={error ?? `${name} — ${Math.round(size / 1024)} Ko`}>
+      <span className="attachment-name">{name}</span>
+      {status === 'uploading' ? (
+        <progress className="attachment-progress" value={progress} max={100} aria-label={`Envoi de ${name}`} />
+      ) : (
+        <span className="attachment-status">{STATUS_LABELS[status]}</span>
+      )}
+      {status === 'failed' && (
+        <button className="attachment-action" onClick={onRetry} disabled={disabled} aria-label={`Renvoyer ${name}`} title="Réessayer">
+          ↻
+        </button>
+      )}
+      <button className="attachment-action" onClick={onRemove} disabled={disabled} aria-label={`Retirer ${name}`} title="Retirer">
+        ×
+      </button>
+    </li>
+  );
+}
@@ -0,0 +1,51 @@
+// src/components/ConversationDocuments.tsx
+import type { ConversationDocument } from '../types';
+import { extractionLabel } from '../services/documents';
+import './ConversationDocuments.css';
+
+type Props = {
+  documents: ConversationDocument[];
+  onRemove: (id: number) => void;
+  /** Désactivation (ex: pendant un envoi) */
+  disabled?: boolean;
+};
+
+/**
+ * Documents conservés dans la conversation : ils restent disponibles
+ * pour les questions suivantes tant qu'ils ne sont pas retirés.
+ */
+export default function ConversationDocuments({ documents, onRemove, disabled = false }: Props) {
+  if (documents.length === 0) return null;
+
+  const confirmRemove = (doc: ConversationDocument) => {
+    if (window.confirm(`Retirer « ${doc.name} » de la conversation ?`)) onRemove(doc.id);
+  };
+
+  return (
+    <div className="conversation-documents">
+      <span className="conversation-documents-title">
+        Documents de la conversation ({documents.length})
+      </span>
+      <ul className="conversation-documents-list">
+        {documents.map((doc) => {
+          const { label, title } = extractionLabel(doc.extraction);
+          return (
+            <li key={doc.id} className="conversation-document" title={title}>
+              <span className="conversation-document-name">{doc.name}</span>
+              <span className="conversation-document-extraction">{label}</span>
+              <button
+                className="conversation-document-remove"
+                onClick={() => confirmRemove(doc)}
+                disabled={disabled}
+                aria-label={`Retirer ${doc.name}`}
+                title="Retirer de la conversation"
+              >
+                ✕
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+// src/components/ConversationList.tsx
+import { useState, type ReactNode } from 'react';
+import { useConversationSearch } from '../hooks/useConversationSearch';
+import type { Conversation, SearchResult } from '../types';
+import './ConversationList.css';
+
+type Props = {
+  conversations: Conversation[];
+  activeId: number | null;
+  onSelect: (id: number) => void;
+  /** Ouvre la conversation d'un résultat de recherche sur le message trouvé */
+  onOpenResult: (conversationId: number, messageId: number) => void;
+  onNew: () => void;
+  onRename: (id: number, title: string) => void;
+  onDelete: (id: number) => void;
+  /** Désactivation (ex: pendant un envoi) */
+  disabled?: boolean;
+};
+
+const dateFormatter = new Intl.DateTimeFormat('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+export default function ConversationList({
+  conversations,
+  activeId,
+  onSelect,
+  onOpenResult,
+  onNew,
+  onRename,
+  onDelete,
+  disabled = false,
+}: Props) {
+  // Conversation en cours de renommage (édition inline)
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [draft, setDraft] = useState('');
+
+  // Recherche dans les messages : les résultats remplacent la liste tant qu'une requête est saisie
+  const [query, setQuery] = useState('');
+  const search = useConversationSearch(query);
+
+  const startRename = (c: Conversation) => {
+    setEditingId(c.id);
+    setDraft(c.title);
+  };
+
+  const commitRename = () => {
+    if (editingId == null) return;
+    const title = draft.trim();
+    const current = conversations.find((c) => c.id === editingId);
+    if (title && title !== current?.title) onRename(editingId, title);
+    setEditingId(null);
+  };
+
+  const confirmDelete = (c: Conversation) => {
+    if (window.confirm(`Supprimer la conversation « ${c.title} » ?`)) onDelete(c.id);
+  };
+
+  return (
+    <aside className="conversations">
+      <button className="conversations-new" onClick={onNew} disabled={disabled}>
+        + Nouvelle conversation
+      </button>
+
+      <input
+        type="search"
+        className="conversations-search"
+        placeholder="Rechercher dans les messages…"
+        value={query}
+        maxLength={200}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setQuery('');
+        }}
+        aria-label="Rechercher dans les conversations"
+      />
+
+      {query.trim() ? (
+        <ul className="conversations-list search-results" aria-busy={search.searching}>
+          {search.results?.map((r) => (
+            <li key={r.message_id}>
+              <button
+                className="search-result"
+                onClick={() => onOpenResult(r.conversation_id, r.message_id)}
+                disabled={disabled}
+                title={r.conversation_title}
+              >
+                <span className="conversation-title">{r.conversation_title}</span>
+                <span className="search-snippet">
+                  {r.sender === 'user' ? 'Vous : ' : ''}
+                  <Highlighted result={r} />
+                </span>
+                <span className="conversation-date">{dateFormatter.format(new Date(r.created_at))}</span>
+              </button>
+            </li>
+          ))}
+
+          {search.error && <li className="conversations-empty">❌ {search.error}</li>}
+          {!search.error && search.results?.length === 0 && !search.searching && (
+            <li className="conversations-empty">Aucun message trouvé.</li>
+          )}
+          {search.searching && !search.results && <li className="conversations-empty">Recherche…</li>}
+        </ul>
+      ) : (
+        <ul className="conversations-list">
+          {conversations.map((c) => (
+            <li key={c.id} className={`conversation-item${c.id === activeId ? ' active' : ''}`}>
+              {editingId === c.id ? (
+                <input
+                  className="conversation-rename"
+                  value={draft}
+                  autoFocus
+                  maxLength={200}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  aria-label="Nouveau titre de la conversation"
+                />
+              ) : (
+                <button
+                  className="conversation-open"
+                  onClick={() => onSelect(c.id)}
+                  disabled={disabled}
+                  title={c.title}
+                >
+                  <span className="conversation-title">{c.title}</span>
+                  <span className="conversation-date">{dateFormatter.format(new Date(c.updated_at))}</span>
+                </button>
+              )}
+
+              <div className="conversation-actions">
+                <button
+                  className="conversation-action"
+                  onClick={() => startRename(c)}
+                  disabled={disabled}
+                  aria-label="Renommer la conversation"
+                  title="Renommer"
+                >
+                  ✎
+                </button>
+                <button
+                  className="conversation-action"
+                  onClick={() => confirmDelete(c)}
+                  disabled={disabled}
+                  aria-label="Supprimer la conversation"
+                  title="Supprimer"
+                >
+                  🗑
+                </button>
+              </div>
+            </li>
+          ))}
+
+          {conversations.length === 0 && (
+            <li className="conversations-empty">Aucune conversation enregistrée.</li>
+          )}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+// Extrait d'un résultat, occurrences des termes surlignées
+function Highlighted({ result }: { result: SearchResult }) {
+  const { snippet, highlights } = result;
+  const parts: ReactNode[] = [];
+  let pos = 0;
+  for (const [start, end] of highlights) {
+    if (start > pos) parts.push(snippet.slice(pos, start));
+    parts.push(<mark key={start}>{snippet.slice(start, end)}</mark>);
+    pos = end;
+  }
+  parts.push(snippet.slice(pos));
+  return <>{parts}</>;
+}
@@ -1,98 +1,104 @@
 // src/components/Filtre.tsx
-import React, { useEffect, useId, useState } from 'react';
-import type { FiltreContext } from '../types';
+import { useId } from 'react';
+import { useFiltrePresets } from '../hooks/useFiltrePresets';
+import { reconcileFiltre, sameFiltre } from '../services/filtre';
+import type { FiltreContext, FiltreOptions } from '../types';
 import './Filtre.css';
 
 type Props = {
-  /** Callback déclenché à chaque changement (sélecteurs ou champ de saisie) */
-  onChange?: (ctx: FiltreContext) => void;
+  /** Valeur courante (composant contrôlé : un modèle de requête peut la prédéfinir) */
+  value: FiltreContext;
+  /** Callback déclenché à chaque changement (sélecteurs, préréglage ou champ de saisie) */
+  onChange: (ctx: FiltreContext) => void;
+  /** Options configurées côté serveur (null tant qu'elles ne sont pas chargées) */
+  options: FiltreOptions | null;
   /** Désactivation (ex: pendant un envoi) */
   disabled?: boolean;
 };
 
-const DEFAULTS: FiltreContext = {
-  longueur: 'court',
-  format: 'synthèse',
-  domaine: 'comptable',
-  contexte: '',
-};
-
-export default function Filtre({ onChange, disabled = false }: Props) {
-  // ÉTAT INTERNE UNIQUEMENT (composant non contrôlé)
-  const [state, setState] = useState<FiltreContext>(DEFAULTS);
+export default function Filtre({ value: state, onChange, options, disabled = false }: Props) {
+  const { presets, savePreset, deletePreset } = useFiltrePresets();
 
-  // Notifie le parent au premier rendu pour qu'il dispose d'une valeur initiale
-  useEffect(() => {
-    onChange?.(state);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
-  const longueurId = useId();
-  const formatId = useId();
-  const domaineId = useId();
+  const presetId = useId();
   const contexteId = useId();
 
   const setPart = <K extends keyof FiltreContext>(key: K, v: FiltreContext[K]) => {
-    const next = { ...state, [key]: v };
-    setState(next);
-    onChange?.(next);
+    onChange({ ...state, [key]: v });
+  };
+
+  // Préréglage correspondant exactement aux réglages courants
+  const activePreset = presets.find((p) => sameFiltre(p.filtre, state))?.name ?? '';
+
+  const applyPreset = (name: string) => {
+    const preset = presets.find((p) => p.name === name);
+    if (preset) onChange(reconcileFiltre(preset.filtre, options));
+  };
+
+  const promptSavePreset = () => {
+    const name = window.prompt('Nom du préréglage :', activePreset)?.trim();
+    if (name) savePreset(name, state);
+  };
+
+  const confirmDeletePreset = () => {
+    if (activePreset && window.confirm(`Supprimer le préréglage « ${activePreset} » ?`)) deletePreset(activePreset);
   };
 
   return (
     <div className="filtre-wrap">
-        <div className="filtre"> 
-        {/* Longueur */}
-        <label htmlFor={longueurId} className="filtre-field">
-            <span className="filtre-label">Longueur</span>
+        <div className="filtre">
+        {/* Préréglages enregistrés */}
+        <label htmlFor={presetId} className="filtre-field">
+            <span className="filtre-label">Préréglage</span>
+            <div className="filtre-input-wrap">
             <select
-            id={longueurId}
+            id={presetId}
             className="filtre-select"
-            value={state.longueur}
-            onChange={(e) => setPart('longueur', e.target.value as FiltreContext['longueur'])}
-            disabled={disabled}
-            aria-label="Longueur attendue"
-            title="Longueur attendue du rendu"
+            value={activePreset}
+            onChange={(e) => applyPreset(e.target.value)}
+            disabled={disabled || presets.length === 0}
+            aria-label="Préréglage du filtre"
+            title="Appliquer une combinaison de réglages enregistrée"
             >
-            <option value="court">Court</option>
-            <option value="long">Long</option>
+            <option value="">{presets.length === 0 ? 'Aucun' : '—'}</option>
+            {presets.map((p) => (
+                <option key={p.name} value={p.name}>{p.name}</option>
+            ))}
             </select>
-        </label>
-
-        {/* Format */}
-        <label htmlFor={formatId} className="filtre-field">
-            <span className="filtre-label">Format</span>
-            <select
-            id={formatId}
-            className="filtre-select"
-            value={state.format}
-            onChange={(e) => setPart('format', e.target.value as FiltreContext['format'])}
+            <button
+            type="button"
+            className="filtre-example-btn"
+            onClick={promptSavePreset}
             disabled={disabled}
-            aria-label="Format attendu"
-            title="Format attendu de la réponse"
+            aria-label="Enregistrer les réglages comme préréglage"
+            title="Enregistrer les réglages actuels sous un nom"
             >
-            <option value="mail">Mail</option>
-            <option value="synthèse">Synthèse</option>
-            </select>
+            💾
+            </button>
+            {activePreset && (
+            <button
+                type="button"
+                className="filtre-example-btn"
+                onClick={confirmDeletePreset}
+                disabled={disabled}
+                aria-label={`Supprimer le préréglage ${activePreset}`}
+                title="Supprimer ce préréglage"
+            >
+                ✕
+            </button>
+            )}
+            </div>
         </label>
 
-        {/* Domaine */}
-        <label htmlFor={domaineId} className="filtre-field">
-            <span className="filtre-label">Domaine</span>
-            <select
-            id={domaineId}
-            className="filtre-select"
-            value={state.domaine}
-            onChange={(e) => setPart('domaine', e.target.value as FiltreContext['domaine'])}
+        {/* Longueur, format, domaine : options configurées côté serveur */}
+        {options?.groups.map((group) => (
+            <FiltreSelect
+            key={group.key}
+            group={group}
+            value={state[group.key]}
+            onChange={(v) => setPart(group.key, v)}
             disabled={disabled}
-            aria-label="Domaine de réponse"
-            title="Domaine de réponse"
-            >
-            <option value="comptable">Comptable</option>
-            <option value="social">Social</option>
-            <option value="fiscale">Fiscale</option>
-            <option value="juridique">Juridique</option>
-            </select>
-        </label>
+            />
+        ))}
 
         {/* Contexte libre */}
         <label htmlFor={contexteId} className="filtre-field filtre-field--grow">
@@ -114,4 +120,33 @@ export default function Filtre({ onChange, disabled = false }: Props) {
         </div>
     </div>
     );
-}
\ No newline at end of file
+}
+
+type SelectProps = {
+  group: FiltreOptions['groups'][number];
+  value: string;
+  onChange: (value: string) => void;
+  disabled: boolean;
+};
+
+function FiltreSelect({ group, value, onChange, disabled }: SelectProps) {
+  const id = useId();
+  return (
+    <label htmlFor={id} className="filtre-field">
+        <span className="filtre-label">{group.label}</span>
+        <select
+        id={id}
+        className="filtre-select"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        aria-label={group.label}
+        title={group.label}
+        >
+        {group.options.map((o) => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+        ))}
+        </select>
+    </label>
+  );
+}
@@ -1,20 +1,58 @@
 // src/components/Head.tsx
+import type { ModelInfo } from '../types';
 import './Head.css';
 
 type Props = {
     flags: {
         canUseApp: boolean;
         canImportFiles: boolean;
+        isAdmin: boolean;
     };
     theme: 'light' | 'dark';
     onToggleTheme: () => void;
+    /** Modèles activés côté serveur (les modèles non autorisés sont grisés) */
+    models: ModelInfo[];
+    selectedModel: string | null;
+    onSelectModel: (id: string) => void;
+    /** Désactivation du sélecteur (ex: pendant un envoi) */
+    disabled?: boolean;
+    /** Ouverture / fermeture de la console d'administration */
+    onToggleAdmin: () => void;
+    adminOpen: boolean;
+}
+
+const PROVIDER_NAMES: Record<ModelInfo['provider'], string> = {
+    mistral: 'Mistral AI',
+    openai: 'OpenAI',
+};
+
+// Infobulle du sélecteur : tarifs et points forts du modèle
+function describeModel(m: ModelInfo): string {
+    const lines = [`${m.label} (${PROVIDER_NAMES[m.provider]})`];
+    if (m.pricing) {
+        lines.push(`Entrée : ${m.pricing.input} $ / 1M tokens — Sortie : ${m.pricing.output} $ / 1M tokens`);
+    }
+    lines.push(`Contexte : ${Math.round(m.capabilities.contextWindow / 1000)}k tokens`);
+    if (m.capabilities.strengths.length > 0) {
+        lines.push(`Points forts : ${m.capabilities.strengths.join(', ')}`);
+    }
+    if (!m.allowed) lines.push('Non autorisé pour votre compte');
+    return lines.join('\n');
 }
 
 export default function Head({
     flags,
     theme,
-    onToggleTheme
+    onToggleTheme,
+    models,
+    selectedModel,
+    onSelectModel,
+    disabled = false,
+    onToggleAdmin,
+    adminOpen,
 }: Props) {
+    const current = models.find((m) => m.id === selectedModel);
+
     return (
         <header className="header">
             <div className="header-content">
@@ -22,11 +60,41 @@ export default function Head({
                     <img src="../public/assets/logo.png" alt="Logo entreprise" className="company-logo" />
                     <div className="header-text">
                         <h1>Chatbot Fid'Ouest</h1>
-                        <span className="header-subtitle">Propulsé par Mistral AI</span>
+                        <span className="header-subtitle">
+                            Propulsé par {PROVIDER_NAMES[current?.provider ?? 'mistral']}
+                        </span>
                     </div>
                 </div>
 
                 <div className='buttons-right'>
+                    {models.length > 0 && (
+                        <select
+                            className="select-gpt"
+                            value={selectedModel ?? ''}
+                            onChange={(e) => onSelectModel(e.target.value)}
+                            disabled={disabled}
+                            aria-label="Modèle utilisé"
+                            title={current ? describeModel(current) : undefined}
+                        >
+                            {models.map((m) => (
+                                <option key={m.id} value={m.id} disabled={!m.allowed} title={describeModel(m)}>
+                                    {m.label}{m.allowed ? '' : ' (non autorisé)'}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                    {flags.isAdmin && (
+                        <button
+                            className={`theme-toggle${adminOpen ? ' active' : ''}`}
+                            type="button"
+                            onClick={onToggleAdmin}
+                            aria-pressed={adminOpen}
+                            aria-label={adminOpen ? 'Retour au chat' : 'Administration'}
+                            title={adminOpen ? 'Retour au chat' : 'Administration'}
+                        >
+                            ⚙️
+                        </button>
+                    )}
                     <button
                         className="theme-toggle"
                         type="button"
@@ -0,0 +1,278 @@
+// src/components/TemplatePanel.tsx
+import { useEffect, useState } from 'react';
+import { createTemplate, deleteTemplate, listTemplates, updateTemplate } from '../api';
+import { filtreSummary, renderTemplate } from '../services/templates';
+import type { FiltreContext, PromptTemplate, PromptTemplateInput } from '../types';
+import './TemplatePanel.css';
+
+type Props = {
+  /** Message en cours de saisie (proposé comme texte d'un nouveau modèle) */
+  draft: string;
+  /** Réglages actuels du filtre (enregistrables avec le modèle) */
+  filtre: FiltreContext;
+  /** Partage au cabinet autorisé (administrateurs) */
+  canShare: boolean;
+  /** Insère le texte dans la zone de saisie et applique les réglages prédéfinis */
+  onInsert: (text: string, filtre: Partial<FiltreContext> | null) => void;
+  onClose: () => void;
+};
+
+// Modèle en cours de création (id absent) ou de modification
+type Editor = {
+  id?: number;
+  title: string;
+  content: string;
+  scope: PromptTemplate['scope'];
+  /** Réglages du filtre enregistrés : aucun, réglages actuels, ou ceux déjà enregistrés */
+  filtreMode: 'none' | 'current' | 'keep';
+  saved: Partial<FiltreContext> | null;
+};
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
+
+function byTitle(a: PromptTemplate, b: PromptTemplate): number {
+  return a.title.localeCompare(b.title, 'fr');
+}
+
+/**
+ * Bibliothèque de modèles de requêtes : modèles personnels et modèles du cabinet.
+ * Les variables {{...}} sont complétées dans un petit formulaire avant insertion.
+ */
+export default function TemplatePanel({ draft, filtre, canShare, onInsert, onClose }: Props) {
+  const [templates, setTemplates] = useState<PromptTemplate[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  // Modèle sélectionné et valeurs saisies pour ses variables
+  const [selected, setSelected] = useState<PromptTemplate | null>(null);
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [editor, setEditor] = useState<Editor | null>(null);
+
+  useEffect(() => {
+    listTemplates()
+      .then(setTemplates)
+      .catch((err) => setError(errorMessage(err)));
+  }, []);
+
+  const insert = (template: PromptTemplate, vars: Record<string, string>) => {
+    onInsert(renderTemplate(template.content, vars), template.filtre);
+    onClose();
+  };
+
+  const choose = (template: PromptTemplate) => {
+    setEditor(null);
+    if (template.variables.length === 0) {
+      insert(template, {});
+      return;
+    }
+    setSelected(template);
+    setValues({});
+  };
+
+  const startCreate = () => {
+    setSelected(null);
+    setEditor({ title: '', content: draft, scope: 'personal', filtreMode: 'current', saved: null });
+  };
+
+  const startEdit = (template: PromptTemplate) => {
+    setSelected(null);
+    setEditor({
+      id: template.id,
+      title: template.title,
+      content: template.content,
+      scope: template.scope,
+      filtreMode: template.filtre ? 'keep' : 'none',
+      saved: template.filtre,
+    });
+  };
+
+  const save = async () => {
+    if (!editor) return;
+    const input: PromptTemplateInput = {
+      title: editor.title,
+      content: editor.content,
+      scope: editor.scope,
+      filtre: editor.filtreMode === 'current' ? filtre : editor.filtreMode === 'keep' ? editor.saved : null,
+    };
+
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = editor.id ? await updateTemplate(editor.id, input) : await createTemplate(input);
+      setTemplates((prev) => [...(prev ?? []).filter((t) => t.id !== saved.id), saved]);
+      setEditor(null);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (template: PromptTemplate) => {
+    if (!window.confirm(`Supprimer le modèle « ${template.title} » ?`)) return;
+    setError(null);
+    try {
+      await deleteTemplate(template.id);
+      setTemplates((prev) => (prev ?? []).filter((t) => t.id !== template.id));
+      if (selected?.id === template.id) setSelected(null);
+      if (editor?.id === template.id) setEditor(null);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const groups: Array<{ label: string; items: PromptTemplate[] }> = [
+    { label: 'Mes modèles', items: (templates ?? []).filter((t) => t.scope === 'personal').sort(byTitle) },
+    { label: 'Modèles du cabinet', items: (templates ?? []).filter((t) => t.scope === 'cabinet').sort(byTitle) },
+  ];
+
+  return (
+    <div className="template-panel" role="dialog" aria-label="Modèles de requêtes">
+      <div className="template-panel-header">
+        <span className="template-panel-title">Modèles de requêtes</span>
+        <button className="template-btn" onClick={startCreate} disabled={saving}>
+          + Nouveau modèle
+        </button>
+        <button className="template-icon-btn" onClick={onClose} aria-label="Fermer les modèles" title="Fermer">
+          ✕
+        </button>
+      </div>
+
+      {error && <div className="template-error">{error}</div>}
+
+      <div className="template-panel-body">
+        <div className="template-list">
+          {!templates && !error && <div className="template-empty">Chargement…</div>}
+          {templates && groups.map((group) => (
+            <section key={group.label} className="template-group">
+              <span className="template-group-title">{group.label}</span>
+              {group.items.length === 0 && <div className="template-empty">Aucun modèle</div>}
+              <ul>
+                {group.items.map((t) => (
+                  <li key={t.id} className={`template-item${selected?.id === t.id ? ' active' : ''}`}>
+                    <button className="template-item-main" onClick={() => choose(t)} title={t.content}>
+                      <span className="template-item-title">{t.title}</span>
+                      {t.filtre && <span className="template-item-filtre">{filtreSummary(t.filtre)}</span>}
+                    </button>
+                    {t.editable && (
+                      <>
+                        <button className="template-icon-btn" onClick={() => startEdit(t)} aria-label={`Modifier ${t.title}`} title="Modifier">
+                          ✎
+                        </button>
+                        <button className="template-icon-btn" onClick={() => remove(t)} aria-label={`Supprimer ${t.title}`} title="Supprimer">
+                          🗑
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+
+        {/* Variables du modèle sélectionné */}
+        {selected && (
+          <form
+            className="template-form"
+            onSubmit={(e) => {
+              e.preventDefault();
+              insert(selected, values);
+            }}
+          >
+            <span className="template-form-title">{selected.title}</span>
+            {selected.variables.map((name, i) => (
+              <label key={name} className="template-field">
+                <span>{name}</span>
+                <input
+                  type="text"
+                  value={values[name] ?? ''}
+                  onChange={(e) => setValues((prev) => ({ ...prev, [name]: e.target.value }))}
+                  autoFocus={i === 0}
+                />
+              </label>
+            ))}
+            <pre className="template-preview">{renderTemplate(selected.content, values)}</pre>
+            <div className="template-form-actions">
+              <button type="button" className="template-btn" onClick={() => setSelected(null)}>
+                Annuler
+              </button>
+              <button type="submit" className="template-btn primary">
+                Insérer
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Création / modification */}
+        {editor && (
+          <form
+            className="template-form"
+            onSubmit={(e) => {
+              e.preventDefault();
+              void save();
+            }}
+          >
+            <span className="template-form-title">{editor.id ? 'Modifier le modèle' : 'Nouveau modèle'}</span>
+            <label className="template-field">
+              <span>Titre</span>
+              <input
+                type="text"
+                value={editor.title}
+                maxLength={120}
+                onChange={(e) => setEditor({ ...editor, title: e.target.value })}
+                autoFocus
+              />
+            </label>
+            <label className="template-field">
+              <span>Texte (variables entre doubles accolades : {'{{client}}'})</span>
+              <textarea
+                rows={6}
+                value={editor.content}
+                maxLength={8000}
+                onChange={(e) => setEditor({ ...editor, content: e.target.value })}
+              />
+            </label>
+            <label className="template-field">
+              <span>Réglages du filtre</span>
+              <select
+                value={editor.filtreMode}
+                onChange={(e) => setEditor({ ...editor, filtreMode: e.target.value as Editor['filtreMode'] })}
+              >
+                <option value="none">Aucun</option>
+                <option value="current">Réglages actuels ({filtreSummary(filtre)})</option>
+                {editor.saved && <option value="keep">Conserver ({filtreSummary(editor.saved)})</option>}
+              </select>
+            </label>
+            {canShare && (
+              <label className="template-field">
+                <span>Visibilité</span>
+                <select
+                  value={editor.scope}
+                  onChange={(e) => setEditor({ ...editor, scope: e.target.value as Editor['scope'] })}
+                >
+                  <option value="personal">Personnel</option>
+                  <option value="cabinet">Cabinet (tous les utilisateurs)</option>
+                </select>
+              </label>
+            )}
+            <div className="template-form-actions">
+              <button type="button" className="template-btn" onClick={() => setEditor(null)} disabled={saving}>
+                Annuler
+              </button>
+              <button
+                type="submit"
+                className="template-btn primary"
+                disabled={saving || !editor.title.trim() || !editor.content.trim()}
+              >
+                Enregistrer
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,20 +1,121 @@
 // src/hooks/useAttachments.ts
-import { useState } from 'react';
-import type { FileTokenAttachment } from '../types';
-import { MAX_FILES } from '../config';
+import { useEffect, useState } from 'react';
+import { flushSync } from 'react-dom';
+import type { Attachment, DocumentExtraction, FileTokenAttachment } from '../types';
+import { ACCEPTED_FILE_EXTENSIONS, MAX_FILE_SIZE, MAX_FILES } from '../config';
 
 declare global {
   interface Window {
     fileAPI?: {
       openMany(): Promise<Array<{ token: string; name: string; size: number }> | null>;
-      uploadByTokens(tokens: string[], backendUrl?: string): Promise<Array<{ token: string; file_id: string }>>;
+      registerBuffers(files: Array<{ name: string; data: ArrayBuffer }>): Promise<Array<{ token: string; name: string; size: number }>>;
+      release(tokens: string[]): Promise<void>;
+      upload(token: string): Promise<{
+        token: string;
+        file_id: string;
+        name?: string;
+        extraction?: DocumentExtraction;
+      }>;
+      onUploadProgress(callback: (progress: { token: string; percent: number }) => void): () => void;
     };
   }
 }
 
+/** Motif de refus d'un fichier déposé ou collé (mêmes règles que la boîte de dialogue), null s'il est accepté */
+function rejectionReason(file: File): string | null {
+  const extension = file.name.split('.').pop()?.toLowerCase() ?? '';
+  if (!ACCEPTED_FILE_EXTENSIONS.includes(extension)) {
+    return `${file.name} : format non pris en charge (PDF, DOCX ou image)`;
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return `${file.name} : fichier trop volumineux (${Math.round(MAX_FILE_SIZE / 1024 / 1024)} Mo maximum)`;
+  }
+  return null;
+}
+
+/** Nom d'une capture collée depuis le presse-papiers (ex: capture-20261019-153012.png) */
+function captureName(file: File): string {
+  const extension = file.type.split('/')[1]?.replace('jpeg', 'jpg') || 'png';
+  const d = new Date();
+  const pad = (n: number) => String(n).padStart(2, '0');
+  const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+  return `capture-${stamp}.${extension}`;
+}
+
+/** Message d'un échec d'envoi, sans le préfixe ajouté par Electron aux erreurs IPC */
+function uploadError(e: unknown): string {
+  const message = e instanceof Error ? e.message : String(e ?? '');
+  return message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '') || 'Erreur lors de l\'envoi du fichier';
+}
+
+/** Met à jour une pièce jointe (sans effet si elle a été retirée entre-temps) */
+function patch(list: Attachment[], token: string, change: (a: Attachment) => Attachment): Attachment[] {
+  return list.map(a => (a.token === token ? change(a) : a));
+}
+
 export function useAttachments(onLargeOrError?: (detail?: string) => void) {
-  const [attachments, setAttachments] = useState<FileTokenAttachment[]>([]);
-  const [selectedIdx, setSelectedIdx] = useState<number>(0);
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+
+  // Progression des envois : le fichier transmis, le backend en extrait le texte
+  useEffect(() => window.fileAPI?.onUploadProgress?.(({ token, percent }) => {
+    setAttachments(prev => patch(prev, token, a => (a.status === 'uploading'
+      ? { ...a, progress: percent, status: percent >= 100 ? 'extracting' : 'uploading' }
+      : a)));
+  }), []);
+
+  // Jetons devenus inutiles : Electron libère le contenu des fichiers gardé en mémoire
+  const release = (tokens: string[]) => {
+    if (tokens.length) window.fileAPI?.release?.(tokens).catch(() => {});
+  };
+
+  // Envoi et extraction d'une pièce jointe, en parallèle des autres
+  const upload = async (token: string) => {
+    setAttachments(prev => patch(prev, token, a => ({ ...a, status: 'uploading', progress: 0, error: undefined })));
+    try {
+      const result = await window.fileAPI!.upload(token);
+      setAttachments(prev => patch(prev, token, a => ({
+        ...a,
+        status: 'ready',
+        progress: 100,
+        document: { file_id: result.file_id, name: result.name ?? a.name, extraction: result.extraction },
+      })));
+    } catch (e) {
+      setAttachments(prev => patch(prev, token, a => ({ ...a, status: 'failed', error: uploadError(e) })));
+    }
+  };
+
+  const addAttachments = (added: FileTokenAttachment[]) => {
+    // Déduplication (même nom et même taille) + limite MAX_FILES, calculées sur la liste à jour :
+    // deux ajouts rapprochés (dépôt puis collage) ne se basent pas sur une liste périmée.
+    // flushSync applique la mise à jour avant de libérer les jetons refusés et de lancer les envois.
+    let accepted: string[] = [];
+    let dropped: string[] = [];
+    let overLimit = false;
+    flushSync(() => setAttachments(prev => {
+      const keys = new Set(prev.map(a => `${a.name}:${a.size}`));
+      const fresh: Attachment[] = [];
+      dropped = [];
+      overLimit = false;
+      for (const f of added) {
+        const key = `${f.name}:${f.size}`;
+        const full = prev.length + fresh.length >= MAX_FILES;
+        if (keys.has(key) || full) {
+          overLimit ||= !keys.has(key);
+          dropped.push(f.token);
+          continue;
+        }
+        keys.add(key);
+        fresh.push({ ...f, status: 'uploading', progress: 0 });
+      }
+      accepted = fresh.map(a => a.token);
+      return [...prev, ...fresh];
+    }));
+
+    release(dropped);
+    if (overLimit) onLargeOrError?.(`Tu peux joindre au maximum ${MAX_FILES} fichiers.`);
+
+    accepted.forEach(token => upload(token));
+  };
 
   const addFromDialog = async () => {
     try {
@@ -27,45 +128,77 @@ export function useAttachments(onLargeOrError?: (detail?: string) => void) {
         return;
       }
 
-      // Déduplication + limite MAX_FILES
-      const map = new Map<string, FileTokenAttachment>();
-      [...attachments, ...limited].forEach(f => {
-        const key = `${f.name}:${f.size}:${f.token}`;
-        if (!map.has(key)) map.set(key, { ...f });
-      });
-      let merged = Array.from(map.values());
-      if (merged.length > MAX_FILES) {
-        merged = merged.slice(0, MAX_FILES);
-        onLargeOrError?.(`Tu peux joindre au maximum ${MAX_FILES} fichiers.`);
-      }
-
-      setAttachments(merged);
-      if (merged.length) setSelectedIdx(merged.length - 1);
+      addAttachments(limited);
     } catch (e: any) {
       onLargeOrError?.(e?.message ?? 'Erreur lors de la sélection de fichiers');
     }
   };
 
-  const removeSelected = () => {
-    setAttachments(prev => {
-      if (!prev.length) return prev;
-      const next = prev.filter((_, i) => i !== selectedIdx);
-      setSelectedIdx(Math.min(selectedIdx, Math.max(0, next.length - 1)));
-      return next;
-    });
+  /**
+   * Fichiers déposés sur la conversation ou collés dans la zone de saisie : leur contenu est
+   * transmis à Electron, qui le conserve jusqu'à l'envoi.
+   *
+   * @param files Fichiers du glisser-déposer ou du presse-papiers
+   * @param pasted Collage : les images reçoivent un nom daté (le presse-papiers n'en fournit pas)
+   */
+  const addFromFiles = async (files: File[], pasted = false) => {
+    try {
+      if (!window.fileAPI?.registerBuffers) {
+        onLargeOrError?.('Les pièces jointes ne sont disponibles que dans l\'application.');
+        return;
+      }
+
+      const named = files.map(f =>
+        pasted && f.type.startsWith('image/') ? new File([f], captureName(f), { type: f.type }) : f
+      );
+      const reasons = named.map(rejectionReason);
+      reasons.forEach(reason => { if (reason) onLargeOrError?.(reason); });
+
+      const accepted = named.filter((_, i) => reasons[i] === null).slice(0, MAX_FILES);
+      if (!accepted.length) return;
+
+      const buffers = await Promise.all(accepted.map(async f => ({ name: f.name, data: await f.arrayBuffer() })));
+      const list = await window.fileAPI.registerBuffers(buffers);
+      if (!list.length) {
+        onLargeOrError?.('Aucun fichier valide sélectionné.');
+        return;
+      }
+
+      addAttachments(list);
+    } catch (e) {
+      onLargeOrError?.(e instanceof Error ? e.message : 'Erreur lors de l\'ajout des fichiers');
+    }
+  };
+
+  // Nouvel essai pour une pièce jointe en échec (les autres ne sont pas renvoyées)
+  const retryAttachment = (token: string) => {
+    if (attachments.some(a => a.token === token && a.status === 'failed')) upload(token);
+  };
+
+  const removeAttachment = (token: string) => {
+    release([token]);
+    setAttachments(prev => prev.filter(a => a.token !== token));
   };
 
   const clearAttachments = () => {
+    release(attachments.map(a => a.token));
     setAttachments([]);
-    setSelectedIdx(0);
   };
 
+  // Documents prêts à accompagner la question ; envoi bloqué tant qu'une pièce jointe est en cours ou en échec
+  const attachedDocuments = attachments.flatMap(a => (a.status === 'ready' && a.document ? [a.document] : []));
+  const pendingAttachments = attachments.filter(a => a.status === 'uploading' || a.status === 'extracting').length;
+  const failedAttachments = attachments.filter(a => a.status === 'failed').length;
+
   return {
     attachments,
-    selectedIdx,
-    setSelectedIdx,
+    attachedDocuments,
+    pendingAttachments,
+    failedAttachments,
     addFromDialog,
-    removeSelected,
+    addFromFiles,
+    retryAttachment,
+    removeAttachment,
     clearAttachments,
   };
 }
@@ -0,0 +1,50 @@
+// src/hooks/useConversationSearch.ts
+import { useEffect, useState } from 'react';
+import { searchConversations } from '../api';
+import type { SearchResult } from '../types';
+
+// Délai après la dernière frappe avant d'interroger le serveur
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Recherche dans les conversations, relancée pendant la frappe.
+ * La recherche en cours est abandonnée dès que la requête change.
+ *
+ * @param query Texte recherché (vide : pas de recherche)
+ * @returns Résultats (null sans recherche), recherche en cours, erreur éventuelle
+ */
+export function useConversationSearch(query: string) {
+  const [results, setResults] = useState<SearchResult[] | null>(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const q = query.trim();
+
+  useEffect(() => {
+    if (!q) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      setSearching(true);
+      searchConversations(q, controller.signal)
+        .then((found) => {
+          setResults(found);
+          setError(null);
+        })
+        .catch((err) => {
+          if (!controller.signal.aborted) setError(err instanceof Error ? err.message : String(err));
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) setSearching(false);
+        });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [q]);
+
+  // Sans requête, les anciens résultats ne sont plus affichés
+  return q ? { results, searching, error } : { results: null, searching: false, error: null };
+}
@@ -0,0 +1,56 @@
+// src/hooks/useCostEstimate.ts
+import { useEffect, useState } from 'react';
+import { estimateCost } from '../api';
+import type { ChatPayload } from '../services/context';
+import type { CostEstimate } from '../types';
+
+// Délai après la dernière frappe avant de demander l'estimation au serveur
+const ESTIMATE_DEBOUNCE_MS = 400;
+
+/**
+ * Estimation du coût du message en cours de saisie, recalculée pendant la frappe.
+ * L'estimation est abandonnée dès que le payload change (saisie, filtre, modèle, pièces jointes).
+ *
+ * Un échec (réseau, erreur serveur) est signalé par `failed` et peut être relancé avec `retry` :
+ * l'envoi n'en dépend pas, le backend refait l'estimation avant d'appeler le provider.
+ *
+ * @param payload Payload qui serait envoyé, ou null s'il n'y a rien à envoyer
+ * @param pendingFiles Pièces jointes qui seront extraites à l'envoi
+ */
+export function useCostEstimate(payload: ChatPayload | null, pendingFiles: number) {
+  const [estimate, setEstimate] = useState<CostEstimate | null>(null);
+  const [failed, setFailed] = useState(false);
+  // Incrémenté par retry() pour relancer l'estimation du même payload
+  const [attempt, setAttempt] = useState(0);
+
+  // Clé stable du payload : évite de relancer l'estimation à chaque rendu
+  const key = payload ? JSON.stringify({ ...payload, pending_files: pendingFiles }) : null;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      setFailed(false);
+      if (!key) {
+        setEstimate(null);
+        return;
+      }
+      estimateCost(JSON.parse(key), controller.signal)
+        .then(setEstimate)
+        .catch(() => {
+          if (controller.signal.aborted) return;
+          setEstimate(null);
+          setFailed(true);
+        });
+    }, key ? ESTIMATE_DEBOUNCE_MS : 0);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [key, attempt]);
+
+  const retry = () => setAttempt(n => n + 1);
+
+  // Sans rien à envoyer, l'ancienne estimation n'est plus affichée
+  return { estimate: key ? estimate : null, failed: key ? failed : false, retry };
+}
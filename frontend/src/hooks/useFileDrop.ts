@@ -0,0 +1,62 @@
+// src/hooks/useFileDrop.ts
+import { useEffect, useRef, useState } from 'react';
+import type { DragEvent } from 'react';
+
+/**
+ * Zone de dépôt de fichiers (explorateur, client mail). Les fichiers lâchés ailleurs que sur
+ * la zone ou quand elle est désactivée sont ignorés, sans qu'Electron ne les ouvre à la place
+ * de l'application.
+ *
+ * @param onFiles Reçoit les fichiers déposés
+ * @param enabled Dépôt autorisé (droit d'import, pas de génération en cours)
+ * @returns Survol en cours (pour l'affichage) et gestionnaires à placer sur la zone
+ */
+export function useFileDrop(onFiles: (files: File[]) => void, enabled: boolean) {
+  const [dragging, setDragging] = useState(false);
+  // dragenter / dragleave sont aussi émis en passant sur les éléments enfants
+  const depth = useRef(0);
+
+  const hasFiles = (e: DragEvent) => e.dataTransfer.types.includes('Files');
+
+  // Hors de la zone, le dépôt est bloqué (sinon la fenêtre afficherait le fichier)
+  useEffect(() => {
+    const block = (e: globalThis.DragEvent) => {
+      if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+    };
+    window.addEventListener('dragover', block);
+    window.addEventListener('drop', block);
+    return () => {
+      window.removeEventListener('dragover', block);
+      window.removeEventListener('drop', block);
+    };
+  }, []);
+
+  const dropHandlers = {
+    onDragEnter: (e: DragEvent) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth.current += 1;
+      if (enabled) setDragging(true);
+    },
+    onDragOver: (e: DragEvent) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = enabled ? 'copy' : 'none';
+    },
+    onDragLeave: (e: DragEvent) => {
+      if (!hasFiles(e)) return;
+      depth.current = Math.max(0, depth.current - 1);
+      if (depth.current === 0) setDragging(false);
+    },
+    onDrop: (e: DragEvent) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth.current = 0;
+      setDragging(false);
+      const files = Array.from(e.dataTransfer.files);
+      if (enabled && files.length > 0) onFiles(files);
+    },
+  };
+
+  return { dragging: dragging && enabled, dropHandlers };
+}
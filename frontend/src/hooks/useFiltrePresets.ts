@@ -0,0 +1,43 @@
+// src/hooks/useFiltrePresets.ts
+import { useEffect, useState } from 'react';
+import type { FiltreContext, FiltrePreset } from '../types';
+
+// Clé de stockage local des préréglages du filtre
+const PRESETS_STORAGE_KEY = 'filtrePresets';
+
+function loadPresets(): FiltrePreset[] {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) ?? '[]');
+    return Array.isArray(saved) ? saved.filter((p) => typeof p?.name === 'string' && p.filtre) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Préréglages nommés du filtre, conservés sur le poste (stockage local).
+ * Enregistrer un préréglage sous un nom existant le remplace.
+ */
+export function useFiltrePresets() {
+  const [presets, setPresets] = useState<FiltrePreset[]>(loadPresets);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch {
+      // Stockage local indisponible : les préréglages ne seront pas conservés
+    }
+  }, [presets]);
+
+  const savePreset = (name: string, filtre: FiltreContext) => {
+    setPresets((prev) =>
+      [...prev.filter((p) => p.name !== name), { name, filtre }].sort((a, b) => a.name.localeCompare(b.name, 'fr'))
+    );
+  };
+
+  const deletePreset = (name: string) => {
+    setPresets((prev) => prev.filter((p) => p.name !== name));
+  };
+
+  return { presets, savePreset, deletePreset };
+}
@@ -0,0 +1,63 @@
+// src/services/branches.ts
+import type { Message } from '../types';
+
+/**
+ * Arbre des messages d'une conversation : une question modifiée ou une réponse régénérée
+ * est une version sœur de la précédente (même parent). Seule la branche active est affichée
+ * et envoyée au modèle.
+ */
+
+/** Position d'un message parmi ses versions (ex: 2/3) */
+export type BranchPosition = { index: number; count: number };
+
+/**
+ * Versions d'un message (messages enregistrés de même parent et de même émetteur), de la plus ancienne
+ * à la plus récente. Vide si le parent du message n'est pas connu.
+ */
+export function siblingsOf(tree: Message[], msg: Message): Message[] {
+  if (msg.id == null || msg.parent_id === undefined) return [];
+  return tree.filter((m) => m.id != null && m.parent_id === msg.parent_id && m.sender === msg.sender);
+}
+
+/** Position du message parmi ses versions, null s'il n'en a qu'une */
+export function branchPosition(tree: Message[], msg: Message): BranchPosition | null {
+  const siblings = siblingsOf(tree, msg);
+  const index = siblings.findIndex((m) => m.id === msg.id);
+  return siblings.length > 1 && index >= 0 ? { index, count: siblings.length } : null;
+}
+
+/**
+ * Branche passant par un message : ses ancêtres, lui-même puis, à chaque embranchement,
+ * la version la plus récente.
+ */
+export function branchThrough(tree: Message[], id: number): Message[] {
+  const byId = new Map(tree.map((m) => [m.id, m]));
+
+  const branch: Message[] = [];
+  for (let m = byId.get(id); m; m = m.parent_id != null ? byId.get(m.parent_id) : undefined) {
+    branch.unshift(m);
+  }
+
+  for (let last = branch[branch.length - 1]; last; ) {
+    const children = tree.filter((m) => m.parent_id === last.id);
+    last = children[children.length - 1];
+    if (last) branch.push(last);
+  }
+  return branch;
+}
+
+/** Branche du dernier message enregistré (affichée à l'ouverture d'une conversation) */
+export function latestBranch(tree: Message[]): Message[] {
+  const ids = tree.map((m) => m.id ?? 0);
+  return ids.length > 0 ? branchThrough(tree, Math.max(...ids)) : [];
+}
+
+/**
+ * Message auquel une nouvelle question fait suite : dernier message affiché (hors messages d'information).
+ * null pour une conversation vide ; undefined si son ID n'est pas connu (génération interrompue…) :
+ * le serveur ajoute alors la question après le dernier message enregistré.
+ */
+export function branchTip(branch: Message[]): number | null | undefined {
+  const last = [...branch].reverse().find((m) => !m.notice);
+  return last ? last.id : null;
+}
@@ -0,0 +1,255 @@
+// src/services/citations.ts
+
+/**
+ * Références de la section « Sources utilisées » que les consignes système imposent en fin de réponse
+ * (voir backend/systemPrompt.js) : articles de code, identifiants BOFiP, décisions de justice.
+ * Les liens sont construits ici, sans appel réseau : recherche de la référence sur Légifrance ou le BOFiP.
+ * Les références non reconnues ou incohérentes (code inconnu, numéro d'article impossible, date future…)
+ * sont signalées : le modèle a pu les inventer.
+ */
+
+export type CitationKind = 'code' | 'bofip' | 'jurisprudence' | 'other';
+
+export type Citation = {
+  kind: CitationKind;
+  /** Libellé court (ex: « CGI art. 39 », « BOI-TVA-DED-20 ») */
+  label: string;
+  /** Ligne d'origine de la section */
+  text: string;
+  /** Page de consultation, null si la référence ne permet pas d'en construire une */
+  url: string | null;
+  /** Raison du signalement (référence non reconnue ou suspecte), null sinon */
+  warning: string | null;
+};
+
+// Recherches publiques par référence (paramètre ajouté en fin d'adresse)
+const LEGIFRANCE_CODE_SEARCH = 'https://www.legifrance.gouv.fr/search/code?tab_selection=code&query=';
+const LEGIFRANCE_JURI_SEARCH = 'https://www.legifrance.gouv.fr/search/juri?tab_selection=juri&query=';
+const LEGIFRANCE_CETAT_SEARCH = 'https://www.legifrance.gouv.fr/search/cetat?tab_selection=cetat&query=';
+const BOFIP_SEARCH = 'https://bofip.impots.gouv.fr/rechercher?search_api_fulltext=';
+
+// Première publication du BOFiP-Impôts (12 septembre 2012) : les identifiants datés sont postérieurs
+const BOFIP_FIRST_DATE = '20120912';
+
+// Séries du BOFiP (2e segment de l'identifiant : BOI-<série>-…)
+const BOFIP_SERIES = new Set([
+  'ANNX', 'BA', 'BAREME', 'BIC', 'BNC', 'CF', 'CHAMP', 'CTX', 'CVAE', 'DAE', 'DJC', 'ENR', 'FORM', 'IF', 'IFI',
+  'INT', 'IR', 'IS', 'LETTRE', 'PAT', 'PVI', 'RFPI', 'RPPM', 'RSA', 'SJ', 'TCA', 'TFP', 'TPS', 'TVA',
+]);
+
+type CodeDefinition = {
+  title: string;
+  short: string;
+  /** Noms reconnus, sans accents ni majuscules */
+  aliases: string[];
+  /** Articles numérotés L., R., D. (ex: L. 1234-9) plutôt que par un simple numéro */
+  prefixed: boolean;
+  /** Dernier numéro d'article (codes à numérotation simple) */
+  maxArticle?: number;
+};
+
+const CODES: CodeDefinition[] = [
+  { title: 'Code général des impôts', short: 'CGI', aliases: ['code general des impots', 'cgi'], prefixed: false, maxArticle: 2000 },
+  { title: 'Livre des procédures fiscales', short: 'LPF', aliases: ['livre des procedures fiscales', 'lpf'], prefixed: true },
+  { title: 'Code civil', short: 'C. civ.', aliases: ['code civil', 'c. civ', 'c.civ'], prefixed: false, maxArticle: 2534 },
+  { title: 'Code de commerce', short: 'C. com.', aliases: ['code de commerce', 'c. com', 'c.com'], prefixed: true },
+  { title: 'Code du travail', short: 'C. trav.', aliases: ['code du travail', 'c. trav', 'c.trav'], prefixed: true },
+  { title: 'Code de la sécurité sociale', short: 'CSS', aliases: ['code de la securite sociale', 'css'], prefixed: true },
+  { title: 'Code monétaire et financier', short: 'CMF', aliases: ['code monetaire et financier', 'comofi', 'cmf'], prefixed: true },
+];
+
+const MONTHS = [
+  'janvier', 'fevrier', 'mars', 'avril', 'mai', 'juin',
+  'juillet', 'aout', 'septembre', 'octobre', 'novembre', 'decembre',
+];
+
+// Titre de la section, éventuellement en gras ou en titre Markdown, suivi ou non de la 1re référence
+const SOURCES_HEADING = /^\s*(?:#{1,6}\s+)?[*_]{0,2}\s*sources utilisées\s*[*_]{0,2}\s*:?\s*[*_]{0,2}\s*(.*)$/i;
+// Fin de la section : autre titre Markdown, ligne en gras seule ou séparateur
+const SECTION_END = /^\s*(?:#{1,6}\s|[*_]{2}[^*_]+[*_]{2}\s*:?\s*$|-{3,}\s*$)/;
+const LIST_MARKER = /^\s*(?:[-*+•]|\d+[.)])\s+/;
+
+// Numéro d'article : « 39 », « 209 B », « 238 bis », « L. 1234-9 », « R* 196-1 »
+const ARTICLE = String.raw`(?:[LRDA]\*?\.?\s?)?\d+(?:-\d+)*(?:\s(?:[A-H]|bis|ter|quater|quinquies|sexies|septies|octies|nonies|decies)\b)?`;
+const ARTICLES = new RegExp(String.raw`\bart(?:icle)?s?\.?\s+(${ARTICLE}(?:\s*(?:,|et|à)\s*${ARTICLE})*)`, 'gi');
+const ARTICLE_ONE = new RegExp(ARTICLE, 'gi');
+
+const BOI_ID = /\bBOI-[A-Z]+(?:-[A-Z0-9]+)*\b/g;
+const CASS_NUMBER = /\b\d{2}-\d{2}\.\d{3}\b/;
+const CE_NUMBER = /\bn[°o]\s*(\d{5,6})\b/i;
+const FRENCH_DATE = /\b(\d{1,2})(?:er)?\s+([a-zéû]+)\s+(\d{4})\b/i;
+
+function fold(text: string): string {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Date au format AAAAMMJJ (comparable entre chaînes) */
+function today(): string {
+  return new Date().toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/** Lignes de la dernière section « Sources utilisées » de la réponse */
+function sourcesSection(text: string): string[] {
+  const lines = text.split(/\r?\n/);
+  let start = -1;
+  for (let i = lines.length - 1; i >= 0 && start < 0; i--) {
+    if (SOURCES_HEADING.test(lines[i])) start = i;
+  }
+  if (start < 0) return [];
+
+  const items = [lines[start].match(SOURCES_HEADING)?.[1] ?? ''];
+  for (const line of lines.slice(start + 1)) {
+    if (SECTION_END.test(line)) break;
+    items.push(line);
+  }
+  return items
+    .map((line) => line.replace(LIST_MARKER, '').trim())
+    .filter((line) => line.length > 0 && !/aucune source/i.test(line));
+}
+
+/** Ligne débarrassée de la mise en forme Markdown (le texte des liens est conservé) */
+function plainText(line: string): string {
+  return line
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function findCode(folded: string): CodeDefinition | null {
+  for (const code of CODES) {
+    for (const alias of code.aliases) {
+      if (new RegExp(`(^|[^a-z])${escapeRegExp(alias)}([^a-z]|$)`).test(folded)) return code;
+    }
+  }
+  return null;
+}
+
+/** Numéro d'article normalisé : « L1234-9 » → « L. 1234-9 » */
+function normalizeArticle(article: string): string {
+  return article.replace(/^([LRDA])(\*?)\.?\s?/i, (_, prefix: string, star: string) => `${prefix.toUpperCase()}${star}. `);
+}
+
+function articleWarning(code: CodeDefinition, article: string): string | null {
+  const prefixed = /^[LRDA]/i.test(article);
+  if (code.prefixed && !prefixed) return `Numéro d'article sans préfixe L., R. ou D. pour le ${code.title}`;
+  if (!code.prefixed && prefixed) return `Numérotation L./R./D. inattendue pour le ${code.title}`;
+  if (code.maxArticle && parseInt(article, 10) > code.maxArticle) return `Le ${code.title} ne compte pas d'article ${article}`;
+  return null;
+}
+
+function codeCitations(line: string, folded: string): Citation[] {
+  const articles: string[] = [];
+  for (const match of line.matchAll(ARTICLES)) {
+    articles.push(...(match[1].match(ARTICLE_ONE) ?? []).map((a) => normalizeArticle(a.trim())));
+  }
+
+  const code = findCode(folded);
+  if (!code) {
+    return articles.length > 0
+      ? [{ kind: 'other', label: line, text: line, url: null, warning: 'Code non reconnu' }]
+      : [];
+  }
+
+  if (articles.length === 0) {
+    return [{
+      kind: 'code',
+      label: code.short,
+      text: line,
+      url: LEGIFRANCE_CODE_SEARCH + encodeURIComponent(code.title),
+      warning: 'Article non précisé',
+    }];
+  }
+
+  return [...new Set(articles)].map((article) => ({
+    kind: 'code',
+    label: `${code.short} art. ${article}`,
+    text: line,
+    url: LEGIFRANCE_CODE_SEARCH + encodeURIComponent(`article ${article} ${code.title}`),
+    warning: articleWarning(code, article),
+  }));
+}
+
+function bofipWarning(id: string): string | null {
+  const segments = id.split('-');
+  if (!BOFIP_SERIES.has(segments[1])) return `Série BOFiP inconnue (${segments[1]})`;
+
+  // Identifiant daté : BOI-…-AAAAMMJJ
+  const last = segments[segments.length - 1];
+  if (/^\d{8}$/.test(last) && (last < BOFIP_FIRST_DATE || last > today())) {
+    return 'Date de publication impossible';
+  }
+  return null;
+}
+
+function bofipCitations(line: string): Citation[] {
+  return [...new Set(line.match(BOI_ID) ?? [])].map((id) => ({
+    kind: 'bofip',
+    label: id,
+    text: line,
+    url: BOFIP_SEARCH + encodeURIComponent(id),
+    warning: bofipWarning(id),
+  }));
+}
+
+function decisionDate(line: string): { label: string; future: boolean } | null {
+  const match = line.match(FRENCH_DATE);
+  const month = match ? MONTHS.indexOf(fold(match[2])) : -1;
+  if (!match || month < 0) return null;
+  const date = `${match[3]}${String(month + 1).padStart(2, '0')}${match[1].padStart(2, '0')}`;
+  return { label: `${match[1]} ${match[2]} ${match[3]}`, future: date > today() };
+}
+
+function jurisprudenceCitation(line: string, folded: string): Citation | null {
+  const cassation = /\b(cass\.?|cour de cassation)(\s|,|$)/.test(folded);
+  const conseilEtat = /(^|[^a-z])(ce|conseil d'etat|caa|cour administrative d'appel)([^a-z]|$)/.test(folded);
+  if (!cassation && !conseilEtat) return null;
+
+  const date = decisionDate(line);
+  const number = cassation ? line.match(CASS_NUMBER)?.[0] : line.match(CE_NUMBER)?.[1];
+  const court = cassation ? 'Cass.' : /(^|[^a-z])caa([^a-z]|$)|cour administrative/.test(folded) ? 'CAA' : 'CE';
+
+  let warning: string | null = null;
+  if (!number) warning = cassation ? 'Numéro de pourvoi absent' : 'Numéro de requête absent';
+  else if (date?.future) warning = 'Date de décision future';
+
+  return {
+    kind: 'jurisprudence',
+    label: [court, date?.label, number && `n° ${number}`].filter(Boolean).join(', '),
+    text: line,
+    url: number ? (cassation ? LEGIFRANCE_JURI_SEARCH : LEGIFRANCE_CETAT_SEARCH) + encodeURIComponent(number) : null,
+    warning,
+  };
+}
+
+function lineCitations(raw: string): Citation[] {
+  const line = plainText(raw);
+  const folded = fold(line);
+
+  const jurisprudence = jurisprudenceCitation(line, folded);
+  const found = [...bofipCitations(line), ...(jurisprudence ? [jurisprudence] : []), ...(jurisprudence ? [] : codeCitations(line, folded))];
+  const citations = found.length > 0
+    ? found
+    : [{ kind: 'other' as const, label: line, text: line, url: null, warning: 'Référence non reconnue' }];
+
+  // Les consignes interdisent les liens : un lien fourni par le modèle n'est pas vérifié
+  if (/https?:\/\//i.test(raw)) {
+    return citations.map((c) => ({ ...c, warning: c.warning ?? 'Lien fourni par le modèle, non vérifié' }));
+  }
+  return citations;
+}
+
+/**
+ * Références de la section « Sources utilisées » d'une réponse (vide si la réponse n'en contient pas
+ * ou n'indique aucune source). Une même référence citée plusieurs fois n'apparaît qu'une fois.
+ */
+export function parseCitations(text: string): Citation[] {
+  const seen = new Set<string>();
+  return sourcesSection(text)
+    .flatMap(lineCitations)
+    .filter((c) => !seen.has(c.label) && seen.add(c.label));
+}
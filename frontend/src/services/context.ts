@@ -1,79 +1,67 @@
 // src/services/context.ts
-import { HISTORY_WINDOW, SYSTEM_PROMPT } from '../config';
-import { history } from './history';
-import type { FiltreContext } from '../types';
+import { HISTORY_WINDOW } from '../config';
+import type { FiltreContext, Message } from '../types';
 
-/** Messages envoyés au backend */
-export type OpenAIMessage = { role: 'system' | 'user' | 'assistant'; content: string };
+/** Messages envoyés au backend (les consignes système sont ajoutées par le serveur, voir backend/systemPrompt.js) */
+export type OpenAIMessage = { role: 'user' | 'assistant'; content: string };
 
-/** Payload final pour le backend : messages + file_ids */
+/**
+ * Payload final pour le backend : messages + file_ids (+ conversation où enregistrer l'échange, modèle choisi,
+ * filtre de rédaction dont le serveur tire les consignes)
+ */
 export type ChatPayload = {
   messages: OpenAIMessage[];
   file_ids: string[];
+  conversation_id?: number;
+  model?: string;
+  filtre?: FiltreContext;
+  /** Message auquel la question fait suite (absent : dernier message enregistré de la conversation) */
+  parent_id?: number | null;
+  /** Nouvelle réponse à la question `parent_id`, déjà enregistrée */
+  regenerate?: boolean;
 };
 
-/**
- * Construit un bloc de consignes lisible à partir du filtre.
- * Structure stable, vocabulaire "prompt-friendly" et contraintes utiles.
- */
-function formatPromptFromFiltre(f: FiltreContext | null): string | null {
-  if (!f) return null;
-
-  const longueur = f.longueur;
-  const format = f.format;
-  const domaine = f.domaine;
-  const contexte = f.contexte ?? ''.trim();
-
-  const lignes: string[] = [
-    '[Instruction de rédaction]',
-    'Réponse attendue :',
-    `- Longueur : ${longueur}`,
-    `- Format : ${format}`,
-    `- Domaine : ${domaine}`,
-  ];
-
-  if (contexte) {
-    lignes.push(`- Contexte : ${contexte}`);
-  }
-
-  return lignes.join('\n');
-}
+/** Position de la question dans l'arbre de la conversation (voir services/branches.ts) */
+export type BranchTarget = {
+  parent_id?: number | null;
+  regenerate?: boolean;
+};
 
 /**
  * Construit le payload pour le backend :
- * - 1er message : 'system' (SYSTEM_PROMPT)
- * - 2e message optionnel : 'system' (bloc "Instruction de rédaction" issu du filtre)
- * - Puis les HISTORY_WINDOW derniers messages (user/assistant) depuis l'historique
- * - Inclus les file_ids s'il y en a
+ * - Les HISTORY_WINDOW derniers messages (user/assistant) de la branche affichée
+ *   (hors messages d'information de l'interface et réponses vides)
+ * - Inclus les file_ids s'il y en a, le modèle choisi dans le sélecteur et le filtre
+ *   (le backend en déduit les consignes système du domaine et le bloc "Instruction de rédaction",
+ *   voir backend/systemPrompt.js et backend/filtres.js)
+ * - Précise où enregistrer la question dans l'arbre de la conversation (question modifiée, régénération)
  */
 export function buildMessagesForLLM(
+  conversation: Message[],
   fileIds: string[] = [],
   filtre: FiltreContext | null,
-  contentArray?: any[]
+  conversationId?: number,
+  model?: string,
+  branch?: BranchTarget
 ): ChatPayload {
-  // Récupère les N derniers messages de l'historique
-  let last = history.getLast(HISTORY_WINDOW);
-
-  const messages: OpenAIMessage[] = [
-    { role: 'system', content: SYSTEM_PROMPT },
-  ];
-
-  // Ajout des consignes dynamiques liées au filtre (si présent)
-  const instruction = formatPromptFromFiltre(filtre);
-  if (instruction) {
-    messages.push({ role: 'system', content: instruction });
-  }
+  // Récupère les N derniers messages de la conversation
+  const last = conversation
+    .filter((m) => !m.notice && !m.streaming && m.text.trim().length > 0)
+    .slice(-HISTORY_WINDOW);
 
   // Historique de conversation
-  messages.push(
-    ...last.map<OpenAIMessage>((m) => ({
-      role: m.sender === 'user' ? 'user' : 'assistant',
-      content: m.text,
-    }))
-  );
+  const messages = last.map<OpenAIMessage>((m) => ({
+    role: m.sender === 'user' ? 'user' : 'assistant',
+    content: m.text,
+  }));
 
   return { 
     messages,
-    file_ids: fileIds
+    file_ids: fileIds,
+    conversation_id: conversationId,
+    model,
+    filtre: filtre ?? undefined,
+    parent_id: branch?.parent_id,
+    regenerate: branch?.regenerate || undefined,
   };
 }
\ No newline at end of file
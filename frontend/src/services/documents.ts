@@ -0,0 +1,28 @@
+// src/services/documents.ts
+import type { DocumentExtraction } from '../types';
+
+function pageList(pages: number[]): string {
+  return pages.length ? ` (p. ${pages.join(', ')})` : '';
+}
+
+/** Libellé et infobulle de la méthode d'extraction d'un document */
+export function extractionLabel(extraction?: DocumentExtraction | null): { label: string; title: string } {
+  switch (extraction?.method) {
+    case 'local':
+      return { label: '🔒 Extrait localement', title: 'Le document n\'a pas quitté le poste' };
+    case 'mixed':
+      return {
+        label: `☁️ OCR distant${pageList(extraction.ocr_pages)}`,
+        title: 'Texte extrait localement ; les pages scannées ont été envoyées à l\'OCR du fournisseur',
+      };
+    case 'ocr':
+      return { label: '☁️ OCR distant', title: 'Document scanné envoyé à l\'OCR du fournisseur' };
+    case 'partial':
+      return {
+        label: `⚠️ Pages scannées ignorées${pageList(extraction.skipped_pages)}`,
+        title: 'OCR distant désactivé : seules les pages contenant du texte ont été lues',
+      };
+    default:
+      return { label: '📄 Document', title: '' };
+  }
+}
@@ -0,0 +1,23 @@
+// src/services/filtre.ts
+import type { FiltreContext, FiltreOptions } from '../types';
+
+/**
+ * Ramène chaque réglage sur une option proposée par le serveur
+ * (une option retirée de la configuration est remplacée par la valeur par défaut).
+ */
+export function reconcileFiltre(filtre: FiltreContext, options: FiltreOptions | null): FiltreContext {
+  if (!options) return filtre;
+
+  const next = { ...filtre };
+  for (const group of options.groups) {
+    if (!group.options.some((o) => o.value === next[group.key])) {
+      next[group.key] = options.defaults[group.key];
+    }
+  }
+  return next;
+}
+
+/** Deux jeux de réglages identiques (ex: pour retrouver le préréglage appliqué) */
+export function sameFiltre(a: FiltreContext, b: FiltreContext): boolean {
+  return a.longueur === b.longueur && a.format === b.format && a.domaine === b.domaine && a.contexte === b.contexte;
+}
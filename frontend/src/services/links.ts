@@ -0,0 +1,14 @@
+// src/services/links.ts
+
+/**
+ * Ouvre une adresse dans le navigateur par défaut (via le processus principal Electron,
+ * qui n'accepte que http/https), ou dans un nouvel onglet hors Electron.
+ */
+export function openExternal(url: string): void {
+  if (!url) return;
+  if (window.externalLinks?.open) {
+    window.externalLinks.open(url);
+  } else {
+    window.open(url, '_blank', 'noopener,noreferrer');
+  }
+}
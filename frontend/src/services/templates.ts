@@ -0,0 +1,19 @@
+// src/services/templates.ts
+import type { FiltreContext } from '../types';
+
+// Variables à compléter avant insertion : {{nom du client}} (même syntaxe que le backend)
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/** Remplace les variables {{...}} par les valeurs saisies (une variable vide reste telle quelle) */
+export function renderTemplate(content: string, values: Record<string, string>): string {
+  return content.replace(VARIABLE_PATTERN, (match, name: string) => {
+    const value = values[name]?.trim();
+    return value ? value : match;
+  });
+}
+
+/** Résumé des réglages du filtre prédéfinis par un modèle (ex: "long · mail · fiscale") */
+export function filtreSummary(filtre: Partial<FiltreContext> | null): string {
+  if (!filtre) return '';
+  return [filtre.longueur, filtre.format, filtre.domaine, filtre.contexte].filter(Boolean).join(' · ');
+}
@@ -2,12 +2,138 @@
 export type Sender = 'user' | 'assistant';
 
 export interface Message {
+  /** ID du message enregistré en base (absent tant qu'il n'est pas persisté) */
+  id?: number;
+  /** Message précédent dans l'arbre de la conversation (null : premier message ; absent : inconnu) */
+  parent_id?: number | null;
   sender: Sender;
   text: string;
   tokens?: number;
   cost?: number;
+  /** Réponse en cours de réception (streaming) */
+  streaming?: boolean;
+  /** Génération interrompue par l'utilisateur (bouton Stop) */
+  stopped?: boolean;
+  /** Message d'information de l'interface (erreur, limite…) : ni persisté ni envoyé au modèle */
+  notice?: boolean;
+  /** Documents joints à la question, avec la méthode d'extraction retenue */
+  documents?: AttachedDocument[];
+  /** Extraits de documents utilisés pour générer la réponse */
+  retrieval?: RetrievedChunk[];
+  /** Données personnelles masquées avant l'envoi au fournisseur */
+  pseudonymization?: PseudonymizationReport;
+  /** Modèle qui a effectivement répondu */
+  model?: string;
+  /** Bascule vers un modèle de repli (fournisseur du modèle choisi indisponible) */
+  failover?: ProviderFailover | null;
+  /** Avis de l'utilisateur sur la réponse */
+  feedback?: MessageFeedback | null;
 }
 
+/** Avis sur une réponse : utile (👍) ou incorrecte / incomplète (👎) */
+export type FeedbackRating = 'up' | 'down';
+
+export type MessageFeedback = {
+  rating: FeedbackRating;
+  comment: string | null;
+  updated_at: string;
+};
+
+/** Bascule automatique du backend vers un modèle de repli */
+export type ProviderFailover = {
+  /** Modèle choisi, indisponible */
+  from: string;
+  /** Erreur renvoyée par son fournisseur */
+  reason: string;
+};
+
+/** Rapport de pseudonymisation d'une requête (les valeurs masquées ne sont pas transmises) */
+export type PseudonymizationReport = {
+  total: number;
+  entities: Array<{
+    placeholder: string;
+    type: string;
+    label: string;
+    occurrences: number;
+  }>;
+};
+
+/** Méthode d'extraction du texte d'un document (voir backend DocumentService) */
+export type ExtractionMethod = 'local' | 'ocr' | 'mixed' | 'partial';
+
+export type DocumentExtraction = {
+  method: ExtractionMethod;
+  pages: number;
+  /** Pages envoyées à l'OCR du fournisseur */
+  ocr_pages: number[];
+  /** Pages scannées ignorées (OCR distant non autorisé) */
+  skipped_pages: number[];
+};
+
+/** Extrait de document injecté dans le prompt (limites dans le texte extrait) */
+export type RetrievedChunk = {
+  file_id: string;
+  name: string;
+  /** Position de l'extrait dans le document (à partir de 0) */
+  chunk: number;
+  chunks_total: number;
+  start: number;
+  end: number;
+  page_start: number;
+  page_end: number;
+  score: number;
+};
+
+export type AttachedDocument = {
+  file_id: string;
+  name: string;
+  extraction?: DocumentExtraction;
+};
+
+export type Conversation = {
+  id: number;
+  title: string;
+  created_at: string;
+  updated_at: string;
+};
+
+/** Message tel qu'enregistré côté serveur */
+export type StoredMessage = {
+  id: number;
+  /** Message précédent dans l'arbre de la conversation (null : premier message) */
+  parent_id: number | null;
+  sender: Sender;
+  content: string;
+  tokens: number | null;
+  cost: number | null;
+  /** Version des consignes système ayant produit la réponse (null pour les questions) */
+  prompt_version: string | null;
+  feedback: MessageFeedback | null;
+  created_at: string;
+};
+
+/** Message trouvé par la recherche dans les conversations */
+export type SearchResult = {
+  conversation_id: number;
+  conversation_title: string;
+  message_id: number;
+  sender: Sender;
+  created_at: string;
+  /** Extrait du message autour de la première occurrence */
+  snippet: string;
+  /** Occurrences des termes recherchés dans l'extrait : [début, fin[ */
+  highlights: Array<[number, number]>;
+};
+
+/** Document conservé dans une conversation (seul le texte extrait est stocké) */
+export type ConversationDocument = {
+  id: number;
+  name: string;
+  size: number;
+  extraction: DocumentExtraction | null;
+  created_at: string;
+};
+
 export type FileTokenAttachment = {
   token: string;
   name: string;
@@ -15,6 +141,20 @@ export type FileTokenAttachment = {
   mime?: string;
 };
 
+/** État d'une pièce jointe : envoi au backend, extraction du texte, prête pour la question ou en échec */
+export type AttachmentStatus = 'uploading' | 'extracting' | 'ready' | 'failed';
+
+/** Pièce jointe de la zone de saisie : envoyée et extraite dès son ajout, indépendamment des autres */
+export type Attachment = FileTokenAttachment & {
+  status: AttachmentStatus;
+  /** Pourcentage du fichier transmis au backend */
+  progress: number;
+  /** Document extrait (état ready) */
+  document?: AttachedDocument;
+  /** Motif de l'échec (état failed) */
+  error?: string;
+};
+
 export type PdfIdAttachment = {
   file_id: string;              // renvoyé par /v1/files
   name: string;
@@ -22,9 +162,64 @@ export type PdfIdAttachment = {
   mime: 'application/pdf';
 };
 
+/** Estimation du coût avant envoi (POST /api/chat/estimate) */
+export type CostEstimate = {
+  model: string;
+  /** Tokens estimés du prompt (consignes, historique, extraits de documents) */
+  prompt_tokens: number;
+  /** Majorant des tokens de la réponse */
+  completion_tokens: number;
+  /** Coût estimé en dollars (majorant) */
+  cost: number;
+  /** Consommation et budget sur la période en cours */
+  spent: number;
+  limit: number;
+  remaining: number;
+  /** Libellé de la période de budget (ex: "octobre 2026") */
+  period: string;
+  /** L'envoi reste dans le budget de l'utilisateur */
+  allowed: boolean;
+};
+
+/** Modèle proposé dans le sélecteur (GET /api/models) */
+export type ModelInfo = {
+  id: string;
+  label: string;
+  provider: 'mistral' | 'openai';
+  /** Tarifs en USD / 1M tokens (null si inconnus) */
+  pricing: { input: number; output: number; cached_input?: number } | null;
+  capabilities: { streaming: boolean; contextWindow: number; strengths: string[] };
+  /** L'utilisateur a le droit de choisir ce modèle */
+  allowed: boolean;
+};
+
 export type Flags = {
   canUseApp: boolean;
   canImportFiles: boolean;
+  /** Accès à la console d'administration */
+  isAdmin: boolean;
+};
+
+/** Utilisateur tel qu'affiché dans la console d'administration */
+export type AdminUser = {
+  user_name: string;
+  /** Droits (canUseApp, canImportFiles, isAdmin, droits sur les modèles) */
+  rights: Record<string, boolean>;
+  maxCost: number;
+  totalRequests: number;
+  totalRequestsWithFiles: number;
+  totalTokens: number;
+  totalCost: number;
+  /** Consommation sur la période de budget en cours */
+  periodRequests: number;
+  periodCost: number;
+};
+
+export type AdminUserList = {
+  /** Libellé de la période de budget (ex: "octobre 2026") */
+  period: string;
+  rights: Array<{ key: string; label: string }>;
+  users: AdminUser[];
 };
 
 export type FiltreContext = {
@@ -37,3 +232,43 @@ export type FiltreContext = {
   /** Contexte complémentaire libre saisi par l’utilisateur */
   contexte: string;
 };
+
+/** Sélecteurs du filtre (le contexte est un champ libre) */
+export type FiltreGroupKey = 'longueur' | 'format' | 'domaine';
+
+/** Options du filtre configurées côté serveur (les consignes associées restent côté serveur) */
+export type FiltreOptions = {
+  groups: Array<{
+    key: FiltreGroupKey;
+    label: string;
+    options: Array<{ value: string; label: string }>;
+  }>;
+  defaults: FiltreContext;
+};
+
+/** Combinaison de réglages du filtre enregistrée sous un nom */
+export type FiltrePreset = {
+  name: string;
+  filtre: FiltreContext;
+};
+
+/** Modèle de requête : personnel (visible par son auteur) ou partagé au cabinet */
+export type PromptTemplate = {
+  id: number;
+  /** Auteur du modèle */
+  user_name: string;
+  scope: 'personal' | 'cabinet';
+  title: string;
+  /** Texte inséré dans la zone de saisie, avec des variables {{nom}} */
+  content: string;
+  /** Réglages du filtre appliqués à l'insertion */
+  filtre: Partial<FiltreContext> | null;
+  /** Variables {{...}} à compléter avant insertion, dans l'ordre d'apparition */
+  variables: string[];
+  /** Modifiable par l'utilisateur courant (auteur, ou administrateur pour le cabinet) */
+  editable: boolean;
+  created_at: string;
+  updated_at: string;
+};
+
+export type PromptTemplateInput = Pick<PromptTemplate, 'scope' | 'title' | 'content' | 'filtre'>;
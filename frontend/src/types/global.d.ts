@@ -6,6 +6,7 @@ declare global {
       get: () => Promise<{
         canUseApp: boolean;
         canImportFiles: boolean;
+        isAdmin: boolean;
       }>;
     };
     externalLinks: {
@@ -13,6 +14,8 @@ declare global {
     };
     backend?: {
       baseUrl: string;
+      /** Secret de lancement à envoyer dans l'en-tête Authorization */
+      getToken?: () => Promise<string | null>;
     };
   }
 }
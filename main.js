@@ -3,6 +3,7 @@ import path from 'node:path';
 import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import http from 'node:http';
+import crypto from 'node:crypto';
 import FormData from 'form-data';
 import { config } from 'dotenv';
 
@@ -26,8 +27,14 @@ if (envPath) {
 const isDev = !app.isPackaged;
 app.setName('Chatbot FidOuest');
 
-import { MAX_FILES } from './frontend/src/config.ts';
+// Base SQLite locale (DB_DRIVER=sqlite) : dans le dossier de données de l'application par défaut
+if (!process.env.SQLITE_PATH) {
+  process.env.SQLITE_PATH = path.join(app.getPath('userData'), 'chatbot.sqlite');
+}
+
+import { MAX_FILES, MAX_FILE_SIZE, ACCEPTED_FILE_EXTENSIONS } from './frontend/src/config.ts';
 import { getPermissionsForCurrentUser } from './backend/security/permissions.ts';
+import { PACKAGED_APP_ORIGIN } from './backend/security/auth.js';
 
 let featureFlagsCache = null;
 let mainWindow = null;
@@ -35,6 +42,15 @@ const backendPort = Number(process.env.PORT ?? 3000);
 const backendBaseUrl = `http://127.0.0.1:${backendPort}`;
 process.env.BACKEND_URL = backendBaseUrl;
 
+// Secret de lancement exigé par le backend sur /api (transmis au renderer via preload.js).
+// BACKEND_SECRET n'est lu qu'en développement (backend lancé séparément) : l'application packagée
+// génère toujours le sien, un secret fixé dans le .env distribué ne peut pas être réutilisé.
+const backendSecret = (isDev && process.env.BACKEND_SECRET) || crypto.randomBytes(32).toString('hex');
+process.env.BACKEND_SECRET = backendSecret;
+
+// CORS du backend : seule l'origine de la fenêtre packagée est acceptée (serveur Vite en développement)
+if (app.isPackaged) process.env.APP_PACKAGED = '1';
+
 async function resolvePermissionsAtStartup() {
   try {
     featureFlagsCache = await getPermissionsForCurrentUser();
@@ -66,6 +82,17 @@ function createWindow() {
     mainWindow.loadURL('http://localhost:5173');
     mainWindow.webContents.openDevTools();
   } else {
+    // Les requêtes de la page de l'application (pas celles d'un iframe) vers le backend portent
+    // l'origine attendue par le CORS du backend
+    const appContents = mainWindow.webContents;
+    appContents.session.webRequest.onBeforeSendHeaders({ urls: [`${backendBaseUrl}/*`] }, (details, callback) => {
+      const fromApp = details.webContentsId === appContents.id && !details.frame?.parent;
+      if (fromApp && details.requestHeaders.Origin) {
+        details.requestHeaders.Origin = PACKAGED_APP_ORIGIN;
+      }
+      callback({ requestHeaders: details.requestHeaders });
+    });
+
     const indexHtml = path.join(__dirname, '../frontend/dist/index.html');
     mainWindow.loadFile(indexHtml);
   }
@@ -84,18 +111,31 @@ app.whenReady().then(resolvePermissionsAtStartup).then(maybeStartBackend).then(c
 app.on('window-all-closed', () => { if (process.platform !== 'darwin') app.quit(); });
 app.on('activate', () => { if (BrowserWindow.getAllWindows().length === 0) createWindow(); });
 
-const MAX_SIZE_BYTES = 20 * 1024 * 1024; // 20 Mo
-const tokenToPath = new Map();
+// Pièces jointes en attente d'upload, par jeton : chemin (boîte de dialogue) ou contenu en mémoire
+// (glisser-déposer, collage : un fichier venant d'un client mail ou une capture n'a pas de chemin)
+const pendingFiles = new Map();
 
 function makeToken() {
   return 'file_' + Math.random().toString(36).slice(2) + Date.now().toString(36);
 }
 
+// Même contrôle quelle que soit l'origine du fichier (format et taille, vérifiés à nouveau par le backend)
+function isAcceptedFile(name, size) {
+  const extension = path.extname(name).slice(1).toLowerCase();
+  return ACCEPTED_FILE_EXTENSIONS.includes(extension) && size <= MAX_FILE_SIZE;
+}
+
+function toBuffer(data) {
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return null;
+}
+
 ipcMain.handle('file:openMany', async () => {
   const { canceled, filePaths } = await dialog.showOpenDialog({
     properties: ['openFile', 'multiSelections'],
     filters: [
-      { name: 'Documents', extensions: ['pdf', 'docx'] },
+      { name: 'Documents', extensions: ACCEPTED_FILE_EXTENSIONS },
     ],
   });
   if (canceled || !filePaths?.length) return null;
@@ -105,9 +145,9 @@ ipcMain.handle('file:openMany', async () => {
   for (const p of picked) {
     try {
       const st = fs.statSync(p);
-      if (st.size > MAX_SIZE_BYTES) continue;
+      if (!isAcceptedFile(p, st.size)) continue;
       const token = makeToken();
-      tokenToPath.set(token, p);
+      pendingFiles.set(token, { path: p });
       out.push({ token, name: path.basename(p), size: st.size });
     } catch (e) {
       console.warn('[main] skip file:', p, e?.message);
@@ -116,77 +156,114 @@ ipcMain.handle('file:openMany', async () => {
   return out;
 });
 
-ipcMain.handle('file:uploadByTokens', async (_evt, tokens, backendUrl) => {
-  if (!Array.isArray(tokens) || tokens.length === 0) return [];
-  
-  const defaultUploadUrl = `${backendBaseUrl}/api/files`;
-  const urlObj = new URL(backendUrl ?? defaultUploadUrl);
-  const form = new FormData();
-  let count = 0;
-  
-  for (const token of tokens.slice(0, MAX_FILES)) {
-    const p = tokenToPath.get(token);
-    if (!p) continue;
-    
-    try {
-      const st = fs.statSync(p);
-      if (st.size > MAX_SIZE_BYTES) continue;
-      
-      const fileStream = fs.createReadStream(p);
-      const filename = path.basename(p);
-      form.append('files', fileStream, filename);
-      count++;
-    } catch (err) {
-      console.error('[FileUpload] Error processing file:', err.message);
+// Fichiers déposés ou collés : le renderer transmet leur contenu, conservé jusqu'à leur retrait
+ipcMain.handle('file:registerBuffers', async (_evt, files) => {
+  if (!Array.isArray(files)) return [];
+
+  const out = [];
+  for (const file of files.slice(0, MAX_FILES)) {
+    const name = path.basename(String(file?.name ?? ''));
+    const buffer = toBuffer(file?.data);
+    if (!name || !buffer || !isAcceptedFile(name, buffer.length)) {
+      console.warn('[main] skip file:', name || '(sans nom)');
+      continue;
     }
+    const token = makeToken();
+    pendingFiles.set(token, { name, buffer });
+    out.push({ token, name, size: buffer.length });
+  }
+  return out;
+});
+
+// Pièces jointes retirées ou envoyées : libère les jetons (et le contenu gardé en mémoire)
+ipcMain.handle('file:release', async (_evt, tokens) => {
+  if (!Array.isArray(tokens)) return;
+  for (const token of tokens) pendingFiles.delete(token);
+});
+
+// Envoi d'une pièce jointe au backend, qui en extrait le texte avant de répondre. Une requête par fichier :
+// les pièces jointes sont envoyées et extraites en parallèle, et l'échec de l'une n'affecte pas les autres.
+// La progression de l'envoi est transmise au renderer (file:progress, en pourcentage).
+ipcMain.handle('file:upload', async (evt, token) => {
+  const file = pendingFiles.get(token);
+  if (!file) throw new Error('Fichier introuvable : veuillez le joindre à nouveau');
+
+  const form = new FormData();
+  if (file.buffer) {
+    form.append('files', file.buffer, { filename: file.name, knownLength: file.buffer.length });
+  } else {
+    const st = fs.statSync(file.path);
+    const filename = path.basename(file.path);
+    if (!isAcceptedFile(filename, st.size)) throw new Error(`${filename} : format non pris en charge ou fichier trop volumineux`);
+    form.append('files', fs.createReadStream(file.path), { filename, knownLength: st.size });
   }
-  
-  if (count === 0) return [];
-  
-  const port = parseInt(urlObj.port || '3000', 10);
-  
+
+  const url = new URL('/api/files', backendBaseUrl);
+  const total = form.getLengthSync();
+
   return new Promise((resolve, reject) => {
-    const headers = form.getHeaders();
-    
     const options = {
-      hostname: urlObj.hostname,
-      port: port,
-      path: urlObj.pathname,
+      hostname: url.hostname,
+      port: Number(url.port),
+      path: url.pathname,
       method: 'POST',
-      headers: headers,
+      headers: { ...form.getHeaders(), 'Content-Length': total, Authorization: `Bearer ${backendSecret}` },
     };
-    
+
     const req = http.request(options, (res) => {
       let data = '';
       res.on('data', chunk => { data += chunk; });
       res.on('end', () => {
         try {
           if (res.statusCode !== 200) {
-            reject(new Error(`Upload failed: HTTP ${res.statusCode}`));
+            // Message explicite du backend (ex: document scanné sans OCR autorisé)
+            let message = `Upload failed: HTTP ${res.statusCode}`;
+            try {
+              message = JSON.parse(data)?.message ?? message;
+            } catch {
+              // Corps non JSON : message générique
+            }
+            reject(new Error(message));
             return;
           }
-          
-          const parsed = JSON.parse(data);
-          const fileIds = Array.isArray(parsed?.files) ? parsed.files : [];
-          const result = tokens.slice(0, MAX_FILES).map((token, i) => ({
-            token,
-            file_id: fileIds[i]?.file_id,
-          })).filter(x => x.file_id);
-          resolve(result);
+
+          const uploaded = JSON.parse(data)?.files?.[0];
+          if (!uploaded?.file_id) {
+            reject(new Error('Réponse du serveur invalide'));
+            return;
+          }
+          resolve({ token, file_id: uploaded.file_id, name: uploaded.name, extraction: uploaded.extraction });
         } catch (e) {
           reject(new Error(`Failed to parse response: ${e.message}`));
         }
       });
     });
-    
+
     req.on('error', (err) => {
       reject(err);
     });
-    
+
+    // Progression : octets transmis au backend (l'extraction commence une fois l'envoi terminé)
+    let sent = 0;
+    let lastPercent = -1;
+    form.on('data', (chunk) => {
+      sent += Buffer.byteLength(chunk);
+      const percent = Math.min(100, Math.floor((sent / total) * 100));
+      if (percent === lastPercent || evt.sender.isDestroyed()) return;
+      lastPercent = percent;
+      evt.sender.send('file:progress', { token, percent });
+    });
+
     form.pipe(req);
   });
 });
 
+// Seule la fenêtre de l'application reçoit le secret du backend
+ipcMain.handle('backend:token', (evt) => {
+  if (!mainWindow || evt.sender !== mainWindow.webContents) return null;
+  return backendSecret;
+});
+
 ipcMain.handle('permissions:get', async () => {
   if (!featureFlagsCache) await resolvePermissionsAtStartup();
   return featureFlagsCache;
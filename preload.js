@@ -4,7 +4,15 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('fileAPI', {
   openMany: () => ipcRenderer.invoke('file:openMany'),
-  uploadByTokens: (tokens, backendUrl) => ipcRenderer.invoke('file:uploadByTokens', tokens, backendUrl),
+  registerBuffers: (files) => ipcRenderer.invoke('file:registerBuffers', files),
+  release: (tokens) => ipcRenderer.invoke('file:release', tokens),
+  upload: (token) => ipcRenderer.invoke('file:upload', token),
+  // Progression des envois ({ token, percent }) ; renvoie la fonction de désabonnement
+  onUploadProgress: (callback) => {
+    const listener = (_evt, progress) => callback(progress);
+    ipcRenderer.on('file:progress', listener);
+    return () => ipcRenderer.removeListener('file:progress', listener);
+  },
 });
 
 contextBridge.exposeInMainWorld('permissions', {
@@ -19,7 +27,11 @@ contextBridge.exposeInMainWorld('externalLinks', {
   },
 });
 
+// Secret de lancement à joindre à chaque requête vers le backend (Authorization: Bearer)
+const backendToken = ipcRenderer.invoke('backend:token');
+
 contextBridge.exposeInMainWorld('backend', {
   baseUrl: process.env.BACKEND_URL || '',
+  getToken: () => backendToken,
 });
 
@@ -46,6 +46,10 @@ export default defineConfig(({ command }) => ({
             target: 'node18',
             minify: false,
             emptyOutDir: false, // ne pas effacer preload s'il existe déjà
+            rollupOptions: {
+              // module natif (DB_DRIVER=sqlite) : chargé depuis node_modules, jamais bundlé
+              external: ['better-sqlite3'],
+            },
           },
         },
       },